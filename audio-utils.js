@@ -0,0 +1,254 @@
+// audio-utils.js
+// Decoding and WAV and FLAC encoding shared by the offscreen document and the side panel (both are documents, so
+// both have Web Audio; the background worker does not).
+
+// Audio for the providers is 16 kHz mono: all they need for speech, and a sixth of the size of 48 kHz stereo
+const UPLOAD_SAMPLE_RATE = 16000;
+
+// Decoding through an OfflineAudioContext at sampleRate resamples for us; the channels are then averaged to mono
+async function decodeToMono(arrayBuffer, sampleRate) {
+    const decodeContext = new OfflineAudioContext(1, 1, sampleRate);
+    const audioBuffer = await decodeContext.decodeAudioData(arrayBuffer);
+    const mono = new Float32Array(audioBuffer.length);
+    for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+        const samples = audioBuffer.getChannelData(channel);
+        for (let i = 0; i < samples.length; i++) mono[i] += samples[i] / audioBuffer.numberOfChannels;
+    }
+    return mono;
+}
+
+// 16-bit PCM mono WAV from samples in [-1, 1]
+function encodeWav(samples, sampleRate) {
+    const view = new DataView(new ArrayBuffer(44 + samples.length * 2));
+    const writeText = (offset, text) => [...text].forEach((char, i) => view.setUint8(offset + i, char.charCodeAt(0)));
+    writeText(0, 'RIFF');
+    view.setUint32(4, 36 + samples.length * 2, true);
+    writeText(8, 'WAVE');
+    writeText(12, 'fmt ');
+    view.setUint32(16, 16, true);         // fmt chunk size
+    view.setUint16(20, 1, true);          // PCM
+    view.setUint16(22, 1, true);          // Mono
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true);
+    view.setUint16(32, 2, true);          // Bytes per sample frame
+    view.setUint16(34, 16, true);         // Bits per sample
+    writeText(36, 'data');
+    view.setUint32(40, samples.length * 2, true);
+    samples.forEach((sample, i) => {
+        const clamped = Math.max(-1, Math.min(1, sample));
+        view.setInt16(44 + i * 2, clamped < 0 ? clamped * 32768 : clamped * 32767, true);
+    });
+    return new Blob([view], { type: 'audio/wav' });
+}
+
+// 16-bit mono FLAC from samples in [-1, 1]. Each block is coded with the fixed predictor that leaves the smallest
+// residual, Rice-coded in as many partitions as pay off. Speech shrinks to about half the size of WAV.
+const FLAC_BLOCK_SIZE = 4096;
+const FLAC_MAX_PARTITION_ORDER = 4;
+
+function encodeFlac(samples, sampleRate) {
+    const writer = createBitWriter(samples.length * 2 + 1024);
+    const pcm = Int16Array.from(samples, sample => {
+        const clamped = Math.max(-1, Math.min(1, sample));
+        return clamped < 0 ? clamped * 32768 : clamped * 32767;
+    });
+    writer.write(0x664c6143, 32); // "fLaC"
+    writer.write(0x80, 8);        // Last metadata block, STREAMINFO
+    writer.write(34, 24);
+    writer.write(FLAC_BLOCK_SIZE, 16);
+    writer.write(FLAC_BLOCK_SIZE, 16);
+    writer.write(0, 24);          // Frame sizes unknown
+    writer.write(0, 24);
+    writer.write(sampleRate, 20);
+    writer.write(0, 3);           // Mono
+    writer.write(15, 5);          // 16 bits per sample
+    writer.write(Math.floor(pcm.length / 2 ** 32), 4);
+    writer.write(pcm.length >>> 0, 32);
+    for (let i = 0; i < 4; i++) writer.write(0, 32); // No MD5 signature
+    for (let start = 0, frame = 0; start < pcm.length; start += FLAC_BLOCK_SIZE, frame++) {
+        writeFlacFrame(writer, pcm.subarray(start, start + FLAC_BLOCK_SIZE), frame);
+    }
+    return new Blob([writer.bytes()], { type: 'audio/flac' });
+}
+
+function writeFlacFrame(writer, block, frame) {
+    const frameStart = writer.length;
+    writer.write(0xfff8, 16);     // Sync code, fixed block size
+    writer.write(0x70, 8);        // Block size in 16 bits at the end of the header, sample rate from STREAMINFO
+    writer.write(0x08, 8);        // Mono, 16 bits per sample
+    writeUtf8Number(writer, frame);
+    writer.write(block.length - 1, 16);
+    writer.write(crc8(writer.view(frameStart)), 8);
+
+    if (block.every(sample => sample === block[0])) {
+        writer.write(0, 8);       // CONSTANT subframe
+        writer.write(block[0], 16);
+    } else {
+        const coded = chooseFlacPredictor(block);
+        if (coded.bits >= block.length * 16) {
+            writer.write(0x02, 8); // VERBATIM subframe
+            block.forEach(sample => writer.write(sample, 16));
+        } else {
+            writer.write((0x08 | coded.order) << 1, 8); // FIXED subframe
+            for (let i = 0; i < coded.order; i++) writer.write(block[i], 16);
+            writer.write(0, 2);   // 4-bit Rice parameters
+            writer.write(coded.partitionOrder, 4);
+            let index = 0;
+            coded.parameters.forEach((parameter, partition) => {
+                writer.write(parameter, 4);
+                const end = (partition + 1) * (block.length >> coded.partitionOrder) - coded.order;
+                for (; index < end; index++) {
+                    const value = coded.residual[index];
+                    writer.writeRice(value >= 0 ? value * 2 : -value * 2 - 1, parameter);
+                }
+            });
+        }
+    }
+    writer.align();
+    writer.write(crc16(writer.view(frameStart)), 16);
+}
+
+// The fixed predictor (order 0 to 4) and partitioning that code the block in the fewest bits
+function chooseFlacPredictor(block) {
+    let best = null;
+    for (let order = 0; order <= Math.min(4, block.length - 1); order++) {
+        const residual = new Int32Array(block.length - order);
+        for (let i = order; i < block.length; i++) {
+            const x = block[i], a = block[i - 1], b = block[i - 2], c = block[i - 3], d = block[i - 4];
+            residual[i - order] = order === 0 ? x
+                : order === 1 ? x - a
+                : order === 2 ? x - 2 * a + b
+                : order === 3 ? x - 3 * a + 3 * b - c
+                : x - 4 * a + 6 * b - 4 * c + d;
+        }
+        const unsigned = Uint32Array.from(residual, value => value >= 0 ? value * 2 : -value * 2 - 1);
+        for (let partitionOrder = 0; partitionOrder <= FLAC_MAX_PARTITION_ORDER; partitionOrder++) {
+            const partitionSize = block.length >> partitionOrder;
+            // Partitions must split the block evenly, and the first one still needs room after the warm-up samples
+            if (partitionSize << partitionOrder !== block.length || partitionSize <= order) break;
+            let bits = 8 + order * 16 + 6;
+            const parameters = [];
+            for (let partition = 0; partition < 1 << partitionOrder; partition++) {
+                const start = Math.max(0, partition * partitionSize - order);
+                const { parameter, cost } = chooseRiceParameter(unsigned.subarray(start, (partition + 1) * partitionSize - order));
+                parameters.push(parameter);
+                bits += 4 + cost;
+            }
+            if (!best || bits < best.bits) best = { order, residual, partitionOrder, parameters, bits };
+        }
+    }
+    return best;
+}
+
+function chooseRiceParameter(values) {
+    let best = { parameter: 0, cost: Infinity };
+    for (let parameter = 0; parameter <= 14; parameter++) {
+        let cost = values.length * (parameter + 1);
+        for (let i = 0; i < values.length; i++) cost += values[i] >>> parameter;
+        if (cost < best.cost) best = { parameter, cost };
+    }
+    return best;
+}
+
+// Frame numbers are coded like UTF-8 characters
+function writeUtf8Number(writer, value) {
+    if (value < 0x80) {
+        writer.write(value, 8);
+        return;
+    }
+    const extra = value < 0x800 ? 1 : value < 0x10000 ? 2 : value < 0x200000 ? 3 : value < 0x4000000 ? 4 : 5;
+    writer.write(((0xff00 >> (extra + 1)) & 0xff) | (value >>> (extra * 6)), 8);
+    for (let i = extra - 1; i >= 0; i--) writer.write(0x80 | ((value >>> (i * 6)) & 0x3f), 8);
+}
+
+function crc8(bytes) {
+    let crc = 0;
+    for (const byte of bytes) {
+        crc ^= byte;
+        for (let bit = 0; bit < 8; bit++) crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xff : (crc << 1) & 0xff;
+    }
+    return crc;
+}
+
+function crc16(bytes) {
+    let crc = 0;
+    for (const byte of bytes) {
+        crc ^= byte << 8;
+        for (let bit = 0; bit < 8; bit++) crc = crc & 0x8000 ? ((crc << 1) ^ 0x8005) & 0xffff : (crc << 1) & 0xffff;
+    }
+    return crc;
+}
+
+// Writes bits most significant first into a buffer that grows as needed
+function createBitWriter(capacity) {
+    let buffer = new Uint8Array(capacity);
+    let length = 0;
+    let current = 0;
+    let count = 0;
+    const pushBit = (bit) => {
+        current = (current << 1) | bit;
+        if (++count < 8) return;
+        if (length === buffer.length) {
+            const grown = new Uint8Array(buffer.length * 2);
+            grown.set(buffer);
+            buffer = grown;
+        }
+        buffer[length++] = current;
+        current = 0;
+        count = 0;
+    };
+    return {
+        get length() { return length; },
+        write(value, bits) {
+            for (let i = bits - 1; i >= 0; i--) pushBit((value >>> i) & 1);
+        },
+        // value in unary (that many zeros and a one), then its low parameter bits
+        writeRice(value, parameter) {
+            for (let i = value >>> parameter; i > 0; i--) pushBit(0);
+            pushBit(1);
+            this.write(value, parameter);
+        },
+        align() {
+            while (count > 0) pushBit(0);
+        },
+        view(start) {
+            return buffer.subarray(start, length);
+        },
+        bytes() {
+            return buffer.slice(0, length);
+        },
+    };
+}
+
+// --- Uploads ---
+// format is 'wav' or 'flac'
+function encodeAudio(samples, sampleRate, format) {
+    return format === 'flac' ? encodeFlac(samples, sampleRate) : encodeWav(samples, sampleRate);
+}
+
+// Encodes samples as one part or, when that is larger than maxBytes (null for no limit), as several, each cut at
+// the quietest moment near its middle. Returns [{ blob, start, end }] with start and end in samples.
+function encodeUploadParts(samples, sampleRate, format, maxBytes, offset = 0) {
+    const blob = encodeAudio(samples, sampleRate, format);
+    const minLength = sampleRate; // A second of audio always fits; never cut finer than that
+    if (!maxBytes || blob.size <= maxBytes || samples.length < minLength * 2) {
+        return [{ blob, start: offset, end: offset + samples.length }];
+    }
+    const cut = findQuietestCut(samples, sampleRate);
+    return [
+        ...encodeUploadParts(samples.subarray(0, cut), sampleRate, format, maxBytes, offset),
+        ...encodeUploadParts(samples.subarray(cut), sampleRate, format, maxBytes, offset + cut),
+    ];
+}
+
+// Start of the quietest 20 ms in the middle third, so a cut rarely falls inside a word
+function findQuietestCut(samples, sampleRate) {
+    const frameLength = Math.round(sampleRate / 50);
+    let best = { start: Math.floor(samples.length / 2), energy: Infinity };
+    for (let start = Math.floor(samples.length / 3); start + frameLength <= (samples.length * 2) / 3; start += frameLength) {
+        let energy = 0;
+        for (let i = start; i < start + frameLength; i++) energy += samples[i] * samples[i];
+        if (energy < best.energy) best = { start, energy };
+    }
+    return best.start;
+}
@@ -0,0 +1,74 @@
+// autostart.js
+// Auto-start rules: sites such as a video-call or course platform where tabs are transcribed without going to the
+// side panel first. Loaded by the background worker (importScripts), which watches the tabs, and the side panel,
+// which edits the rules. When a tab on a rule's site becomes active, the worker offers to start with a notification
+// or starts right away, and a recording started that way stops once the tab leaves the site.
+// Chrome only lets the extension capture a tab the user invoked it on (the shortcut, the page's context menu), which
+// a tab becoming active or a click on a notification is not. So rules that record the tab only ever offer: the
+// notification says how to start, and starting that way on the tab uses the rule. Microphone rules can start from
+// the notification's button or by themselves.
+//
+// A pattern is a site with an optional path, such as "meet.google.com" or "*.zoom.us/j/*". * in the path matches
+// anything; the site may only start with "*." (the domain and all its subdomains), since it is also what access is
+// asked for: without it the worker cannot see a tab's address. The query and fragment are not part of the path, so
+// "meet.google.com/abc-defg-hij" also matches "https://meet.google.com/abc-defg-hij?authuser=0".
+
+const AUTO_START_RULES_KEY = 'autoStartRules'; // [{ id, pattern, source, providerId, action }]
+const AUTO_START_SOURCES = { tab: "Tab", tabmic: "Tab + Microphone", mic: "Microphone" };
+const AUTO_START_ACTIONS = { ask: "Ask first", start: "Start right away (microphone only)" };
+
+// In the order they are tried. A rule's providerId goes ahead of the side panel's provider order; null keeps it.
+async function getAutoStartRules() {
+    const { [AUTO_START_RULES_KEY]: stored } = await chrome.storage.local.get(AUTO_START_RULES_KEY);
+    return Array.isArray(stored) ? stored : [];
+}
+
+function saveAutoStartRules(rules) {
+    return chrome.storage.local.set({ [AUTO_START_RULES_KEY]: rules });
+}
+
+// Whether the worker can start the rule's recording without the user invoking the extension on the tab
+function canStartWithoutInvocation(rule) {
+    return rule.source === 'mic';
+}
+
+// --- Patterns ---
+// { host, path } of a pattern, or throws with what is wrong with it. A scheme is allowed and ignored.
+function parseSitePattern(pattern) {
+    const text = pattern.trim().replace(/^[a-z]+:\/\//i, '');
+    const slash = text.indexOf('/');
+    const host = (slash === -1 ? text : text.slice(0, slash)).toLowerCase();
+    const path = slash === -1 ? '/*' : text.slice(slash);
+    if (!/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(host)) {
+        throw new Error(`"${pattern.trim()}" is not a site. Use a pattern such as meet.google.com or *.zoom.us/j/*.`);
+    }
+    return { host, path };
+}
+
+// The host permission the rule needs, e.g. "*://*.zoom.us/*"
+function getRuleOrigin(rule) {
+    return `*://${parseSitePattern(rule.pattern).host}/*`;
+}
+
+function matchesAutoStartRule(rule, address) {
+    let url;
+    let pattern;
+    try {
+        url = new URL(address);
+        pattern = parseSitePattern(rule.pattern);
+    } catch {
+        return false;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return false;
+    const hostname = url.hostname.toLowerCase();
+    const hostMatches = pattern.host.startsWith('*.')
+        ? hostname === pattern.host.slice(2) || hostname.endsWith(pattern.host.slice(1))
+        : hostname === pattern.host;
+    const path = new RegExp(`^${pattern.path.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+    return hostMatches && path.test(url.pathname);
+}
+
+// The first rule in the list that matches the address, or null
+function findAutoStartRule(rules, address) {
+    return rules.find(rule => matchesAutoStartRule(rule, address)) || null;
+}
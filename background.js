@@ -1,33 +1,35 @@
+importScripts('providers.js', 'translation.js', 'db.js', 'speakers.js', 'exporters.js', 'summary.js', 'vad.js', 'glossary.js', 'recording-state.js', 'credentials.js', 'webhook.js', 'captions.js', 'autostart.js', 'redaction.js');
+
 // --- State ---
-let capturedTabId = null;
-let apiKey = null;
-let audioSource = 'tab';
-const OFFLINE_QUEUE_KEY = 'offlineAudioQueue';
+// The recording itself is described by the state machine in recording-state.js, kept in chrome.storage.session,
+// since this worker may be suspended and restarted at any time during a session
+const OFFLINE_QUEUE_KEY = 'offlineAudioQueue'; // Queue of older versions in chrome.storage.local, moved to IndexedDB
 
 // --- Offscreen Document Management ---
 const OFFSCREEN_DOCUMENT_PATH = 'offscreen.html';
+let creatingOffscreenDocument = null; // Only one offscreen document may exist, so concurrent callers share one creation
 async function hasOffscreenDocument() {
     const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'], documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH)] });
     return contexts.length > 0;
 }
 async function setupOffscreenDocument() {
-    if (!(await hasOffscreenDocument())) {
-        await chrome.offscreen.createDocument({
+    if (await hasOffscreenDocument()) return;
+    if (!creatingOffscreenDocument) {
+        creatingOffscreenDocument = chrome.offscreen.createDocument({
             url: OFFSCREEN_DOCUMENT_PATH,
-            reasons: ['USER_MEDIA'],
-            justification: 'Audio processing for transcription',
-        });
+            reasons: ['USER_MEDIA', 'WORKERS'],
+            justification: 'Audio processing and on-device transcription',
+        }).finally(() => { creatingOffscreenDocument = null; });
     }
+    await creatingOffscreenDocument;
 }
 
 // --- Message Handling ---
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     switch (message.action) {
         case 'startRecording':
-            apiKey = message.apiKey;
-            audioSource = message.source;
-            startRecording()
-                .then(() => sendResponse({ success: true }))
+            startRecording({ source: message.source, privateSession: message.privateSession })
+                .then(session => sendResponse({ success: true, sessionId: session.id }))
                 .catch(err => sendResponse({ success: false, error: err.message }));
             return true;
         case 'stopRecording':
@@ -35,153 +37,1172 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             sendResponse({ success: true });
             break;
         case 'pauseRecording':
-            chrome.runtime.sendMessage({ action: 'pauseOffscreenRecording' });
+            pauseRecording();
             break;
         case 'resumeRecording':
-            chrome.runtime.sendMessage({ action: 'resumeOffscreenRecording' });
+            resumeRecording();
             break;
         case 'processAudioChunk':
-            handleAudioChunk(message.audioChunk);
+            handleAudioChunk(message);
+            break;
+        case 'streamingResult':
+            handleStreamingResult(message);
+            break;
+        case 'streamingFallback':
+            updateStatus("Streaming unavailable. Using batch uploads...");
+            console.warn("Streaming fell back to batch uploads:", message.reason);
+            break;
+        case 'addBookmark':
+            addBookmark();
+            break;
+        case 'startFileTranscription':
+            startFileTranscription(message)
+                .then(result => sendResponse({ success: true, ...result }))
+                .catch(err => sendResponse({ success: false, error: err.message }));
+            return true;
+        case 'transcribeFileChunk':
+            transcribeFileChunk(message)
+                .then(() => sendResponse({ success: true }))
+                .catch(err => sendResponse({ success: false, error: err.message }));
+            return true;
+        case 'finishFileTranscription':
+            finishFileSession(message.sessionId);
+            break;
+        case 'testWebhook':
+            testWebhook()
+                .then(() => sendResponse({ success: true }))
+                .catch(err => sendResponse({ success: false, error: err.message }));
+            return true;
+        case 'retryDelivery':
+            retryDelivery(message.id).catch(error => console.error("Error in retryDelivery:", error));
             break;
-        case 'recordingError':
-            handleError(new Error(message.error));
+        case 'retryQueuedChunk':
+            retryQueuedChunk(message.id);
             break;
+        case 'discardQueuedChunk':
+            discardQueuedChunk(message.id);
+            break;
+        case 'testProviderKey':
+            testProviderKey(message.id)
+                .then(() => sendResponse({ success: true }))
+                .catch(err => sendResponse({ success: false, error: err.message, unreachable: isConnectivityError(err) }));
+            return true;
+        case 'summarizeSession':
+            summarizeSession(message.sessionId)
+                .then(summary => sendResponse({ success: true, summary }))
+                .catch(err => sendResponse({ success: false, error: err.message }));
+            return true;
+        case 'askTranscript':
+            askTranscript(message.sessionId, message.question)
+                .then(answer => sendResponse({ success: true, answer }))
+                .catch(err => sendResponse({ success: false, error: err.message }));
+            return true;
     }
     return false;
 });
 
 // --- Core Recording Logic ---
-async function startRecording() {
+const OFFSCREEN_STOP_TIMEOUT = 10000; // ms to wait for the offscreen document to send its last chunks
+
+// tabId is the tab to capture, the active one when not given (shortcuts and the context menu name theirs).
+// isPrivate sessions use the on-device engine only, so no audio leaves the machine. ruleId and preferredProvider come
+// from an auto-start rule, see Auto-Start Rules.
+async function startRecording({ source, privateSession: isPrivate, tabId = null, ruleId = null, preferredProvider = null }) {
+    if (!canTransition((await getRecordingState()).status, 'starting')) {
+        throw new Error("A recording is already in progress.");
+    }
+    await transitionRecordingState('starting', {
+        ...IDLE_RECORDING_STATE,
+        source,
+        private: Boolean(isPrivate),
+        ruleId,
+        ruleTabId: ruleId ? tabId : null,
+        preferredProvider,
+    });
     try {
+        await checkProviderAccess(Boolean(isPrivate));
         await setupOffscreenDocument();
         let streamId;
+        let tabDetails = {};
+        let capturedTabId = null;
 
-        if (audioSource === 'tab') {
-            const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (source === 'tab' || source === 'tabmic') {
+            const [activeTab] = tabId ? [await chrome.tabs.get(tabId)] : await chrome.tabs.query({ active: true, currentWindow: true });
             if (!activeTab) throw new Error("Could not find active tab.");
             capturedTabId = activeTab.id;
             streamId = await chrome.tabCapture.getMediaStreamId({ targetTabId: capturedTabId });
+            tabDetails = { tabTitle: activeTab.title, tabUrl: activeTab.url };
         }
 
-        chrome.runtime.sendMessage({
+        const {
+            [TRANSCRIPTION_MODE_KEY]: mode = 'batch',
+            [DIARIZATION_KEY]: diarize = false,
+            [KEEP_AUDIO_KEY]: keepAudio = false,
+            [VAD_SETTINGS_KEY]: vad,
+            [SESSION_VOCABULARY_KEY]: vocabulary = [],
+            [KEEP_UNREDACTED_KEY]: keepUnredacted = false,
+        } = await chrome.storage.local.get([TRANSCRIPTION_MODE_KEY, DIARIZATION_KEY, KEEP_AUDIO_KEY, VAD_SETTINGS_KEY, SESSION_VOCABULARY_KEY, KEEP_UNREDACTED_KEY]);
+        // Streaming sends audio to a remote server, which a private session never does
+        const streaming = mode === 'streaming' && !isPrivate ? await getStreamingConfig() : null;
+
+        // Every recording is kept as its own session, so starting a new one never discards the last.
+        // It is created first because the offscreen document files kept audio under its id.
+        const session = await createSession({ source, private: isPrivate, keepAudio, keepUnredacted, vocabulary, ...tabDetails });
+        if (streaming) streaming.vocabulary = limitVocabulary(await getVocabulary(session.id));
+        // In the state before the capture starts, so its first chunks find their session
+        await updateRecordingState({ sessionId: session.id, tabId: capturedTabId, diarize });
+        await chrome.storage.local.set({ currentSessionId: session.id });
+
+        const response = await chrome.runtime.sendMessage({
             action: 'startOffscreenRecording',
             streamId: streamId,
-            source: audioSource
+            source,
+            streaming,
+            diarize,
+            keepAudio,
+            sessionId: session.id,
+            vad: getVadSettings(vad),
+            encoding: await getChunkEncoding(Boolean(isPrivate)),
         });
+        if (!response?.success) throw new Error(response?.error || "The recording could not be started.");
 
-        await chrome.storage.local.set({ recordingState: 'recording', startTime: Date.now(), transcript: [] });
+        await transitionRecordingState('recording');
+        return session;
     } catch (error) {
         console.error("Error in startRecording:", error);
-        handleError(error);
+        await failRecording(error);
         throw error;
     }
 }
 
-function stopRecording() {
-    if (chrome.runtime.id) {
-        chrome.runtime.sendMessage({ action: 'stopOffscreenRecording' });
-        chrome.storage.local.set({ recordingState: 'idle' });
-        chrome.runtime.sendMessage({ action: 'recordingStopped' });
-        capturedTabId = null;
+// The side panel asks for these permissions before it starts; a shortcut or the context menu cannot, so a
+// recording started from one fails early instead of on its first chunk. The keys are tested here too, however the
+// recording was started.
+async function checkProviderAccess(isPrivate) {
+    if (isPrivate) {
+        const { config } = await getOnDeviceProvider();
+        if (!(await isOnDeviceEngineInstalled(config.model))) throw new Error(LOCAL_ENGINE_MISSING_MESSAGE);
+        return;
+    }
+    const { [TRANSCRIPTION_MODE_KEY]: mode = 'batch' } = await chrome.storage.local.get(TRANSCRIPTION_MODE_KEY);
+    const providers = await getActiveProviders();
+    // Streaming needs no upload provider, they only serve as the batch fallback
+    if (providers.length === 0 && mode !== 'streaming') {
+        throw new Error("Please enable a transcription provider and enter its API key.");
     }
+    const origins = providers.filter(({ provider }) => !provider.local).map(({ config }) => `${new URL(config.baseUrl).origin}/*`);
+    if (origins.length > 0 && !(await chrome.permissions.contains({ origins }))) {
+        throw new Error("Start once from the side panel to allow access to the provider's base URL.");
+    }
+    await verifyProviderKeys(providers);
+}
+
+// Provider configs whose key passed a test since the worker started, so a key is tried once rather than at every start
+const verifiedProviderKeys = new Set();
+
+// Like the side panel's check, only a refused key stops the start: a provider that cannot be reached may be back by
+// the first chunk, and until then its chunks wait in the queue
+async function verifyProviderKeys(providers) {
+    for (const { id, provider, config } of providers) {
+        const signature = JSON.stringify([id, config]);
+        if (!provider.requiresKey || verifiedProviderKeys.has(signature)) continue;
+        try {
+            await provider.testKey(config);
+            verifiedProviderKeys.add(signature);
+        } catch (error) {
+            if (!isConnectivityError(error)) throw new Error(`${provider.label}: ${error.message}`);
+        }
+    }
+}
+
+// How the chunks of a session are encoded (see getUploadEncoding). The whole chain counts, not only the providers
+// that are reachable now, since queued chunks are sent once the others are back.
+async function getChunkEncoding(isPrivate, formats) {
+    return getUploadEncoding(isPrivate ? [await getOnDeviceProvider()] : await getActiveProviders(), formats);
+}
+
+// The session ends once the offscreen document has sent its last chunks
+async function stopRecording() {
+    const state = await getRecordingState();
+    if (!canTransition(state.status, 'stopping')) return;
+    await transitionRecordingState('stopping');
+    await finishStopping(state.sessionId);
+}
+
+async function finishStopping(sessionId) {
+    await stopOffscreenCapture();
+    if (sessionId) await finishSession(sessionId);
+    await transitionRecordingState('idle', { tabId: null });
+}
+
+async function pauseRecording() {
+    if ((await getRecordingState()).status !== 'recording') return;
+    chrome.runtime.sendMessage({ action: 'pauseOffscreenRecording' });
+    await markSessionPaused();
+    await transitionRecordingState('paused');
+}
+
+async function resumeRecording() {
+    if ((await getRecordingState()).status !== 'paused') return;
+    chrome.runtime.sendMessage({ action: 'resumeOffscreenRecording' });
+    await markSessionResumed();
+    await transitionRecordingState('recording');
+}
+
+// Resolves once the offscreen document has stopped capturing, or after OFFSCREEN_STOP_TIMEOUT if it does not answer
+async function stopOffscreenCapture() {
+    if (!(await hasOffscreenDocument())) return;
+    const timeout = new Promise(resolve => setTimeout(resolve, OFFSCREEN_STOP_TIMEOUT));
+    await Promise.race([chrome.runtime.sendMessage({ action: 'stopOffscreenRecording' }).catch(() => {}), timeout]);
+}
+
+// Ends the recording and keeps the error in the state, where the side panel and the badge show it until the next
+// start. An error while stopping changes nothing: the recording is ending anyway.
+async function failRecording(error) {
+    const state = await getRecordingState();
+    if (!canTransition(state.status, 'error')) return;
+    await transitionRecordingState('error', { error: error.message, tabId: null });
+    await stopOffscreenCapture();
+    if (state.sessionId) await finishSession(state.sessionId);
 }
 
 function handleError(error) {
     console.error("Handling error:", error.message);
-    if (chrome.runtime.id) {
-        chrome.runtime.sendMessage({ action: 'error', error: error.message });
-        stopRecording();
+    if (chrome.runtime.id) failRecording(error);
+}
+
+// --- Recording State ---
+// Transitions run one at a time and are checked against RECORDING_TRANSITIONS (recording-state.js). Every change
+// lands in chrome.storage.session; the badge, the context menu and the side panel follow its onChanged event.
+let stateUpdate = Promise.resolve();
+
+// Moves to status, merging changes into the state; rejects when the state machine does not allow it
+function transitionRecordingState(status, changes = {}) {
+    return writeRecordingState(state => {
+        if (!canTransition(state.status, status)) {
+            throw new Error(`The recording cannot go from ${state.status} to ${status}.`);
+        }
+        const now = Date.now();
+        const next = { ...state, ...changes, status };
+        // Time is counted in recordedMs whenever recording stops or pauses, and from resumedAt while it runs
+        if (state.status === 'recording') next.recordedMs = getRecordedMs(state, now);
+        next.resumedAt = status === 'recording' ? now : null;
+        if (status !== 'error') next.error = null;
+        return next;
+    });
+}
+
+// Changes details of the current state without moving it
+function updateRecordingState(changes) {
+    return writeRecordingState(state => ({ ...state, ...changes }));
+}
+
+function writeRecordingState(update) {
+    const result = stateUpdate.then(async () => {
+        const next = update(await getRecordingState());
+        await chrome.storage.session.set({ [RECORDING_STATE_KEY]: next });
+        return next;
+    });
+    stateUpdate = result.catch(() => {});
+    return result;
+}
+
+// A restarted worker finds the state where it was left, but the recording may have ended without it (the
+// offscreen document crashed or was closed). The offscreen document knows, so it is asked.
+async function restoreRecordingState() {
+    const state = await getRecordingState();
+    if (!isRecordingLive(state)) return;
+    const status = await hasOffscreenDocument()
+        ? await chrome.runtime.sendMessage({ action: 'getOffscreenStatus' }).catch(() => null)
+        : null;
+    const capturing = Boolean(status?.recording) && status.sessionId === state.sessionId;
+    if (state.status === 'stopping') {
+        await finishStopping(state.sessionId);
+    } else if (!capturing) {
+        await failRecording(new Error("The recording was interrupted."));
+    } else if (state.status === 'starting') {
+        await transitionRecordingState('recording');
+    } else if (status.paused !== (state.status === 'paused')) {
+        // A pause or resume the worker sent but did not get to record
+        await transitionRecordingState(status.paused ? 'paused' : 'recording');
+    }
+}
+
+// --- Shortcuts, Context Menu & Badge ---
+// The side panel, the keyboard shortcuts (manifest "commands") and the page context menu all control recording
+// through the functions above.
+const BADGE_ALARM = 'recordingBadge';
+const BADGE_UPDATE_MINUTES = 0.5; // The badge shows whole minutes; alarms cannot fire more often anyway
+const BADGE_COLORS = { recording: '#dc2626', paused: '#eab308', error: '#dc2626', starting: '#64748b', stopping: '#64748b' };
+const CONTEXT_MENU_ID = 'transcribeTab';
+
+async function updateRecordingBadge(state) {
+    if (state.status === 'idle') {
+        await chrome.alarms.clear(BADGE_ALARM);
+        await chrome.action.setBadgeText({ text: '' });
+        await chrome.action.setTitle({ title: chrome.runtime.getManifest().action.default_title });
+        return;
+    }
+    const minutes = Math.floor(getRecordedMs(state) / 60000);
+    const badges = {
+        starting: ['…', "Starting..."],
+        stopping: ['…', "Stopping..."],
+        error: ['!', `Transcription stopped: ${state.error}`],
+        paused: [null, `Paused (${minutes} min)`],
+        recording: [null, `Recording (${minutes} min)`],
+    };
+    const [symbol, title] = badges[state.status];
+    const text = symbol || (minutes < 60 ? `${minutes}m` : `${Math.floor(minutes / 60)}h${(minutes % 60).toString().padStart(2, '0')}`);
+    await chrome.action.setBadgeBackgroundColor({ color: BADGE_COLORS[state.status] });
+    await chrome.action.setBadgeText({ text });
+    await chrome.action.setTitle({ title });
+    // Only a running recording needs the minutes counted up
+    if (state.status === 'recording') await chrome.alarms.create(BADGE_ALARM, { periodInMinutes: BADGE_UPDATE_MINUTES });
+    else await chrome.alarms.clear(BADGE_ALARM);
+}
+
+function updateContextMenu(state) {
+    const recording = state.status === 'recording' || state.status === 'paused';
+    chrome.contextMenus.update(CONTEXT_MENU_ID, { title: recording ? "Stop transcribing" : "Transcribe this tab" }, () => chrome.runtime.lastError);
+}
+
+// Shortcuts and the context menu start with the source and privacy chosen in the side panel; tab is the tab they
+// were used in. On a tab with an auto-start offer they start with its rule instead, which is how a rule that
+// records the tab gets started (see Auto-Start Rules). Presses while starting or stopping are ignored.
+async function toggleRecording(tab, source) {
+    const { status } = await getRecordingState();
+    if (status === 'recording' || status === 'paused') {
+        await stopRecording();
+    } else if (status === 'idle' || status === 'error') {
+        if (tab && await startOfferedRule(tab)) return;
+        const { audioSource = 'tab', privateSession = false } = await chrome.storage.local.get(['audioSource', 'privateSession']);
+        // Failures are already in the state
+        await startRecording({ source: source || audioSource, privateSession, tabId: tab?.id }).catch(() => {});
+    }
+}
+
+async function togglePause() {
+    const { status } = await getRecordingState();
+    if (status === 'recording') await pauseRecording();
+    else if (status === 'paused') await resumeRecording();
+}
+
+// A bookmark is { id, timestamp, offset }: the wall-clock time, and ms of recorded media since the session
+// started (pauses left out), like an entry's startOffset. The offset is the time the side panel's timer shows.
+async function addBookmark() {
+    const state = await getRecordingState();
+    if ((state.status !== 'recording' && state.status !== 'paused') || !state.sessionId) return;
+    const { sessionId } = state;
+    const bookmark = { id: crypto.randomUUID(), timestamp: new Date().toISOString(), offset: getRecordedMs(state) };
+    const session = await updateSession(sessionId, ({ bookmarks = [] }) => ({ bookmarks: [...bookmarks, bookmark] }));
+    if (session && chrome.runtime.id) {
+        chrome.runtime.sendMessage({ action: 'bookmarkAdded', sessionId, bookmark });
+    }
+}
+
+chrome.storage.session.onChanged.addListener((changes) => {
+    if (!changes[RECORDING_STATE_KEY]) return;
+    const state = { ...IDLE_RECORDING_STATE, ...changes[RECORDING_STATE_KEY].newValue };
+    updateRecordingBadge(state);
+    updateContextMenu(state);
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+    if (command === 'toggle-recording') toggleRecording(tab);
+    else if (command === 'toggle-pause') togglePause();
+    else if (command === 'add-bookmark') addBookmark();
+});
+
+chrome.runtime.onInstalled.addListener(async () => {
+    chrome.contextMenus.create({ id: CONTEXT_MENU_ID, title: "Transcribe this tab", contexts: ['all'] }, () => chrome.runtime.lastError);
+    // Older versions kept the recording state in chrome.storage.local
+    await chrome.storage.local.remove(['recordingState', 'startTime', 'pausedTime', 'secondsElapsed']);
+    await migratePlainKeys();
+    updateRecordingBadge(await getRecordingState());
+});
+
+// "Transcribe this tab" always captures the tab it was used in, whatever the side panel's source is
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    if (info.menuItemId === CONTEXT_MENU_ID) toggleRecording(tab, 'tab');
+});
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name === BADGE_ALARM) updateRecordingBadge(await getRecordingState());
+});
+
+// --- File Transcription ---
+// The side panel decodes an uploaded file and splits it on silence (it has Web Audio, this worker does not), then
+// sends the parts one at a time. They go through the same provider chain as recorded chunks. Their offsets are
+// positions in the file, and their capture time is the session start plus that offset, so the lines stay in order.
+
+// duration is the file's length in seconds. Resolves with { sessionId, encoding }; the side panel encodes the
+// parts from decoded samples, so never as WebM.
+async function startFileTranscription({ name, duration, privateSession: isPrivate }) {
+    if (isRecordingLive(await getRecordingState())) throw new Error("Stop the recording before transcribing a file.");
+    await checkProviderAccess(Boolean(isPrivate));
+    // Streaming only works on live audio, so a file always needs an upload provider
+    if (!isPrivate && (await getActiveProviders()).length === 0) {
+        throw new Error("Please enable a transcription provider and enter its API key.");
+    }
+    const {
+        [SESSION_VOCABULARY_KEY]: vocabulary = [],
+        [KEEP_UNREDACTED_KEY]: keepUnredacted = false,
+    } = await chrome.storage.local.get([SESSION_VOCABULARY_KEY, KEEP_UNREDACTED_KEY]);
+    const session = await createSession({ source: 'file', name, private: isPrivate, keepUnredacted, vocabulary });
+    await updateSession(session.id, { duration });
+    await chrome.storage.local.set({ currentSessionId: session.id });
+    return { sessionId: session.id, encoding: await getChunkEncoding(Boolean(isPrivate), UPLOAD_FORMATS.filter(format => format !== 'webm')) };
+}
+
+// Every part has been sent by then, so the session goes to the webhook right away
+async function finishFileSession(sessionId) {
+    await updateSession(sessionId, { endedAt: new Date().toISOString() });
+    await queueWebhookDelivery('session', sessionId);
+}
+
+// Rejects when the part could not be transcribed; it then waits in the queue like a recorded chunk
+async function transcribeFileChunk({ sessionId, uploadId, startOffset, endOffset }) {
+    const session = await getSession(sessionId);
+    if (!session) throw new Error("The session was deleted.");
+    const { [DIARIZATION_KEY]: diarize = false } = await chrome.storage.local.get(DIARIZATION_KEY);
+    const chunk = {
+        uploadId,
+        capturedAt: new Date(Date.parse(session.startedAt) + startOffset).toISOString(),
+        startOffset,
+        endOffset,
+        sessionId,
+        source: 'file',
+        private: session.private,
+        diarize,
+    };
+    if (!navigator.onLine && (await getProviderChain(chunk)).length === 0) {
+        await addToOfflineQueue(chunk);
+        throw new Error("Offline. The part waits in the queue.");
+    }
+    try {
+        await transcribeAudio(chunk);
+    } catch (error) {
+        await addToOfflineQueue(chunk, error);
+        throw error;
     }
 }
 
 // --- Audio & Transcription Handling ---
-async function handleAudioChunk(audioBase64) {
-    if (!navigator.onLine) {
+// A chunk is { uploadId, capturedAt, startOffset, endOffset, channel, features, audioChunkId }; uploadId names its
+// encoded audio (see db.js), channel is 'tab' or 'mic' in Tab + Microphone mode, features are the speaker features
+// measured while recording it (see speakers.js), and audioChunkId names the stored audio when the session keeps it.
+// Chunks queued by older versions carry base64 WAV in audioChunk instead of an upload.
+async function handleAudioChunk(message) {
+    // Pin the chunk to its session now, in case it is only transcribed after the session has ended
+    const state = await getRecordingState();
+    const chunk = {
+        ...message,
+        sessionId: state.sessionId,
+        source: state.source,
+        private: state.private,
+        diarize: shouldDiarize(state, message.channel),
+        preferredProvider: state.preferredProvider,
+    };
+    // The on-device engine keeps working offline, so only buffer when no provider could handle the chunk
+    if (!navigator.onLine && (await getProviderChain(chunk)).length === 0) {
         updateStatus("Offline. Buffering audio...");
-        await addToOfflineQueue(audioBase64);
+        await addToOfflineQueue(chunk);
         return;
     }
     updateStatus("Transcribing...");
-    await transcribeAudio(audioBase64);
+    try {
+        await transcribeAudio(chunk);
+        updateStatus("Recording");
+    } catch (error) {
+        // The audio is kept either way: a connection problem is retried later, anything else waits for the user
+        await addToOfflineQueue(chunk, error);
+        if (error.connectivity) {
+            updateStatus("Connection problem. Buffering audio...");
+        } else {
+            handleError(error);
+        }
+    }
 }
 
-async function transcribeAudio(audioBase64) {
-    const services = [callGeminiApi, callWhisperApi, callDeepgramApi];
-    const errorMessages = []; // To collect specific errors from each API attempt
+// Commits the transcript of the chunk and drops its upload, or throws once every provider has failed. The error's
+// connectivity flag is set when all of them failed for connection reasons (see isConnectivityError).
+async function transcribeAudio(chunk) {
+    const audio = await loadChunkAudio(chunk);
+    const chain = await getProviderChain(chunk);
+    const vocabulary = await getVocabulary(chunk.sessionId);
+    const errorMessages = []; // To collect specific errors from each provider attempt
+    let connectivity = true;
+
+    if (chain.length === 0) {
+        throw new Error("No transcription provider is configured. Add an API key in the side panel.");
+    }
+    // The chain may have changed since the chunk was encoded for it
+    const format = getAudioFormat(audio.mimeType);
+    const providers = chain.filter(({ provider }) => provider.uploadFormats.includes(format));
+    if (providers.length === 0) {
+        throw new Error(`No enabled provider takes ${format.toUpperCase()} audio, the format this chunk was encoded in.`);
+    }
 
-    for (const service of services) {
+    for (const { id, provider, config } of providers) {
         try {
-            const result = await service(audioBase64, apiKey);
-            // More robust check for a valid transcript in the response
-            if (result?.candidates?.[0]?.content?.parts?.[0]?.text) {
-                const transcript = result.candidates[0].content.parts[0].text;
-                if (chrome.runtime.id) {
-                    chrome.runtime.sendMessage({ action: 'updateTranscript', transcript, source: audioSource });
-                }
-                updateStatus("Recording");
-                return; // Success, exit the loop
-            } else {
-                // Handle cases where the API returns a success status but no actual text
-                errorMessages.push(`${service.name}: Received an empty or invalid response.`);
+            const result = await provider.transcribe(audio, config, { diarize: chunk.diarize, vocabulary });
+            if (!result) {
+                // Handle cases where the API returns a success status but not the expected shape
+                errorMessages.push(`${provider.label}: Received an invalid response.`);
+                connectivity = false;
+                continue;
             }
+            // A well-formed empty result means the chunk held no speech, so there is nothing to fall back for
+            if (result.text) {
+                await commitTranscript(result, id, chunk);
+            }
+            if (audio.uploadId) await deleteUpload(audio.uploadId);
+            return; // Success, exit the loop
         } catch (error) {
-            console.warn(`Service ${service.name} failed:`, error.message);
-            errorMessages.push(`${service.name}: ${error.message}`); // Collect the specific error
+            console.warn(`Provider ${provider.label} failed:`, error.message);
+            errorMessages.push(`${provider.label}: ${error.message}`); // Collect the specific error
+            connectivity = connectivity && isConnectivityError(error);
         }
     }
-    
-    // If the loop completes without returning, all services have failed
-    const finalError = `Transcription failed. Details: ${errorMessages.join('; ')}`;
-    handleError(new Error(finalError));
+
+    // If the loop completes without returning, all providers have failed
+    const finalError = new Error(`Transcription failed. Details: ${errorMessages.join('; ')}`);
+    finalError.connectivity = connectivity;
+    throw finalError;
 }
 
+async function loadChunkAudio(chunk) {
+    if (!chunk.uploadId) return { blob: base64ToBlob(chunk.audioChunk, 'audio/wav'), mimeType: 'audio/wav', uploadId: null };
+    const upload = await getUpload(chunk.uploadId);
+    if (!upload) throw new Error("The audio of this chunk is no longer stored.");
+    return { blob: upload.blob, mimeType: upload.blob.type, uploadId: upload.id };
+}
 
-// --- API Services ---
-async function callGeminiApi(audioBase64, key, retries = 3, delay = 1000) {
-    const payload = { contents: [{ parts: [{ text: "Transcribe this audio." }, { inlineData: { mimeType: "audio/wav", data: audioBase64 } }] }] };
-    const API_URL = `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent?key=${key}`;
-    for (let i = 0; i < retries; i++) {
-        try {
-            const response = await fetch(API_URL, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) });
-            if (!response.ok) {
-                // Try to parse the error response from Google for a more specific message
-                const errorBody = await response.json();
-                const errorMessage = errorBody?.error?.message || `HTTP Error ${response.status}`;
-                throw new Error(errorMessage);
-            }
-            return await response.json();
-        } catch (error) {
-            console.error(`Gemini API attempt ${i + 1} failed:`, error.message);
-            if (i === retries - 1) throw error; // Re-throw the last error
-            await new Promise(resolve => setTimeout(resolve, delay * Math.pow(2, i))); // Exponential backoff
+// Streaming results arrive continuously: interim hypotheses replace each other, final ones become entries
+async function handleStreamingResult(message) {
+    if (!chrome.runtime.id) return;
+    // Every final result clears the grey interim line for its channel, even when it carries no text
+    if (!message.isFinal) {
+        const { rules } = await getGlossary();
+        const vocabulary = await getVocabulary(await getCurrentSessionId());
+        const { text: transcript } = redactText(applyGlossary(message.text, rules, vocabulary), await getRedactionSettings());
+        chrome.runtime.sendMessage({ action: 'interimTranscript', transcript, channel: message.channel });
+        showInterimCaption(message.channel, transcript).catch(error => console.error("Error in showInterimCaption:", error));
+        return;
+    }
+    chrome.runtime.sendMessage({ action: 'interimTranscript', transcript: '', channel: message.channel });
+    showInterimCaption(message.channel, '').catch(error => console.error("Error in showInterimCaption:", error));
+    if (!message.text) return;
+
+    const result = { text: message.text, segments: message.segments || [], words: message.words || [], language: null, confidence: message.confidence };
+    const state = await getRecordingState();
+    const chunk = {
+        capturedAt: message.capturedAt,
+        startOffset: message.startOffset,
+        endOffset: message.endOffset,
+        channel: message.channel,
+        sessionId: state.sessionId,
+        source: state.source,
+        diarize: shouldDiarize(state, message.channel),
+    };
+    await commitTranscript(result, 'streaming', chunk);
+}
+
+// --- Sessions ---
+// The session being (or last) recorded; chrome.storage.session is empty again after the browser restarted
+async function getCurrentSessionId() {
+    const { sessionId } = await getRecordingState();
+    if (sessionId) return sessionId;
+    const { currentSessionId = null } = await chrome.storage.local.get('currentSessionId');
+    return currentSessionId;
+}
+
+// The microphone in Tab + Microphone mode is always "You", so only the other streams are split into speakers
+function shouldDiarize(state, channel) {
+    return state.diarize && channel !== 'mic';
+}
+
+// Stores a transcribed chunk as entries of its session, one per speaker turn, then shows them in the side panel
+async function commitTranscript(providerResult, provider, chunk) {
+    // Glossary rules rewrite the text before anything is stored or shown
+    const { rules } = await getGlossary();
+    const result = applyGlossaryToResult(providerResult, rules, await getVocabulary(chunk.sessionId));
+    const hasOffsets = chunk.startOffset != null;
+    const chunkSeconds = hasOffsets ? (chunk.endOffset - chunk.startOffset) / 1000 : 0;
+    const turns = chunk.diarize ? splitIntoTurns(result, chunkSeconds) : [{ text: result.text, start: 0, segments: result.segments }];
+    // Each word goes to the last turn starting before its middle. The glossary leaves words as transcribed; the side
+    // panel and the caption exports find them in the text (see matchWordsToText).
+    const words = result.words || [];
+    const turnOf = word => turns.reduce((found, turn) => turn.start <= (word.start + word.end) / 2 ? turn : found, turns[0]);
+    turns.forEach(turn => {
+        // ms of recorded media since the session started, used for caption timings
+        turn.startOffset = hasOffsets ? chunk.startOffset + turn.start * 1000 : null;
+        turn.endOffset = hasOffsets ? (turn.end == null ? chunk.endOffset : chunk.startOffset + turn.end * 1000) : null;
+        turn.words = words.filter(word => turnOf(word) === turn);
+    });
+    if (chunk.diarize) await assignSpeakers(chunk.sessionId, turns, chunk.features);
+
+    const language = await detectLanguage(result);
+    // Personal data is removed before anything is stored, shown or sent (see redaction.js)
+    const redaction = await getRedactionSettings();
+    const session = redaction.enabled ? await getSession(chunk.sessionId) : null;
+    const capturedAt = chunk.capturedAt ? Date.parse(chunk.capturedAt) : Date.now();
+    for (const turn of turns) {
+        const redacted = redactTranscript(turn, redaction);
+        const entry = {
+            id: crypto.randomUUID(),
+            sessionId: chunk.sessionId,
+            // Later turns of a chunk get later timestamps, which keeps them in order
+            timestamp: new Date(capturedAt + turn.start * 1000).toISOString(),
+            text: redacted.text,
+            redacted: redacted.count > 0,
+            unredactedText: redacted.count > 0 && session?.keepUnredacted ? turn.text : null, // Never exported or sent
+            source: chunk.source,
+            channel: chunk.channel || null,
+            speaker: turn.speaker || null, // Session speaker id such as S1, named in session.speakerNames
+            audioChunkId: chunk.audioChunkId || null, // The kept audio this entry was transcribed from
+            provider,
+            language, // ISO 639-1 code of the spoken language, when known
+            translation: null, // { language, text, provider } once translated
+            confidence: turns.length === 1 ? result.confidence : averageConfidence(turn.segments) ?? result.confidence,
+            startOffset: turn.startOffset,
+            endOffset: turn.endOffset,
+            // Provider segments are relative to the chunk; store them relative to the session
+            segments: hasOffsets ? redacted.segments.map(segment => ({
+                start: chunk.startOffset + segment.start * 1000,
+                end: chunk.startOffset + segment.end * 1000,
+                text: segment.text,
+            })) : [],
+            // { text, start, end, confidence } with start and end in ms of the session, like the segments
+            words: hasOffsets ? redacted.words.map(word => ({
+                text: word.text,
+                start: chunk.startOffset + word.start * 1000,
+                end: chunk.startOffset + word.end * 1000,
+                confidence: word.confidence,
+            })) : [],
+        };
+        await addEntry(entry);
+        if (chrome.runtime.id) {
+            chrome.runtime.sendMessage({ action: 'updateTranscript', entry });
         }
+        addCaptionLine(entry).catch(error => console.error("Error in addCaptionLine:", error));
+        translateEntry(entry, chunk.private).catch(error => console.error("Error in translateEntry:", error));
+        queueWebhookDelivery('entry', entry.sessionId, { entry }).catch(error => console.error("Error in queueWebhookDelivery:", error));
     }
 }
 
-// --- Placeholder Fallback APIs ---
-async function callWhisperApi(audioBase64, key) { throw new Error("Whisper API not implemented."); }
-async function callDeepgramApi(audioBase64, key) { throw new Error("Deepgram API not implemented."); }
+async function markSessionPaused() {
+    const id = await getCurrentSessionId();
+    if (id) await updateSession(id, { pausedAt: new Date().toISOString() });
+}
+
+async function markSessionResumed() {
+    const id = await getCurrentSessionId();
+    if (!id) return;
+    await updateSession(id, session => ({
+        pausedAt: null,
+        pausedMs: session.pausedMs + (session.pausedAt ? Date.now() - new Date(session.pausedAt) : 0),
+    }));
+}
+
+async function finishSession(id) {
+    await updateSession(id, session => {
+        const endedAt = new Date();
+        const pausedMs = session.pausedMs + (session.pausedAt ? endedAt - new Date(session.pausedAt) : 0);
+        return {
+            endedAt: endedAt.toISOString(),
+            pausedAt: null,
+            pausedMs,
+            duration: Math.max(0, Math.round((endedAt - new Date(session.startedAt) - pausedMs) / 1000)),
+        };
+    });
+    // Chunks recorded just before the end are still being transcribed, so the session is sent a little later
+    await queueWebhookDelivery('session', id, { delay: WEBHOOK_SESSION_DELAY });
+}
+
+async function getProviderChain(chunk) {
+    if (chunk.private) return [await getOnDeviceProvider()];
+    const providers = await getActiveProviders();
+    // An auto-start rule's provider goes first; the others stay behind it as fallbacks
+    if (chunk.preferredProvider) providers.sort((a, b) => (b.id === chunk.preferredProvider) - (a.id === chunk.preferredProvider));
+    // Without a network only the on-device engine can help
+    return navigator.onLine ? providers : providers.filter(({ provider }) => provider.local);
+}
+
+// --- Translation ---
+// Prefers the language reported by the transcription provider, then Chrome's own detector
+async function detectLanguage(result) {
+    const reported = normalizeLanguageCode(result.language);
+    if (reported) return reported;
+    const { isReliable, languages } = await chrome.i18n.detectLanguage(result.text);
+    return isReliable && languages.length > 0 ? normalizeLanguageCode(languages[0].language) : null;
+}
+
+// Entries are shown first and translated afterwards, so a slow translation never holds up the transcript
+async function translateEntry(entry, isPrivate) {
+    const { target, providerId, endpoint } = await getTranslationSettings();
+    if (!target || entry.language === target) return;
+    // A private session keeps its text on the machine, just like its audio
+    const id = isPrivate ? 'local' : providerId;
+    try {
+        const translated = await TRANSLATION_PROVIDERS[id].translate(entry.text, { sourceLanguage: entry.language, targetLanguage: target }, endpoint);
+        const language = entry.language || translated.language;
+        const translation = language === target ? null : { language: target, text: translated.text, provider: id };
+        const updated = await updateEntry(entry.id, { language, translation });
+        if (updated && chrome.runtime.id) {
+            chrome.runtime.sendMessage({ action: 'updateTranscript', entry: updated });
+        }
+    } catch (error) {
+        console.warn("Translation failed:", error.message);
+        updateStatus(`Translation failed: ${error.message}`);
+    }
+}
 
 // --- Offline Queue & Connectivity ---
-async function addToOfflineQueue(audioBase64) {
-    const { [OFFLINE_QUEUE_KEY]: queue = [] } = await chrome.storage.local.get(OFFLINE_QUEUE_KEY);
-    queue.push(audioBase64);
-    await chrome.storage.local.set({ [OFFLINE_QUEUE_KEY]: queue });
+// Chunks that could not be transcribed are kept in IndexedDB (see db.js) and replayed one at a time, oldest
+// capture first. Their entries keep the capture time, so the text lands where it was spoken. Connection failures
+// are retried with exponential backoff through an alarm, which outlives this worker; other failures, and chunks
+// that keep failing, wait in the side panel for the user to retry or discard them.
+const QUEUE_ALARM = 'offlineQueue';
+const QUEUE_REPLAY_INTERVAL = 2000; // ms between replayed chunks, to stay under provider rate limits
+const QUEUE_RETRY_DELAY = 30000;    // ms before the first retry, doubled after every attempt; also the alarm minimum
+const QUEUE_MAX_ATTEMPTS = 5;
+let replayingQueue = null;
+
+// error is the failure that queued the chunk, or undefined when it was buffered without trying (offline)
+async function addToOfflineQueue(chunk, error) {
+    const item = {
+        id: crypto.randomUUID(),
+        sessionId: chunk.sessionId,
+        capturedAt: chunk.capturedAt || new Date().toISOString(),
+        chunk,
+        status: !error || error.connectivity ? 'pending' : 'failed',
+        attempts: error ? 1 : 0,
+        lastError: error ? error.message : null,
+        nextAttemptAt: error ? Date.now() + QUEUE_RETRY_DELAY : Date.now(),
+    };
+    await putQueuedChunk(item);
+    broadcastQueuedChunk(item);
+    await scheduleQueueAlarm();
+}
+
+// Replays run one at a time; a caller arriving during one waits for it
+function processOfflineQueue() {
+    if (!replayingQueue) {
+        replayingQueue = replayOfflineQueue().finally(() => { replayingQueue = null; });
+    }
+    return replayingQueue;
+}
+
+async function replayOfflineQueue() {
+    await moveLegacyQueue();
+    let replayed = 0;
+    while (true) {
+        const due = (await getQueuedChunks()).filter(item => item.status === 'pending' && item.nextAttemptAt <= Date.now());
+        if (due.length === 0) break;
+        const [item] = due;
+        // Still offline: leave the chunks for the 'online' event or the alarm, without spending their attempts
+        if (!navigator.onLine && (await getProviderChain(item.chunk)).length === 0) break;
+
+        if (replayed > 0) await new Promise(resolve => setTimeout(resolve, QUEUE_REPLAY_INTERVAL));
+        updateStatus(`Syncing ${due.length} queued chunk(s)...`);
+        const connected = await replayQueuedChunk(item);
+        replayed++;
+        // When the connection is the problem, the rest of the queue would only fail the same way
+        if (!connected) break;
+    }
+    await scheduleQueueAlarm();
+    if (replayed > 0) {
+        const { status } = await getRecordingState();
+        updateStatus(status === 'recording' ? "Recording" : status === 'paused' ? "Paused" : "Idle");
+    }
+}
+
+// Resolves with false when the chunk failed for connection reasons
+async function replayQueuedChunk(item) {
+    try {
+        await transcribeAudio(item.chunk);
+        await deleteQueuedChunk(item.id);
+        broadcastQueuedChunk({ ...item, status: 'synced' });
+        return true;
+    } catch (error) {
+        const attempts = item.attempts + 1;
+        const retry = error.connectivity && attempts < QUEUE_MAX_ATTEMPTS;
+        const updated = await updateQueuedChunk(item.id, {
+            status: retry ? 'pending' : 'failed',
+            attempts,
+            lastError: error.message,
+            nextAttemptAt: Date.now() + QUEUE_RETRY_DELAY * Math.pow(2, attempts - 1),
+        });
+        if (updated) broadcastQueuedChunk(updated);
+        return !error.connectivity;
+    }
+}
+
+async function retryQueuedChunk(id) {
+    const updated = await updateQueuedChunk(id, { status: 'pending', attempts: 0, nextAttemptAt: Date.now() });
+    if (!updated) return;
+    broadcastQueuedChunk(updated);
+    processOfflineQueue();
+}
+
+async function discardQueuedChunk(id) {
+    const item = await getQueuedChunk(id);
+    if (!item) return;
+    await deleteQueuedChunk(id);
+    if (item.chunk.uploadId) await deleteUpload(item.chunk.uploadId);
+    broadcastQueuedChunk({ ...item, status: 'discarded' });
+}
+
+// The alarm wakes the worker for the earliest pending retry
+async function scheduleQueueAlarm() {
+    const pending = (await getQueuedChunks()).filter(item => item.status === 'pending');
+    if (pending.length === 0) {
+        await chrome.alarms.clear(QUEUE_ALARM);
+        return;
+    }
+    const earliest = Math.min(...pending.map(item => item.nextAttemptAt));
+    await chrome.alarms.create(QUEUE_ALARM, { when: Math.max(earliest, Date.now() + QUEUE_RETRY_DELAY) });
+}
+
+// The side panel shows queued chunks where their text will go
+function broadcastQueuedChunk(item) {
+    if (chrome.runtime.id) {
+        chrome.runtime.sendMessage({ action: 'queueUpdate', item: describeQueuedChunk(item) });
+    }
 }
 
-async function processOfflineQueue() {
+// Older versions queued chunks (or bare base64 strings) in chrome.storage.local
+async function moveLegacyQueue() {
     const { [OFFLINE_QUEUE_KEY]: queue = [] } = await chrome.storage.local.get(OFFLINE_QUEUE_KEY);
     if (queue.length === 0) return;
-    
-    updateStatus(`Syncing ${queue.length} offline chunk(s)...`);
-    const promises = queue.map(chunk => transcribeAudio(chunk));
-    await Promise.all(promises);
+    const sessionId = await getCurrentSessionId();
+    const { source } = await getRecordingState();
+    for (const chunk of queue) {
+        await addToOfflineQueue(typeof chunk === 'string' ? { audioChunk: chunk, sessionId, source: source || 'tab' } : chunk);
+    }
     await chrome.storage.local.remove(OFFLINE_QUEUE_KEY);
-    updateStatus("Recording");
 }
 
 self.addEventListener('online', processOfflineQueue);
 self.addEventListener('offline', () => updateStatus("Offline. Buffering..."));
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === QUEUE_ALARM) processOfflineQueue();
+});
+
+// --- Webhook Deliveries ---
+// Entries and ended sessions are posted to the webhook (webhook.js). Deliveries are kept in IndexedDB (db.js) and
+// sent one at a time, oldest first, like queued chunks: connection failures are retried with the same backoff
+// through an alarm, other failures wait in the side panel's delivery log for the user to retry them.
+const WEBHOOK_ALARM = 'webhookDeliveries';
+const WEBHOOK_SESSION_DELAY = 30000; // ms after a recording ends before its session is sent
+let sendingDeliveries = null;
+
+// An entry is sent as it was when transcribed; a session is built when it is sent, so it has its latest text
+async function queueWebhookDelivery(event, sessionId, { entry = null, delay = 0 } = {}) {
+    const settings = await getWebhookSettings();
+    if (!settings.enabled || !settings.url) return;
+    const session = await getSession(sessionId);
+    if (!session || session.private) return; // A private session keeps its text on the machine
+    const delivery = {
+        id: crypto.randomUUID(),
+        event,
+        sessionId,
+        sessionName: session.name,
+        payload: entry ? buildEntryPayload(session, entry) : null,
+        status: 'pending',
+        attempts: 0,
+        lastError: null,
+        createdAt: new Date().toISOString(),
+        nextAttemptAt: Date.now() + delay,
+        deliveredAt: null,
+    };
+    await putDelivery(delivery);
+    broadcastDelivery(delivery);
+    if (delay > 0) await scheduleDeliveryAlarm();
+    else processDeliveries();
+}
+
+// Runs one at a time; a caller arriving during a run waits for it
+function processDeliveries() {
+    if (!sendingDeliveries) {
+        sendingDeliveries = sendDueDeliveries().finally(() => { sendingDeliveries = null; });
+    }
+    return sendingDeliveries;
+}
+
+async function sendDueDeliveries() {
+    while (true) {
+        const [delivery] = (await getDeliveries()).filter(item => item.status === 'pending' && item.nextAttemptAt <= Date.now());
+        if (!delivery) break;
+        // Turned off, offline or locked: wait until that changes, without spending attempts
+        if (!(await getWebhookSettings()).enabled || !navigator.onLine || (await isCredentialsLocked())) break;
+        if (!(await sendDelivery(delivery))) break;
+    }
+    await trimDeliveryLog();
+    await scheduleDeliveryAlarm();
+}
+
+// Resolves with false when the webhook could not be reached, which the deliveries after it would not be either
+async function sendDelivery(delivery) {
+    try {
+        const settings = await getWebhookSettings();
+        const origin = getWebhookOrigin(settings);
+        if (!origin) throw new Error("The webhook URL is not valid.");
+        if (!(await chrome.permissions.contains({ origins: [origin] }))) {
+            throw new Error("Allow access to the webhook URL by sending a test from the side panel.");
+        }
+        await postWebhook(settings, await getProfileKeys(), delivery.id, delivery.payload || (await buildSessionDelivery(delivery.sessionId)));
+        const updated = await updateDelivery(delivery.id, { status: 'delivered', attempts: delivery.attempts + 1, lastError: null, deliveredAt: new Date().toISOString() });
+        if (updated) broadcastDelivery(updated);
+        return true;
+    } catch (error) {
+        const attempts = delivery.attempts + 1;
+        const connectivity = isConnectivityError(error);
+        const updated = await updateDelivery(delivery.id, {
+            status: connectivity && attempts < QUEUE_MAX_ATTEMPTS ? 'pending' : 'failed',
+            attempts,
+            lastError: error.message,
+            nextAttemptAt: Date.now() + QUEUE_RETRY_DELAY * Math.pow(2, attempts - 1),
+        });
+        if (updated) broadcastDelivery(updated);
+        return !connectivity;
+    }
+}
+
+async function buildSessionDelivery(sessionId) {
+    const session = await getSession(sessionId);
+    if (!session) throw new Error("The session was deleted.");
+    return buildSessionPayload(session, await getSessionEntries(sessionId));
+}
+
+async function retryDelivery(id) {
+    const updated = await updateDelivery(id, { status: 'pending', attempts: 0, nextAttemptAt: Date.now() });
+    if (!updated) return;
+    broadcastDelivery(updated);
+    processDeliveries();
+}
+
+// Sent straight away and not logged, so the side panel can tell the user at once whether the settings work
+async function testWebhook() {
+    const settings = await getWebhookSettings();
+    if (!getWebhookOrigin(settings)) throw new Error("Enter the webhook URL first.");
+    await postWebhook(settings, await getProfileKeys(), crypto.randomUUID(), buildTestPayload());
+}
+
+// Only the newest WEBHOOK_LOG_SIZE delivered requests are kept; pending and failed ones stay until they are done
+async function trimDeliveryLog() {
+    const delivered = (await getDeliveries()).filter(item => item.status === 'delivered');
+    if (delivered.length > WEBHOOK_LOG_SIZE) await deleteDeliveries(delivered.slice(0, -WEBHOOK_LOG_SIZE).map(item => item.id));
+}
+
+async function scheduleDeliveryAlarm() {
+    const pending = (await getDeliveries()).filter(item => item.status === 'pending');
+    if (pending.length === 0 || !(await getWebhookSettings()).enabled) {
+        await chrome.alarms.clear(WEBHOOK_ALARM);
+        return;
+    }
+    const earliest = Math.min(...pending.map(item => item.nextAttemptAt));
+    await chrome.alarms.create(WEBHOOK_ALARM, { when: Math.max(earliest, Date.now() + QUEUE_RETRY_DELAY) });
+}
+
+function broadcastDelivery(delivery) {
+    if (chrome.runtime.id) {
+        chrome.runtime.sendMessage({ action: 'webhookDelivery', delivery: describeDelivery(delivery) });
+    }
+}
+
+self.addEventListener('online', processDeliveries);
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === WEBHOOK_ALARM) processDeliveries();
+});
+// Deliveries wait while the webhook is off and while the keys are locked
+chrome.storage.local.onChanged.addListener((changes) => {
+    if (changes[WEBHOOK_SETTINGS_KEY]?.newValue?.enabled) processDeliveries();
+});
+chrome.storage.session.onChanged.addListener((changes) => {
+    if (changes[CREDENTIALS_UNLOCK_KEY]?.newValue) processDeliveries();
+});
+
+// --- Caption Overlay ---
+// With captions on, caption-overlay.js is injected into the captured tab (state.tabId) once recording has started and
+// after every page load there, and is sent each finished line and the text still being spoken. It follows the
+// recording state: pausing dims it, and it is removed once the tab is no longer captured, when the recording stops
+// or fails. A closed tab takes it along.
+const CAPTION_OVERLAY_SCRIPT = 'caption-overlay.js';
+
+// Injects the overlay if it is not there yet and (re)sends everything it shows, the latest lines of the session
+// included, so it also picks up changed settings
+async function showCaptionOverlay(state) {
+    const settings = await getCaptionSettings();
+    if (!settings.enabled) {
+        removeCaptionOverlay(state.tabId);
+        return;
+    }
+    try {
+        await chrome.scripting.executeScript({ target: { tabId: state.tabId }, files: [CAPTION_OVERLAY_SCRIPT] });
+    } catch (error) {
+        // Browser pages cannot be scripted, and web pages only once the side panel was granted access to them
+        console.warn("Captions could not be shown:", error.message);
+        updateStatus("Captions cannot be shown on this page.");
+        return;
+    }
+    const entries = state.sessionId ? await getSessionEntries(state.sessionId) : [];
+    sendToCaptionOverlay(state.tabId, {
+        action: 'showCaptions',
+        settings,
+        lines: entries.slice(-settings.lines).map(entry => entry.text),
+        paused: state.status === 'paused',
+    });
+}
+
+function removeCaptionOverlay(tabId) {
+    sendToCaptionOverlay(tabId, { action: 'removeCaptions' });
+}
+
+async function addCaptionLine(entry) {
+    const state = await getRecordingState();
+    if (state.tabId && state.sessionId === entry.sessionId) {
+        sendToCaptionOverlay(state.tabId, { action: 'addCaption', text: entry.text, channel: entry.channel });
+    }
+}
+
+async function showInterimCaption(channel, text) {
+    const { tabId } = await getRecordingState();
+    if (tabId) sendToCaptionOverlay(tabId, { action: 'interimCaption', channel, text });
+}
+
+// Tabs without the overlay (captions off, or a page it could not be injected into) have no one to answer
+function sendToCaptionOverlay(tabId, message) {
+    chrome.tabs.sendMessage(tabId, message).catch(() => {});
+}
+
+chrome.storage.session.onChanged.addListener((changes) => {
+    if (!changes[RECORDING_STATE_KEY]) return;
+    const previous = { ...IDLE_RECORDING_STATE, ...changes[RECORDING_STATE_KEY].oldValue };
+    const state = { ...IDLE_RECORDING_STATE, ...changes[RECORDING_STATE_KEY].newValue };
+    if (previous.tabId && previous.tabId !== state.tabId) removeCaptionOverlay(previous.tabId);
+    if (!state.tabId || state.status === previous.status) return;
+    if (previous.status === 'starting' && state.status === 'recording') showCaptionOverlay(state);
+    else if (state.status === 'recording' || state.status === 'paused') sendToCaptionOverlay(state.tabId, { action: 'pauseCaptions', paused: state.status === 'paused' });
+});
+chrome.storage.local.onChanged.addListener(async (changes) => {
+    if (!changes[CAPTION_SETTINGS_KEY]) return;
+    const state = await getRecordingState();
+    if (state.tabId && (state.status === 'recording' || state.status === 'paused')) showCaptionOverlay(state);
+});
+// A page load in the captured tab takes the overlay with it
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo) => {
+    if (changeInfo.status !== 'complete') return;
+    const state = await getRecordingState();
+    if (state.tabId === tabId && (state.status === 'recording' || state.status === 'paused')) showCaptionOverlay(state);
+});
+
+// --- Auto-Start Rules ---
+// Tabs are checked when they become active and when the active one loads another address. The first rule whose site
+// the tab is on (autostart.js) either starts a recording or offers to with a notification, once per visit: the
+// offer is remembered for the tab until it leaves the site or closes. Nothing is offered while recording.
+// Only microphone rules start from here or from the notification's button; a rule that records the tab is started
+// by the shortcut or the context menu on the tab (toggleRecording), the invocation Chrome wants before a capture.
+// A recording a rule started stops once its tab leaves the rule's site. The worker only sees the addresses of
+// sites it has access to, which the side panel asks for with each rule, so an address it cannot see is on none.
+const AUTO_START_OFFERS_KEY = 'autoStartOffers'; // chrome.storage.session: { [tabId]: ruleId } offered or started
+const AUTO_START_NOTIFICATION_PREFIX = 'autoStart:'; // Followed by "<tabId>:<ruleId>"
+
+async function checkAutoStart(tab) {
+    const rule = tab.url ? findAutoStartRule(await getAutoStartRules(), tab.url) : null;
+    const { [AUTO_START_OFFERS_KEY]: offers = {} } = await chrome.storage.session.get(AUTO_START_OFFERS_KEY);
+    if (!rule) {
+        if (offers[tab.id]) await forgetAutoStartOffer(tab.id);
+        return;
+    }
+    if (!tab.active || offers[tab.id] === rule.id || isRecordingLive(await getRecordingState())) return;
+    await chrome.storage.session.set({ [AUTO_START_OFFERS_KEY]: { ...offers, [tab.id]: rule.id } });
+    if (!canStartWithoutInvocation(rule)) {
+        const [command] = (await chrome.commands.getAll()).filter(({ name }) => name === 'toggle-recording');
+        const shortcut = command?.shortcut ? `press ${command.shortcut} or ` : '';
+        createAutoStartNotification(tab, rule, `To start, ${shortcut}right-click the page and choose "Transcribe this tab".`, []);
+    } else if (rule.action === 'start') {
+        await startFromRule(tab, rule);
+    } else {
+        createAutoStartNotification(tab, rule, tab.title || tab.url, [{ title: "Start transcribing" }]);
+    }
+}
+
+function createAutoStartNotification(tab, rule, message, buttons) {
+    chrome.notifications.create(`${AUTO_START_NOTIFICATION_PREFIX}${tab.id}:${rule.id}`, {
+        type: 'basic',
+        iconUrl: 'images/icon128.png',
+        title: "Start transcribing this tab?",
+        message,
+        contextMessage: rule.pattern,
+        buttons,
+        requireInteraction: true,
+    });
+}
+
+// Starts with the rule offered on the tab, if it still matches; resolves with whether there was one
+async function startOfferedRule(tab) {
+    const { [AUTO_START_OFFERS_KEY]: offers = {} } = await chrome.storage.session.get(AUTO_START_OFFERS_KEY);
+    const rule = offers[tab.id] && (await getAutoStartRules()).find(candidate => candidate.id === offers[tab.id]);
+    if (!rule || !tab.url || !matchesAutoStartRule(rule, tab.url)) return false;
+    chrome.notifications.clear(`${AUTO_START_NOTIFICATION_PREFIX}${tab.id}:${rule.id}`);
+    await startFromRule(tab, rule);
+    return true;
+}
+
+// With the side panel's privacy setting, like the shortcuts; failures are already in the state
+async function startFromRule(tab, rule) {
+    const { privateSession = false } = await chrome.storage.local.get('privateSession');
+    await startRecording({
+        source: rule.source,
+        privateSession,
+        tabId: tab.id,
+        ruleId: rule.id,
+        preferredProvider: rule.providerId || null,
+    }).catch(() => {});
+}
+
+async function forgetAutoStartOffer(tabId) {
+    const { [AUTO_START_OFFERS_KEY]: offers = {} } = await chrome.storage.session.get(AUTO_START_OFFERS_KEY);
+    if (!offers[tabId]) return;
+    chrome.notifications.clear(`${AUTO_START_NOTIFICATION_PREFIX}${tabId}:${offers[tabId]}`);
+    delete offers[tabId];
+    await chrome.storage.session.set({ [AUTO_START_OFFERS_KEY]: offers });
+}
+
+// The notification's button, or the notification itself, was clicked. That starts microphone rules only; the
+// offer of a rule that records the tab stays for the shortcut or the context menu.
+async function acceptAutoStartOffer(notificationId) {
+    if (!notificationId.startsWith(AUTO_START_NOTIFICATION_PREFIX)) return;
+    chrome.notifications.clear(notificationId);
+    const [tabId, ruleId] = notificationId.slice(AUTO_START_NOTIFICATION_PREFIX.length).split(':');
+    const rule = (await getAutoStartRules()).find(candidate => candidate.id === ruleId);
+    const tab = await chrome.tabs.get(Number(tabId)).catch(() => null);
+    // The tab may have moved on since the offer
+    if (rule && canStartWithoutInvocation(rule) && tab?.url && matchesAutoStartRule(rule, tab.url)) await startFromRule(tab, rule);
+}
+
+// The rule's tab loaded another address: a recording its rule started ends when it is off the rule's site
+async function followCapturedTab(tab) {
+    const state = await getRecordingState();
+    if (state.ruleTabId !== tab.id || !state.ruleId || (state.status !== 'recording' && state.status !== 'paused')) return;
+    const rule = (await getAutoStartRules()).find(candidate => candidate.id === state.ruleId);
+    // A rule deleted meanwhile leaves the recording alone
+    if (rule && !(tab.url && matchesAutoStartRule(rule, tab.url))) await stopRecording();
+}
+
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+    chrome.tabs.get(tabId).then(checkAutoStart).catch(() => {});
+});
+// Addresses changed by the page itself (history.pushState) only come with url
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+    if (!changeInfo.url && changeInfo.status !== 'loading') return;
+    await followCapturedTab(tab);
+    await checkAutoStart(tab);
+});
+chrome.notifications.onButtonClicked.addListener(acceptAutoStartOffer);
+chrome.notifications.onClicked.addListener(acceptAutoStartOffer);
 
 function updateStatus(status) {
     if (chrome.runtime.id) {
@@ -189,6 +1210,10 @@ function updateStatus(status) {
     }
 }
 
-chrome.tabs.onRemoved.addListener((tabId) => {
-    if (tabId === capturedTabId) stopRecording();
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+    forgetAutoStartOffer(tabId);
+    const state = await getRecordingState();
+    if (state.tabId === tabId || state.ruleTabId === tabId) stopRecording();
 });
+
+restoreRecordingState();
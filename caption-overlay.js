@@ -0,0 +1,131 @@
+// caption-overlay.js
+// Content script the background worker injects into the captured tab while captions are on (see Caption Overlay in
+// background.js). It shows the latest transcript lines at the bottom of the page, can be dragged and resized, and
+// only displays what the worker sends it: the lines, the text still being spoken, the pause and the settings
+// (captions.js). The worker injects it again after every page load, and a page may get it twice, so it keeps one
+// overlay and one listener per page. Everything lives in a closed shadow root, out of the page's styles and scripts.
+(() => {
+    if (globalThis.transcriptCaptionOverlay) return;
+
+    const RESIZE_CORNER = 18; // px at the bottom right corner left to the native resize handle
+    const CONTRASTS = {
+        high: { background: 'rgba(0, 0, 0, 0.92)', shadow: 'none' },
+        medium: { background: 'rgba(0, 0, 0, 0.65)', shadow: 'none' },
+        low: { background: 'rgba(0, 0, 0, 0.3)', shadow: '0 1px 3px #000, 0 0 2px #000' },
+    };
+
+    let settings = null;
+    let lines = [];
+    const interim = new Map(); // Text still being spoken, by channel
+    let paused = false;
+
+    const host = document.createElement('div');
+    const root = host.attachShadow({ mode: 'closed' });
+    const style = document.createElement('style');
+    style.textContent = `
+        :host { all: initial; }
+        .box {
+            position: fixed; left: 50%; bottom: 6vh; transform: translateX(-50%); z-index: 2147483647;
+            width: min(80vw, 720px); min-width: 180px; min-height: 2em; box-sizing: border-box;
+            padding: 0.35em 0.7em; border-radius: 6px; overflow: hidden; resize: both;
+            color: #fff; font: 500 24px/1.35 system-ui, sans-serif; text-align: center;
+            cursor: move; user-select: none; touch-action: none;
+        }
+        .box.paused { opacity: 0.6; }
+        .line { margin: 0; overflow-wrap: anywhere; }
+        .interim { color: #cbd5e1; font-style: italic; }
+        .label { font-size: 0.6em; color: #facc15; }`;
+    const box = document.createElement('div');
+    box.className = 'box';
+    box.setAttribute('role', 'log');
+    box.setAttribute('aria-live', 'polite');
+    root.append(style, box);
+
+    function render() {
+        const { background, shadow } = CONTRASTS[settings.contrast] || CONTRASTS.high;
+        box.style.background = background;
+        box.style.textShadow = shadow;
+        box.style.fontSize = `${settings.fontSize}px`;
+        box.classList.toggle('paused', paused);
+        const shown = lines.slice(-settings.lines).map(text => [text, 'line']);
+        interim.forEach(text => shown.push([text, 'line interim']));
+        if (paused) shown.push(["Paused", 'line label']);
+        box.replaceChildren(...shown.map(([text, className]) => {
+            const el = document.createElement('p');
+            el.className = className;
+            el.textContent = text;
+            return el;
+        }));
+    }
+
+    // A fullscreen element hides everything outside it, so the overlay moves into it (a <video> has no room for it)
+    function placeHost() {
+        const fullscreen = document.fullscreenElement;
+        const parent = fullscreen && !(fullscreen instanceof HTMLMediaElement) ? fullscreen : document.documentElement;
+        if (host.parentNode !== parent) parent.appendChild(host);
+    }
+
+    // --- Dragging ---
+    // The first drag trades the centred position for explicit coordinates; the corner is left to resizing
+    let drag = null;
+    box.addEventListener('pointerdown', (event) => {
+        const rect = box.getBoundingClientRect();
+        if (event.button !== 0 || (rect.right - event.clientX < RESIZE_CORNER && rect.bottom - event.clientY < RESIZE_CORNER)) return;
+        box.style.transform = 'none';
+        box.style.bottom = 'auto';
+        box.style.left = `${rect.left}px`;
+        box.style.top = `${rect.top}px`;
+        drag = { x: event.clientX - rect.left, y: event.clientY - rect.top };
+        box.setPointerCapture(event.pointerId);
+        event.preventDefault();
+    });
+    box.addEventListener('pointermove', (event) => {
+        if (!drag) return;
+        // Kept inside the viewport, so it can always be grabbed again
+        box.style.left = `${Math.min(Math.max(event.clientX - drag.x, 0), innerWidth - box.offsetWidth)}px`;
+        box.style.top = `${Math.min(Math.max(event.clientY - drag.y, 0), innerHeight - box.offsetHeight)}px`;
+    });
+    box.addEventListener('pointerup', () => { drag = null; });
+    box.addEventListener('pointercancel', () => { drag = null; });
+
+    // --- Messages ---
+    function handleMessage(message) {
+        switch (message.action) {
+            case 'showCaptions':
+                settings = message.settings;
+                lines = message.lines;
+                paused = message.paused;
+                placeHost();
+                render();
+                break;
+            case 'addCaption':
+                if (!settings) return;
+                lines = [...lines, message.text].slice(-settings.lines);
+                interim.delete(message.channel);
+                render();
+                break;
+            case 'interimCaption':
+                if (!settings) return;
+                if (message.text) interim.set(message.channel, message.text);
+                else interim.delete(message.channel);
+                render();
+                break;
+            case 'pauseCaptions':
+                if (!settings) return;
+                paused = message.paused;
+                interim.clear();
+                render();
+                break;
+            case 'removeCaptions':
+                host.remove();
+                chrome.runtime.onMessage.removeListener(handleMessage);
+                document.removeEventListener('fullscreenchange', placeHost);
+                globalThis.transcriptCaptionOverlay = null;
+                break;
+        }
+    }
+
+    chrome.runtime.onMessage.addListener(handleMessage);
+    document.addEventListener('fullscreenchange', placeHost);
+    globalThis.transcriptCaptionOverlay = host;
+})();
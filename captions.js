@@ -0,0 +1,26 @@
+// captions.js
+// Settings of the caption overlay, which shows the latest lines over the captured tab. Loaded by the background
+// worker (importScripts), which injects caption-overlay.js into the tab and feeds it, and the side panel, which
+// edits the settings. The overlay itself gets them from the worker, since the same page may be injected again.
+
+const CAPTION_SETTINGS_KEY = 'captionSettings'; // { enabled, fontSize, contrast, lines }
+const DEFAULT_CAPTION_SETTINGS = { enabled: false, fontSize: 24, contrast: 'high', lines: 2 };
+const CAPTION_FONT_SIZES = [16, 20, 24, 32, 40]; // px
+const CAPTION_CONTRASTS = { high: "High (solid black)", medium: "Medium", low: "Low (see-through)" };
+const CAPTION_MAX_LINES = 5;
+
+async function getCaptionSettings() {
+    const { [CAPTION_SETTINGS_KEY]: stored } = await chrome.storage.local.get(CAPTION_SETTINGS_KEY);
+    return { ...DEFAULT_CAPTION_SETTINGS, ...stored };
+}
+
+// Only web pages can be scripted, and only once access to their origin is granted (optional_host_permissions).
+// Null for other tabs, and when the tab's address cannot be read.
+function getCaptionOrigin(tab) {
+    try {
+        const url = new URL(tab.url);
+        return url.protocol === 'http:' || url.protocol === 'https:' ? `${url.origin}/*` : null;
+    } catch {
+        return null;
+    }
+}
@@ -0,0 +1,236 @@
+// credentials.js
+// API keys, kept encrypted (AES-GCM) in named profiles such as "Work" and "Personal". Loaded by the background
+// worker (importScripts) and the side panel; the side panel changes them, the worker moves old plain keys in.
+// Without a passphrase the keys are encrypted with a non-extractable key kept in IndexedDB (db.js): they are out of
+// the plain settings, but anyone with the browser profile can still use them. With a passphrase the key is derived
+// from it and nothing on disk decrypts them. The side panel unlocks them once per browser session and puts the
+// derived key in chrome.storage.session, which is held in memory only.
+
+const CREDENTIALS_KEY = 'credentials';             // { profiles: [{ id, name }], activeProfile, passphrase, vault }
+const CREDENTIALS_UNLOCK_KEY = 'credentialsKey';   // chrome.storage.session: the passphrase key while unlocked
+const DEVICE_KEY_NAME = 'credentials';             // IndexedDB name of the key used without a passphrase
+const PASSPHRASE_ITERATIONS = 600000;              // PBKDF2-SHA-256 rounds
+const MIN_PASSPHRASE_LENGTH = 8;
+const TRANSLATION_CREDENTIAL = 'translation';      // The translation endpoint's key; the others use provider ids
+const CREDENTIALS_LOCKED_MESSAGE = "The API keys are locked. Enter the passphrase in the side panel.";
+
+// passphrase is null or { salt, iterations }; vault is null or { iv, data }, the encrypted JSON of
+// { [profileId]: { [providerId]: apiKey } }. Salt, iv and data are base64.
+
+// --- Store ---
+// Every change reads the store and writes it back, so changes run one after another: one started while another is
+// in progress would otherwise write back what it read and drop the other's
+let credentialUpdates = Promise.resolve();
+
+function queueCredentialUpdate(update) {
+    const result = credentialUpdates.then(update);
+    credentialUpdates = result.catch(() => {});
+    return result;
+}
+
+async function getCredentialStore() {
+    const { [CREDENTIALS_KEY]: stored } = await chrome.storage.local.get(CREDENTIALS_KEY);
+    const profiles = Array.isArray(stored?.profiles) && stored.profiles.length > 0 ? stored.profiles : [{ id: 'default', name: 'Default' }];
+    return {
+        profiles,
+        activeProfile: profiles.some(profile => profile.id === stored?.activeProfile) ? stored.activeProfile : profiles[0].id,
+        passphrase: stored?.passphrase || null,
+        vault: stored?.vault || null,
+    };
+}
+
+// The active profile's keys by provider id, or null while they are locked
+async function getProfileKeys() {
+    const store = await getCredentialStore();
+    const key = await getVaultKey(store);
+    if (!key) return null;
+    const vault = await decryptVault(store.vault, key);
+    return vault[store.activeProfile] || {};
+}
+
+async function isCredentialsLocked() {
+    return !(await getVaultKey(await getCredentialStore()));
+}
+
+// Runs change(vault, store) on the decrypted keys and a copy of the store, then saves both; the vault is
+// encrypted again as a whole
+function updateCredentials(change) {
+    return queueCredentialUpdate(async () => {
+        const store = await getCredentialStore();
+        const key = await getVaultKey(store);
+        if (!key) throw new Error(CREDENTIALS_LOCKED_MESSAGE);
+        const vault = await decryptVault(store.vault, key);
+        const result = change(vault, store);
+        await chrome.storage.local.set({ [CREDENTIALS_KEY]: { ...store, vault: await encryptVault(vault, key) } });
+        return result;
+    });
+}
+
+// An empty value removes the key
+function setProfileKey(credentialId, value) {
+    return updateCredentials((vault, store) => {
+        const keys = { ...vault[store.activeProfile] };
+        if (value) keys[credentialId] = value;
+        else delete keys[credentialId];
+        vault[store.activeProfile] = keys;
+    });
+}
+
+// --- Profiles ---
+// The new profile starts without keys and becomes the active one
+function addCredentialProfile(name) {
+    return updateCredentials((vault, store) => {
+        const profile = { id: crypto.randomUUID(), name };
+        store.profiles = [...store.profiles, profile];
+        store.activeProfile = profile.id;
+        return profile;
+    });
+}
+
+function renameCredentialProfile(id, name) {
+    return updateCredentials((vault, store) => {
+        store.profiles = store.profiles.map(profile => profile.id === id ? { ...profile, name } : profile);
+    });
+}
+
+function deleteCredentialProfile(id) {
+    return updateCredentials((vault, store) => {
+        if (store.profiles.length === 1) throw new Error("The last profile cannot be deleted.");
+        store.profiles = store.profiles.filter(profile => profile.id !== id);
+        if (store.activeProfile === id) store.activeProfile = store.profiles[0].id;
+        delete vault[id];
+    });
+}
+
+// Needs no keys, so it also works while they are locked
+function switchCredentialProfile(id) {
+    return queueCredentialUpdate(async () => {
+        const store = await getCredentialStore();
+        if (!store.profiles.some(profile => profile.id === id)) return;
+        await chrome.storage.local.set({ [CREDENTIALS_KEY]: { ...store, activeProfile: id } });
+    });
+}
+
+// --- Passphrase ---
+// Throws when the passphrase does not decrypt the keys
+async function unlockCredentials(passphrase) {
+    const store = await getCredentialStore();
+    if (!store.passphrase) return;
+    const key = await derivePassphraseKey(passphrase, store.passphrase);
+    try {
+        await decryptVault(store.vault, key);
+    } catch {
+        throw new Error("Wrong passphrase.");
+    }
+    await chrome.storage.session.set({ [CREDENTIALS_UNLOCK_KEY]: encodeBase64(await crypto.subtle.exportKey('raw', key)) });
+}
+
+function lockCredentials() {
+    return chrome.storage.session.remove(CREDENTIALS_UNLOCK_KEY);
+}
+
+// For a forgotten passphrase: without it the keys are lost, so they are dropped and the profiles start empty
+function resetCredentials() {
+    return queueCredentialUpdate(async () => {
+        const store = await getCredentialStore();
+        await chrome.storage.local.set({ [CREDENTIALS_KEY]: { ...store, passphrase: null, vault: null } });
+        await lockCredentials();
+    });
+}
+
+// Sets, changes or (with an empty passphrase) removes the passphrase; the keys must be unlocked
+function setCredentialsPassphrase(passphrase) {
+    return queueCredentialUpdate(async () => {
+        const store = await getCredentialStore();
+        const currentKey = await getVaultKey(store);
+        if (!currentKey) throw new Error(CREDENTIALS_LOCKED_MESSAGE);
+        const vault = await decryptVault(store.vault, currentKey);
+        if (!passphrase) {
+            const key = await getDeviceKey();
+            await chrome.storage.local.set({ [CREDENTIALS_KEY]: { ...store, passphrase: null, vault: await encryptVault(vault, key) } });
+            await lockCredentials();
+            return;
+        }
+        const settings = { salt: encodeBase64(crypto.getRandomValues(new Uint8Array(16))), iterations: PASSPHRASE_ITERATIONS };
+        const key = await derivePassphraseKey(passphrase, settings);
+        // Unlocked first, so the background worker never finds the new vault without its key
+        await chrome.storage.session.set({ [CREDENTIALS_UNLOCK_KEY]: encodeBase64(await crypto.subtle.exportKey('raw', key)) });
+        await chrome.storage.local.set({ [CREDENTIALS_KEY]: { ...store, passphrase: settings, vault: await encryptVault(vault, key) } });
+    });
+}
+
+// --- Encryption ---
+// The key that opens the vault, or null while a passphrase protects it and it has not been entered
+async function getVaultKey(store) {
+    if (!store.passphrase) return getDeviceKey();
+    const { [CREDENTIALS_UNLOCK_KEY]: raw } = await chrome.storage.session.get(CREDENTIALS_UNLOCK_KEY);
+    return raw ? crypto.subtle.importKey('raw', decodeBase64(raw), 'AES-GCM', false, ['encrypt', 'decrypt']) : null;
+}
+
+async function getDeviceKey() {
+    const key = await getCryptoKey(DEVICE_KEY_NAME);
+    if (key) return key;
+    // The side panel and the worker may both get here first; addCryptoKey keeps whichever key was stored first
+    return addCryptoKey(DEVICE_KEY_NAME, await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']));
+}
+
+// Extractable, so the unlocked key can be kept in chrome.storage.session
+async function derivePassphraseKey(passphrase, { salt, iterations }) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: decodeBase64(salt), iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        true,
+        ['encrypt', 'decrypt'],
+    );
+}
+
+async function encryptVault(vault, key) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(vault)));
+    return { iv: encodeBase64(iv), data: encodeBase64(data) };
+}
+
+// Rejects when the key is not the one the vault was encrypted with
+async function decryptVault(vault, key) {
+    if (!vault) return {};
+    const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: decodeBase64(vault.iv) }, key, decodeBase64(vault.data));
+    return JSON.parse(new TextDecoder().decode(data));
+}
+
+function encodeBase64(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+}
+
+function decodeBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+// --- Migration ---
+// Older versions kept keys in plain text: one Gemini key under 'apiKey', then one per provider in providerSettings
+// and the translation endpoint's in translationSettings. They move into the active profile.
+async function migratePlainKeys() {
+    const stored = await chrome.storage.local.get([PROVIDER_SETTINGS_KEY, TRANSLATION_SETTINGS_KEY, 'apiKey']);
+    const settings = stored[PROVIDER_SETTINGS_KEY] || {};
+    const translation = stored[TRANSLATION_SETTINGS_KEY] || {};
+    const keys = {};
+    Object.entries(settings).forEach(([id, saved]) => {
+        if (saved?.apiKey) keys[id] = saved.apiKey;
+        if (saved) delete saved.apiKey;
+    });
+    if (!keys.gemini && stored.apiKey) {
+        keys.gemini = stored.apiKey;
+        settings.gemini = { enabled: true, ...settings.gemini };
+    }
+    if (translation.apiKey) keys[TRANSLATION_CREDENTIAL] = translation.apiKey;
+    delete translation.apiKey;
+    if (Object.keys(keys).length === 0) return;
+    if (await isCredentialsLocked()) return; // Only a vault written by this version can have a passphrase
+
+    await updateCredentials((vault, store) => {
+        vault[store.activeProfile] = { ...keys, ...vault[store.activeProfile] };
+    });
+    await chrome.storage.local.set({ [PROVIDER_SETTINGS_KEY]: settings, [TRANSLATION_SETTINGS_KEY]: translation });
+    await chrome.storage.local.remove('apiKey');
+}
@@ -0,0 +1,283 @@
+// db.js
+// IndexedDB storage for recorded sessions, their transcript entries, the chunks still waiting to be transcribed
+// and, when kept, their audio. It also holds the audio on its way to the providers (see Uploads), the key that
+// encrypts API keys (see credentials.js) and the webhook deliveries (see webhook.js).
+// Loaded by the background worker (importScripts), the side panel and the offscreen document, which share the
+// extension's origin.
+
+const DB_NAME = 'transcriptionDb';
+const DB_VERSION = 6;
+let dbPromise = null;
+
+// --- Connection & Schema ---
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            // Each version only adds what it introduced, so older databases upgrade step by step
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                if (event.oldVersion < 1) {
+                    db.createObjectStore('sessions', { keyPath: 'id' }).createIndex('startedAt', 'startedAt');
+                    db.createObjectStore('entries', { keyPath: 'id' }).createIndex('sessionId', 'sessionId');
+                }
+                if (event.oldVersion < 2) {
+                    db.createObjectStore('audio', { keyPath: 'id' }).createIndex('sessionId', 'sessionId');
+                }
+                if (event.oldVersion < 3) {
+                    db.createObjectStore('queue', { keyPath: 'id' }).createIndex('sessionId', 'sessionId');
+                }
+                if (event.oldVersion < 4) {
+                    db.createObjectStore('keys', { keyPath: 'name' });
+                }
+                if (event.oldVersion < 5) {
+                    db.createObjectStore('deliveries', { keyPath: 'id' }).createIndex('sessionId', 'sessionId');
+                }
+                if (event.oldVersion < 6) {
+                    db.createObjectStore('uploads', { keyPath: 'id' }).createIndex('sessionId', 'sessionId');
+                }
+            };
+            request.onsuccess = () => {
+                // Let a newer version of the extension upgrade the schema instead of being blocked by this page
+                request.result.onversionchange = () => {
+                    request.result.close();
+                    dbPromise = null;
+                };
+                resolve(request.result);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Runs work(stores) inside one transaction and resolves with its result once the transaction commits
+async function withStores(storeNames, mode, work) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, mode);
+        const stores = Object.fromEntries(storeNames.map(name => [name, transaction.objectStore(name)]));
+        let result;
+        Promise.resolve(work(stores)).then(value => { result = value; }, reject);
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// --- Sessions ---
+async function createSession(details) {
+    const session = {
+        id: crypto.randomUUID(),
+        name: details.name || details.tabTitle || `Recording ${new Date().toLocaleString()}`,
+        startedAt: new Date().toISOString(),
+        endedAt: null,
+        duration: 0, // seconds of recording, excluding pauses
+        pausedAt: null,
+        pausedMs: 0,
+        source: details.source,
+        private: Boolean(details.private),
+        tabTitle: details.tabTitle || null,
+        tabUrl: details.tabUrl || null,
+        keepAudio: Boolean(details.keepAudio),
+        keepUnredacted: Boolean(details.keepUnredacted), // Whether entries keep their text from before redaction
+        vocabulary: details.vocabulary || [], // Glossary terms for this session only (see glossary.js)
+    };
+    await withStores(['sessions'], 'readwrite', ({ sessions }) => { sessions.put(session); });
+    return session;
+}
+
+function getSession(id) {
+    return withStores(['sessions'], 'readonly', ({ sessions }) => requestToPromise(sessions.get(id)));
+}
+
+// Reads and writes in one transaction, so concurrent updates cannot overwrite each other
+function updateSession(id, changes) {
+    return withStores(['sessions'], 'readwrite', async ({ sessions }) => {
+        const session = await requestToPromise(sessions.get(id));
+        if (!session) return null;
+        const updated = { ...session, ...(typeof changes === 'function' ? changes(session) : changes) };
+        sessions.put(updated);
+        return updated;
+    });
+}
+
+async function listSessions() {
+    const all = await withStores(['sessions'], 'readonly', ({ sessions }) => requestToPromise(sessions.getAll()));
+    return all.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+function deleteSession(id) {
+    return withStores(['sessions', 'entries', 'audio', 'queue', 'deliveries', 'uploads'], 'readwrite', async ({ sessions, entries, audio, queue, deliveries, uploads }) => {
+        sessions.delete(id);
+        for (const store of [entries, audio, queue, deliveries, uploads]) {
+            const keys = await requestToPromise(store.index('sessionId').getAllKeys(id));
+            keys.forEach(key => store.delete(key));
+        }
+    });
+}
+
+// --- Entries ---
+function addEntry(entry) {
+    return withStores(['entries'], 'readwrite', ({ entries }) => { entries.put(entry); });
+}
+
+function updateEntry(id, changes) {
+    return withStores(['entries'], 'readwrite', async ({ entries }) => {
+        const entry = await requestToPromise(entries.get(id));
+        if (!entry) return null;
+        const updated = { ...entry, ...changes };
+        entries.put(updated);
+        return updated;
+    });
+}
+
+// Deletes and writes entries in one transaction, so a merge or split is stored completely or not at all
+function replaceEntries(removedIds, added) {
+    return withStores(['entries'], 'readwrite', ({ entries }) => {
+        removedIds.forEach(id => entries.delete(id));
+        added.forEach(entry => entries.put(entry));
+    });
+}
+
+async function getSessionEntries(sessionId) {
+    const all = await withStores(['entries'], 'readonly', ({ entries }) => requestToPromise(entries.index('sessionId').getAll(sessionId)));
+    return all.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+// Case-insensitive full-text search over every entry of every session, translations included
+async function searchEntries(query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return [];
+    const all = await withStores(['entries'], 'readonly', ({ entries }) => requestToPromise(entries.getAll()));
+    return all
+        .filter(entry => entry.text.toLowerCase().includes(needle) || entry.translation?.text.toLowerCase().includes(needle))
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+// --- Audio ---
+const KEEP_AUDIO_KEY = 'keepAudio'; // chrome.storage.local setting: store each session's audio with it
+
+// A record is { id, sessionId, channel, startOffset, endOffset, mimeType, blob }: one recorded chunk of a
+// session kept with "Keep audio", placed on the session timeline by its offsets (ms, pauses left out)
+function addAudioChunk(chunk) {
+    return withStores(['audio'], 'readwrite', ({ audio }) => { audio.put(chunk); });
+}
+
+async function getSessionAudio(sessionId) {
+    const all = await withStores(['audio'], 'readonly', ({ audio }) => requestToPromise(audio.index('sessionId').getAll(sessionId)));
+    return all.sort((a, b) => a.startOffset - b.startOffset);
+}
+
+// --- Uploads ---
+// An upload is { id, sessionId, blob }: the encoded audio of one chunk, written by the document that encoded it and
+// read by the background worker, since runtime messages can only carry it as a base64 string. It is deleted once
+// the chunk has been transcribed or discarded.
+async function addUpload(sessionId, blob) {
+    const id = crypto.randomUUID();
+    await withStores(['uploads'], 'readwrite', ({ uploads }) => { uploads.put({ id, sessionId, blob }); });
+    return id;
+}
+
+function getUpload(id) {
+    return withStores(['uploads'], 'readonly', ({ uploads }) => requestToPromise(uploads.get(id)));
+}
+
+function deleteUpload(id) {
+    return withStores(['uploads'], 'readwrite', ({ uploads }) => { uploads.delete(id); });
+}
+
+// --- Transcription Queue ---
+// A queued chunk is { id, sessionId, capturedAt, chunk, status, attempts, lastError, nextAttemptAt }: an audio chunk
+// that could not be transcribed yet, kept with its upload until it is. status is 'pending' (retried from
+// nextAttemptAt, a timestamp in ms) or 'failed' (waits for the user to retry or discard it).
+function putQueuedChunk(item) {
+    return withStores(['queue'], 'readwrite', ({ queue }) => { queue.put(item); });
+}
+
+function updateQueuedChunk(id, changes) {
+    return withStores(['queue'], 'readwrite', async ({ queue }) => {
+        const item = await requestToPromise(queue.get(id));
+        if (!item) return null;
+        const updated = { ...item, ...changes };
+        queue.put(updated);
+        return updated;
+    });
+}
+
+function getQueuedChunk(id) {
+    return withStores(['queue'], 'readonly', ({ queue }) => requestToPromise(queue.get(id)));
+}
+
+function deleteQueuedChunk(id) {
+    return withStores(['queue'], 'readwrite', ({ queue }) => { queue.delete(id); });
+}
+
+// What the side panel shows of a queued chunk: everything but its audio
+function describeQueuedChunk({ chunk, ...item }) {
+    return { ...item, channel: chunk.channel || null, source: chunk.source || null, startOffset: chunk.startOffset ?? null };
+}
+
+// Oldest capture first; all sessions unless sessionId is given
+async function getQueuedChunks(sessionId) {
+    const all = await withStores(['queue'], 'readonly', ({ queue }) => requestToPromise(sessionId ? queue.index('sessionId').getAll(sessionId) : queue.getAll()));
+    return all.sort((a, b) => a.capturedAt.localeCompare(b.capturedAt));
+}
+
+// --- Webhook Deliveries ---
+// A delivery is { id, event, sessionId, sessionName, payload, status, attempts, lastError, createdAt, nextAttemptAt,
+// deliveredAt }: one POST to the webhook. status is 'pending' (sent from nextAttemptAt, a timestamp in ms),
+// 'delivered' or 'failed' (waits for the user to retry it). Delivered ones are kept as the delivery log.
+function putDelivery(delivery) {
+    return withStores(['deliveries'], 'readwrite', ({ deliveries }) => { deliveries.put(delivery); });
+}
+
+function updateDelivery(id, changes) {
+    return withStores(['deliveries'], 'readwrite', async ({ deliveries }) => {
+        const delivery = await requestToPromise(deliveries.get(id));
+        if (!delivery) return null;
+        const updated = { ...delivery, ...changes };
+        deliveries.put(updated);
+        return updated;
+    });
+}
+
+function deleteDeliveries(ids) {
+    return withStores(['deliveries'], 'readwrite', ({ deliveries }) => { ids.forEach(id => deliveries.delete(id)); });
+}
+
+// What the side panel shows of a delivery: everything but what was sent
+function describeDelivery({ payload, ...delivery }) {
+    return delivery;
+}
+
+// Oldest first
+async function getDeliveries() {
+    const all = await withStores(['deliveries'], 'readonly', ({ deliveries }) => requestToPromise(deliveries.getAll()));
+    return all.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// --- Crypto Keys ---
+// A record is { name, key }, key being a CryptoKey. Stored as is, a non-extractable key can be used again but never
+// read out.
+async function getCryptoKey(name) {
+    const record = await withStores(['keys'], 'readonly', ({ keys }) => requestToPromise(keys.get(name)));
+    return record?.key || null;
+}
+
+// Stores key unless one is already stored under name, and resolves with the stored one
+function addCryptoKey(name, key) {
+    return withStores(['keys'], 'readwrite', async ({ keys }) => {
+        const record = await requestToPromise(keys.get(name));
+        if (record) return record.key;
+        keys.add({ name, key });
+        return key;
+    });
+}
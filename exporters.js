@@ -0,0 +1,269 @@
+// exporters.js
+// Transcript export formats used by the side panel. The background worker loads it too, for the speaker
+// labels and offsets it puts in front of each line it sends to be summarized. Caption timings come from each entry's
+// startOffset/endOffset: ms of recorded media since the session started, with paused time left out.
+// textMode picks what each line says for translated entries: 'original', 'translation' or 'both'.
+// Entries corrected in the side panel carry edited: true (and originalText, the text as transcribed); the text
+// formats mark them, and their cues ignore the provider segments, which no longer match the text. Timed words
+// (entry.words) are found in the text as it is now, so their cues still follow it.
+// Bookmarks (session.bookmarks), highlighted entries (highlighted: true) and entry notes (note) are in every format:
+// the text formats list bookmarks in time order between the lines, and captions show them as cues of their own.
+// Lines of a transcribed file (source 'file') show their position in the file instead of the time of day.
+// Entries hold their text after redaction (redaction.js); JSON flags them with redacted: true, and the text from
+// before it (unredactedText) is never exported.
+
+const EXPORT_FORMATS = {
+    txt: { extension: 'txt', mimeType: 'text/plain', format: formatTxt },
+    json: { extension: 'json', mimeType: 'application/json', format: formatJson },
+    srt: { extension: 'srt', mimeType: 'application/x-subrip', format: formatSrt },
+    vtt: { extension: 'vtt', mimeType: 'text/vtt', format: formatVtt },
+    md: { extension: 'md', mimeType: 'text/markdown', format: formatMarkdown },
+};
+
+const MIN_CUE_DURATION = 1000; // ms, keeps very short chunks readable on screen
+const MS_PER_CHARACTER = 60;   // Reading-speed estimate for entries that were stored without an end offset
+const MAX_CUE_CHARS = 84;      // Two lines of 42 characters, a common subtitle limit
+const MAX_CUE_MS = 6000;
+const WORD_SEARCH_WINDOW = 40; // Characters a word is looked for past the previous one
+const CORRECTED_MARK = '[corrected]';
+const HIGHLIGHT_MARK = '★';
+const BOOKMARK_LABEL = 'Bookmark';
+
+// --- Labels ---
+function getSourceLabel(entry) {
+    if (entry.channel) return entry.channel === 'mic' ? 'You' : 'Others';
+    if (entry.source === 'tabmic') return 'Tab + Microphone';
+    if (entry.source === 'file') return 'File';
+    return entry.source === 'mic' ? 'Microphone' : 'Tab Audio';
+}
+
+// Diarized entries carry a speaker id (S1, S2, ...); names given to them are stored once per session
+function getSpeakerName(speakerId, speakerNames = {}) {
+    return speakerNames[speakerId] || `Speaker ${speakerId.slice(1)}`;
+}
+
+// Who said it, or null when neither diarization nor Tab + Microphone tells
+function getEntrySpeaker(entry, speakerNames) {
+    if (entry.speaker) return getSpeakerName(entry.speaker, speakerNames);
+    return entry.channel ? getSourceLabel(entry) : null;
+}
+
+function getSpeakerPrefix(entry, speakerNames) {
+    const speaker = getEntrySpeaker(entry, speakerNames);
+    return speaker ? `${speaker}: ` : '';
+}
+
+// --- Text ---
+function getEntryText(entry, textMode = 'original') {
+    if (!entry.translation || textMode === 'original') return entry.text;
+    if (textMode === 'translation') return entry.translation.text;
+    return `${entry.text}\n${entry.translation.text}`;
+}
+
+// The mark in front of a highlighted line, with its space
+function getHighlightPrefix(entry) {
+    return entry.highlighted ? `${HIGHLIGHT_MARK} ` : '';
+}
+
+// Entries and bookmarks in time order, as [{ entry }] and [{ bookmark }] items
+function getTimeline(session, entries) {
+    const bookmarks = (session.bookmarks || []).map(bookmark => ({ bookmark, timestamp: bookmark.timestamp }));
+    return [...entries.map(entry => ({ entry, timestamp: entry.timestamp })), ...bookmarks]
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+// --- Cue Timing ---
+function getEntryStart(entry, session) {
+    if (typeof entry.startOffset === 'number') return entry.startOffset;
+    // Entries recorded before offsets were tracked fall back to the wall clock
+    return Math.max(0, Date.parse(entry.timestamp) - Date.parse(session.startedAt));
+}
+
+function getEntryEnd(entry, session) {
+    if (typeof entry.endOffset === 'number') return entry.endOffset;
+    return getEntryStart(entry, session) + Math.max(MIN_CUE_DURATION, entry.text.length * MS_PER_CHARACTER);
+}
+
+// Cues broken between timed words when the provider returned them, else one per provider segment, else one per
+// entry. Translations cover the whole entry, so translated entries always get a single cue.
+// A highlighted entry marks each of its cues; its note follows the text of its last one.
+function buildCues(session, entries, textMode) {
+    const cues = [];
+    entries.forEach(entry => {
+        const speaker = getEntrySpeaker(entry, session.speakerNames);
+        const useTranslation = entry.translation && textMode !== 'original';
+        const wordCues = useTranslation ? [] : buildWordCues(entry);
+        const entryCues = wordCues.length
+            ? wordCues.map(cue => ({ ...cue, speaker }))
+            : entry.segments?.length && !useTranslation && !entry.edited
+            ? entry.segments.map(segment => ({ start: segment.start, end: segment.end, text: segment.text, speaker }))
+            : [{ start: getEntryStart(entry, session), end: getEntryEnd(entry, session), text: getEntryText(entry, textMode), speaker }];
+        entryCues.forEach(cue => { cue.text = `${getHighlightPrefix(entry)}${cue.text}`; });
+        if (entry.note) entryCues[entryCues.length - 1].text += `\nNote: ${entry.note}`;
+        cues.push(...entryCues);
+    });
+    (session.bookmarks || []).forEach(bookmark => {
+        cues.push({ start: bookmark.offset, end: bookmark.offset + MIN_CUE_DURATION, text: `[${BOOKMARK_LABEL}]`, speaker: null });
+    });
+    cues.sort((a, b) => a.start - b.start);
+    cues.forEach(cue => {
+        cue.end = Math.max(cue.end, cue.start + MIN_CUE_DURATION);
+        // A blank line would end the cue early in both SRT and WebVTT
+        cue.text = cue.text.trim().replace(/\n\s*\n/g, '\n');
+    });
+    return cues.filter(cue => cue.text);
+}
+
+// [{ start, end, text }] of the entry's text, a new cue starting after a sentence or once a cue would grow past
+// MAX_CUE_CHARS or MAX_CUE_MS. Text between the words (punctuation, glossary changes) stays with the word before it.
+function buildWordCues(entry) {
+    const matches = matchWordsToText(entry.text, entry.words);
+    const cues = [];
+    let first = null; // The first match of the cue being built
+    matches.forEach((match, index) => {
+        if (!first) first = match;
+        const next = matches[index + 1];
+        const endsSentence = /[.!?]/.test(entry.text.slice(match.end, next ? next.start : entry.text.length));
+        const tooLong = next && (next.end - first.start > MAX_CUE_CHARS || next.word.end - first.word.start > MAX_CUE_MS);
+        if (!next || endsSentence || tooLong) {
+            const textStart = cues.length === 0 ? 0 : first.start;
+            cues.push({ start: first.word.start, end: match.word.end, text: entry.text.slice(textStart, next ? next.start : entry.text.length).trim() });
+            first = null;
+        }
+    });
+    return cues;
+}
+
+// Finds the words in text, in order, and returns [{ word, start, end }] with the characters each covers. Words the
+// text no longer holds (corrected, or changed by the glossary) are left out; each is only looked for within
+// WORD_SEARCH_WINDOW characters of the last one found, so a missing word never swallows the rest of the line.
+function matchWordsToText(text, words = []) {
+    const matches = [];
+    let position = 0;
+    words.forEach(word => {
+        const token = word.text.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+        if (!token) return;
+        const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\p{L}\\p{N}])`, 'giu');
+        pattern.lastIndex = position;
+        const found = pattern.exec(text);
+        if (!found || found.index - position > WORD_SEARCH_WINDOW) return;
+        matches.push({ word, start: found.index, end: found.index + found[0].length });
+        position = found.index + found[0].length;
+    });
+    return matches;
+}
+
+function formatCueTime(ms, decimalSeparator) {
+    const total = Math.max(0, Math.round(ms));
+    const h = Math.floor(total / 3600000).toString().padStart(2, '0');
+    const m = Math.floor((total % 3600000) / 60000).toString().padStart(2, '0');
+    const s = Math.floor((total % 60000) / 1000).toString().padStart(2, '0');
+    const millis = (total % 1000).toString().padStart(3, '0');
+    return `${h}:${m}:${s}${decimalSeparator}${millis}`;
+}
+
+function formatOffset(ms) {
+    return formatCueTime(ms, '.').slice(0, 8);
+}
+
+function formatEntryTime(entry) {
+    return entry.source === 'file' && entry.startOffset != null ? formatOffset(entry.startOffset) : new Date(entry.timestamp).toLocaleTimeString();
+}
+
+// --- Formats ---
+function formatTxt(session, entries, { textMode } = {}) {
+    return getTimeline(session, entries).map(({ entry, bookmark }) => {
+        if (bookmark) return `[${new Date(bookmark.timestamp).toLocaleTimeString()}] ${BOOKMARK_LABEL} at ${formatOffset(bookmark.offset)}`;
+        const line = `[${formatEntryTime(entry)}] ${getHighlightPrefix(entry)}(${getEntrySpeaker(entry, session.speakerNames) || getSourceLabel(entry)}) ${getEntryText(entry, textMode)}${entry.edited ? ` ${CORRECTED_MARK}` : ''}`;
+        return entry.note ? `${line}\nNote: ${entry.note}` : line;
+    }).join('\n\n');
+}
+
+function formatSrt(session, entries, { textMode } = {}) {
+    return buildCues(session, entries, textMode).map((cue, index) => [
+        index + 1,
+        `${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}`,
+        cue.speaker ? `${cue.speaker}: ${cue.text}` : cue.text,
+    ].join('\n')).join('\n\n') + '\n';
+}
+
+function formatVtt(session, entries, { textMode } = {}) {
+    const escapeVtt = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const cues = buildCues(session, entries, textMode).map(cue => [
+        `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}`,
+        // Voice spans let players style each speaker separately
+        cue.speaker ? `<v ${escapeVtt(cue.speaker)}>${escapeVtt(cue.text)}` : escapeVtt(cue.text),
+    ].join('\n'));
+    return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+// JSON always carries both the original and the translation
+function formatJson(session, entries) {
+    return JSON.stringify(buildJsonDocument(session, entries), null, 2);
+}
+
+// The JSON export as an object; the webhook (webhook.js) sends the same document and the same entries
+function buildJsonDocument(session, entries) {
+    return {
+        session: {
+            id: session.id,
+            name: session.name,
+            startedAt: session.startedAt,
+            endedAt: session.endedAt,
+            duration: session.duration,
+            source: session.source,
+            tabTitle: session.tabTitle,
+            tabUrl: session.tabUrl,
+            speakers: session.speakerNames || {},
+            bookmarks: session.bookmarks || [],
+        },
+        exportedAt: new Date().toISOString(),
+        entries: entries.map(entry => buildJsonEntry(entry, session)),
+    };
+}
+
+function buildJsonEntry(entry, session) {
+    return {
+        id: entry.id,
+        timestamp: entry.timestamp,
+        startOffset: getEntryStart(entry, session),
+        endOffset: getEntryEnd(entry, session),
+        speaker: getEntrySpeaker(entry, session.speakerNames),
+        speakerId: entry.speaker || null,
+        text: entry.text,
+        edited: Boolean(entry.edited),
+        originalText: entry.edited ? entry.originalText || null : null,
+        redacted: Boolean(entry.redacted),
+        source: entry.source,
+        channel: entry.channel || null,
+        provider: entry.provider || null,
+        language: entry.language || null,
+        translation: entry.translation || null,
+        confidence: entry.confidence ?? null,
+        highlighted: Boolean(entry.highlighted),
+        note: entry.note || null,
+        segments: entry.segments || [],
+        words: entry.words || [],
+    };
+}
+
+function formatMarkdown(session, entries, { textMode } = {}) {
+    const lines = [`# ${session.name}`, ''];
+    lines.push(`- **Started:** ${new Date(session.startedAt).toLocaleString()}`);
+    if (session.endedAt) lines.push(`- **Duration:** ${formatOffset((session.duration || 0) * 1000)}`);
+    lines.push(`- **Source:** ${getSourceLabel({ source: session.source })}`);
+    if (session.tabUrl) lines.push(`- **Page:** [${session.tabTitle || session.tabUrl}](${session.tabUrl})`);
+    lines.push('', '---', '');
+    getTimeline(session, entries).forEach(({ entry, bookmark }) => {
+        if (bookmark) {
+            lines.push(`**[${formatOffset(bookmark.offset)}]** _${BOOKMARK_LABEL}_`, '');
+            return;
+        }
+        const name = getEntrySpeaker(entry, session.speakerNames);
+        const speaker = name ? `**${name}:** ` : '';
+        // Markdown needs two trailing spaces for a line break inside a paragraph
+        lines.push(`**[${formatOffset(getEntryStart(entry, session))}]** ${getHighlightPrefix(entry)}${speaker}${getEntryText(entry, textMode).replace(/\n/g, '  \n')}${entry.edited ? ` _${CORRECTED_MARK}_` : ''}`, '');
+        if (entry.note) lines.push(`> Note: ${entry.note.replace(/\n/g, '  \n> ')}`, '');
+    });
+    return lines.join('\n');
+}
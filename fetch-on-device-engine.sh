@@ -0,0 +1,26 @@
+#!/bin/sh
+# Downloads the on-device engine's files into the extension folder (see "Install the On-Device Engine" in the
+# README): transformers.js from the npm registry into vendor/transformers/, and a Whisper model from the Hugging Face
+# hub into models/. Needs npm, tar and curl.
+#
+# Usage: ./fetch-on-device-engine.sh [model id]    (default: Xenova/whisper-tiny.en)
+set -eu
+
+MODEL="${1:-Xenova/whisper-tiny.en}"
+ROOT="$(cd "$(dirname "$0")" && pwd)"
+TMP="$(mktemp -d)"
+trap 'rm -rf "$TMP"' EXIT
+
+# The library and the ONNX Runtime WASM files it loads, from the dist/ folder of @xenova/transformers v2
+(cd "$TMP" && npm pack --silent @xenova/transformers@2 > /dev/null && tar -xzf xenova-transformers-*.tgz)
+mkdir -p "$ROOT/vendor/transformers"
+cp "$TMP/package/dist/transformers.min.js" "$TMP"/package/dist/ort-wasm*.wasm "$ROOT/vendor/transformers/"
+
+# The model's settings, tokenizer and quantized encoder and decoder, as the worker asks for them (quantized: true)
+for file in config.json generation_config.json preprocessor_config.json tokenizer.json tokenizer_config.json \
+    onnx/encoder_model_quantized.onnx onnx/decoder_model_merged_quantized.onnx; do
+    mkdir -p "$ROOT/models/$MODEL/$(dirname "$file")"
+    curl -fL --retry 3 -o "$ROOT/models/$MODEL/$file" "https://huggingface.co/$MODEL/resolve/main/$file"
+done
+
+echo "On-device engine installed with $MODEL. Reload the extension in chrome://extensions."
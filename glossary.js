@@ -0,0 +1,135 @@
+// glossary.js
+// Custom vocabulary and find/replace rules. Loaded by the background worker (importScripts) and the side panel.
+// The vocabulary is passed to every provider as a hint (a prompt, keywords or keyterms, whatever it takes), and
+// the rules rewrite each transcript before it is shown or stored. Sessions can add their own terms on top.
+
+const GLOSSARY_KEY = 'glossary';                      // { vocabulary: [term], rules: [rule] } shared by all sessions
+const SESSION_VOCABULARY_KEY = 'sessionVocabulary';   // Extra terms for the next session, copied onto it at start
+const GLOSSARY_FILE_VERSION = 1;
+const MAX_VOCABULARY_PROMPT_CHARS = 800;              // Whisper only reads the last 224 tokens of its prompt
+
+// A rule is { find, replace, regex, caseSensitive }; without regex, find is matched literally as whole words
+
+// --- Storage ---
+async function getGlossary() {
+    const { [GLOSSARY_KEY]: stored } = await chrome.storage.local.get(GLOSSARY_KEY);
+    return normalizeGlossary(stored);
+}
+
+function saveGlossary(glossary) {
+    return chrome.storage.local.set({ [GLOSSARY_KEY]: normalizeGlossary(glossary) });
+}
+
+// The glossary's terms plus the session's own, without duplicates
+async function getVocabulary(sessionId) {
+    const [glossary, session] = await Promise.all([getGlossary(), sessionId ? getSession(sessionId) : null]);
+    return uniqueTerms([...glossary.vocabulary, ...(session?.vocabulary || [])]);
+}
+
+function normalizeGlossary(value) {
+    return {
+        vocabulary: uniqueTerms(Array.isArray(value?.vocabulary) ? value.vocabulary : []),
+        rules: (Array.isArray(value?.rules) ? value.rules : [])
+            .filter(rule => typeof rule?.find === 'string' && rule.find)
+            .map(rule => ({
+                find: rule.find,
+                replace: typeof rule.replace === 'string' ? rule.replace : '',
+                regex: Boolean(rule.regex),
+                caseSensitive: Boolean(rule.caseSensitive),
+            })),
+    };
+}
+
+// One term per line (or comma-separated), as typed in the side panel
+function parseVocabulary(text) {
+    return uniqueTerms(text.split(/[\n,]/));
+}
+
+function uniqueTerms(terms) {
+    const seen = new Set();
+    return terms
+        .filter(term => typeof term === 'string')
+        .map(term => term.trim())
+        .filter(term => {
+            const key = term.toLowerCase();
+            if (!term || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+// --- Rules ---
+// Throws on an invalid regular expression, so the editor can point at the rule
+function compileGlossaryRule(rule) {
+    const flags = rule.caseSensitive ? 'gu' : 'giu';
+    if (rule.regex) return new RegExp(rule.find, flags);
+    const escaped = rule.find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    // Whole words only, so "AI" does not rewrite the middle of "said"
+    return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, flags);
+}
+
+// Rules run in order, then vocabulary terms fix the casing of words that match them ("openai" -> "OpenAI")
+function applyGlossary(text, rules, vocabulary = []) {
+    let result = text;
+    rules.forEach(rule => {
+        let pattern;
+        try {
+            pattern = compileGlossaryRule(rule);
+        } catch {
+            return; // The editor refuses invalid patterns, but an imported file may still hold one
+        }
+        // A literal replacement must not treat "$1" specially
+        result = rule.regex ? result.replace(pattern, rule.replace) : result.replace(pattern, () => rule.replace);
+    });
+    vocabulary.forEach(term => {
+        result = result.replace(compileGlossaryRule({ find: term, regex: false, caseSensitive: false }), () => term);
+    });
+    return result;
+}
+
+// A provider result with the glossary applied to its text and segments
+function applyGlossaryToResult(result, rules, vocabulary) {
+    return {
+        ...result,
+        text: applyGlossary(result.text, rules, vocabulary),
+        segments: result.segments.map(segment => ({ ...segment, text: applyGlossary(segment.text, rules, vocabulary) })),
+    };
+}
+
+// --- Provider Hints ---
+// The terms that fit into a prompt, most important (first listed) first
+function limitVocabulary(vocabulary, maxChars = MAX_VOCABULARY_PROMPT_CHARS) {
+    const terms = [];
+    let length = 0;
+    for (const term of vocabulary) {
+        if (length + term.length + 2 > maxChars) break;
+        terms.push(term);
+        length += term.length + 2;
+    }
+    return terms;
+}
+
+// --- Import & Export ---
+function exportGlossary(glossary) {
+    return JSON.stringify({ version: GLOSSARY_FILE_VERSION, ...normalizeGlossary(glossary) }, null, 2);
+}
+
+// Adds the file's terms and rules to the glossary; rules already present are not repeated
+function importGlossary(glossary, json) {
+    let parsed;
+    try {
+        parsed = JSON.parse(json);
+    } catch {
+        throw new Error("The file is not valid JSON.");
+    }
+    if (!Array.isArray(parsed?.vocabulary) && !Array.isArray(parsed?.rules)) {
+        throw new Error("The file does not contain a glossary.");
+    }
+    const imported = normalizeGlossary(parsed);
+    const ruleKey = rule => JSON.stringify([rule.find, rule.regex, rule.caseSensitive]);
+    const existing = new Set(glossary.rules.map(ruleKey));
+    return normalizeGlossary({
+        vocabulary: [...glossary.vocabulary, ...imported.vocabulary],
+        rules: [...glossary.rules, ...imported.rules.filter(rule => !existing.has(ruleKey(rule)))],
+    });
+}
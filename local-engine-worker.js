@@ -0,0 +1,67 @@
+// local-engine-worker.js
+// On-device speech recognition, run as a module worker from the offscreen document.
+// Uses a Whisper model through transformers.js (ONNX Runtime WASM on the CPU). Both the library and the model
+// are loaded from the extension's own files, so no audio and no request ever leaves the machine.
+
+const LIBRARY_PATH = './vendor/transformers/transformers.min.js';
+const MODELS_PATH = new URL('models/', self.location).href;
+
+let library = null;
+const pipelines = new Map(); // model id -> Promise of a loaded pipeline
+
+async function loadLibrary() {
+    if (!library) {
+        try {
+            library = await import(LIBRARY_PATH);
+        } catch {
+            throw new Error("On-device engine files are missing. Add transformers.js under vendor/transformers/ (see the README).");
+        }
+        const { env } = library;
+        // Never fall back to downloading models from the Hugging Face hub
+        env.allowRemoteModels = false;
+        env.allowLocalModels = true;
+        env.localModelPath = MODELS_PATH;
+        env.backends.onnx.wasm.wasmPaths = new URL('vendor/transformers/', self.location).href;
+        // Threads need a cross-origin isolated page, which the offscreen document is not
+        env.backends.onnx.wasm.numThreads = 1;
+    }
+    return library;
+}
+
+function getPipeline(model) {
+    if (!pipelines.has(model)) {
+        const loading = loadLibrary()
+            .then(({ pipeline }) => pipeline('automatic-speech-recognition', model, { quantized: true }).catch(error => {
+                throw new Error(`Could not load the on-device model "${model}" from models/. ${error.message}`);
+            }))
+            .catch(error => {
+                pipelines.delete(model); // Let a later request retry, e.g. after the files were added
+                throw error;
+            });
+        pipelines.set(model, loading);
+    }
+    return pipelines.get(model);
+}
+
+// audio is 16 kHz mono Float32Array
+async function transcribe(audio, model) {
+    const transcriber = await getPipeline(model);
+    const output = await transcriber(audio, { return_timestamps: true, chunk_length_s: 30, stride_length_s: 5 });
+    const segments = (output.chunks || []).map(chunk => ({
+        start: chunk.timestamp[0],
+        end: chunk.timestamp[1] ?? audio.length / 16000,
+        text: chunk.text.trim(),
+        confidence: null,
+    }));
+    return { text: output.text.trim(), segments, words: [], language: null, confidence: null };
+}
+
+self.onmessage = async (event) => {
+    const { id, audio, model } = event.data;
+    try {
+        const result = await transcribe(audio, model);
+        self.postMessage({ id, result });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
@@ -1,109 +1,261 @@
 // offscreen.js
 
 // --- Core Recording State ---
-let mediaRecorder;
-let audioChunks = [];
+// One capture per recorded stream. 'Tab + Microphone' runs two side by side, each with its own
+// recorder and silence detection, so every chunk can be tagged with the stream it came from.
+let captures = [];
 let playbackAudio; // To play audio back to the user
-let stream; // To hold the master audio stream
 
-// --- Silence Detection State & Settings ---
+// --- Session Clock ---
+// Offsets are measured in ms of recorded media from the start of the session, so paused time is left out
+let sessionStartedAt = null;
+let sessionPausedAt = null;
+let sessionPausedMs = 0;
+
+// --- Voice Detection State & Settings ---
+// The detector itself is in vad.js. A recorder always runs ahead of speech, so a chunk can start PREROLL_MS
+// before the detector heard the first word; a recorder that hears nothing is replaced every RECORDER_RECYCLE_MS.
 let audioContext;
-let analyser;
-let sourceNode;
-const SILENCE_THRESHOLD = -50; // dB, adjust this value based on microphone sensitivity and background noise
-const SPEECH_TIMEOUT = 1500;   // ms, how long to wait in silence before sending the audio chunk
-let silenceCheckInterval;
-let speechTimeout;
+let vadSettings = getVadSettings();
+const PREROLL_MS = 500;
+const RECORDER_RECYCLE_MS = 10000;
+const LEVEL_REPORT_INTERVAL = 100; // ms between level readings sent to the side panel's meter
+
+// --- Speaker Features ---
+// While someone speaks, the spectrum is sampled into log-spaced band levels. The background worker averages
+// them per speaker turn into a voice embedding to tell speakers apart (see speakers.js).
+const SPEAKER_FEATURE_BANDS = 24;
+const SPEAKER_FEATURE_MIN_HZ = 100;
+const SPEAKER_FEATURE_MAX_HZ = 8000;
+const SPEAKER_FEATURE_INTERVAL = 200; // ms between feature frames
+let diarizeSpeakers = false;
+
+// --- Kept Audio ---
+// With "Keep audio" on, the recorded audio is stored in IndexedDB (db.js) with the session. Batch chunks are
+// stored as they are sent for transcription; a streaming capture has no chunks, so a second recorder archives
+// it in segments that can each be decoded on their own.
+const ARCHIVE_SEGMENT_MS = 60000;
+let keepAudio = false;
+let recordingSessionId = null;
+
+// --- Upload Encoding ---
+// How chunks are encoded for the session's providers: { format, maxBytes } (see getUploadEncoding in providers.js).
+// The encoded audio reaches the background worker through IndexedDB (db.js), the message only names it.
+let uploadEncoding = { format: 'wav', maxBytes: null };
+
+// --- Streaming Settings ---
+const STREAM_SAMPLE_RATE = 16000;        // Hz, must match pcm-worklet.js
+const STREAM_CONNECT_TIMEOUT = 5000;     // ms, fall back to batch uploads if the socket is not open by then
+const STREAM_KEEPALIVE_INTERVAL = 5000;  // ms, keeps the socket open while no audio is sent (paused)
+const STREAM_CLOSE_TIMEOUT = 2000;       // ms, how long to wait for final results when stopping
+let pcmWorkletLoaded = false;
+
+// --- On-Device Engine State ---
+const LOCAL_SAMPLE_RATE = 16000; // Hz, what the Whisper model expects
+let localEngineWorker = null;
+let localJobId = 0;
+const localJobs = new Map(); // job id -> { resolve, reject }
+let recordingActive = false; // The document also hosts on-device jobs, so only close it once both are done
+
+// --- On-Device Translation State ---
+let languageDetector = null;
+const translators = new Map(); // "source>target" -> Promise of a Translator
+let pendingTranslations = 0;
 
 // --- Message Listener ---
 chrome.runtime.onMessage.addListener(handleMessages);
 
-async function handleMessages(message) {
+// On-device transcription answers the background worker through sendResponse, so it has its own listener
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.action !== 'localTranscribe') return false;
+    transcribeOnDevice(message.audio, message.model)
+        .then(result => sendResponse({ success: true, result }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.action !== 'localTranslate') return false;
+    pendingTranslations++;
+    translateOnDevice(message.text, message.sourceLanguage, message.targetLanguage)
+        .then(result => sendResponse({ success: true, result }))
+        .catch(error => sendResponse({ success: false, error: error.message }))
+        .finally(() => {
+            pendingTranslations--;
+            closeIfIdle();
+        });
+    return true;
+});
+
+// The background worker moves its recording state machine on when these answer (see recording-state.js), and
+// asks for the status after it was restarted
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     switch (message.action) {
         case 'startOffscreenRecording':
-            await startRecording(message.source, message.streamId);
-            break;
+            startRecording(message.source, message.streamId, message)
+                .then(() => sendResponse({ success: true }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
         case 'stopOffscreenRecording':
-            stopRecording();
+            stopRecording().then(() => {
+                sendResponse({ success: true });
+                // Close the offscreen document once any on-device transcription still running has answered
+                closeIfIdle();
+            });
+            return true;
+        case 'getOffscreenStatus':
+            sendResponse({ recording: captures.length > 0, paused: Boolean(sessionPausedAt), sessionId: recordingSessionId });
+            return false;
+    }
+    return false;
+});
+
+async function handleMessages(message) {
+    switch (message.action) {
+        case 'updateVadSettings':
+            // Sent by the side panel, so the settings apply to a recording in progress
+            vadSettings = getVadSettings(message.settings);
             break;
         case 'pauseOffscreenRecording':
-            if (mediaRecorder && mediaRecorder.state === 'recording') mediaRecorder.pause();
+            if (!sessionPausedAt) sessionPausedAt = Date.now();
+            captures.forEach(capture => {
+                if (capture.socket) capture.streamPausedAt = Date.now();
+                if (capture.recording?.recorder.state === 'recording') capture.recording.recorder.pause();
+                if (capture.archive?.recorder.state === 'recording') capture.archive.recorder.pause();
+            });
             break;
         case 'resumeOffscreenRecording':
-            if (mediaRecorder && mediaRecorder.state === 'paused') mediaRecorder.resume();
+            if (sessionPausedAt) {
+                sessionPausedMs += Date.now() - sessionPausedAt;
+                sessionPausedAt = null;
+            }
+            captures.forEach(capture => {
+                if (capture.socket && capture.streamPausedAt) {
+                    // Stream time stands still while paused; remember the gap to map result times back to the clock
+                    capture.streamPauses.push({ at: capture.samplesSent / STREAM_SAMPLE_RATE, duration: Date.now() - capture.streamPausedAt });
+                    capture.streamPausedAt = null;
+                }
+                if (capture.recording?.recorder.state === 'paused') capture.recording.recorder.resume();
+                if (capture.archive?.recorder.state === 'paused') capture.archive.recorder.resume();
+            });
             break;
     }
 }
 
 // --- Main Recording Logic ---
-async function startRecording(source, streamId) {
-    if (mediaRecorder && mediaRecorder.state !== 'inactive') {
+// streaming is { url, apiKey } when the session streams over a WebSocket, or null for batch uploads;
+// keepAudio stores the audio under sessionId; vad holds the voice detection settings and encoding the upload encoding
+async function startRecording(source, streamId, { streaming, diarize, keepAudio: keep, sessionId, vad, encoding }) {
+    if (captures.length > 0) {
         console.warn('Recorder is already active.');
         return;
     }
+    recordingActive = true;
+    diarizeSpeakers = Boolean(diarize);
+    keepAudio = Boolean(keep) && Boolean(sessionId);
+    recordingSessionId = sessionId || null;
+    vadSettings = getVadSettings(vad);
+    uploadEncoding = encoding || { format: 'wav', maxBytes: null };
 
-    const constraints = source === 'mic' 
-        ? { audio: true }
-        : { audio: { mandatory: { chromeMediaSource: 'tab', chromeMediaSourceId: streamId } } };
+    const origins = source === 'tabmic' ? ['tab', 'mic'] : [source];
 
     try {
-        stream = await navigator.mediaDevices.getUserMedia(constraints);
-        
-        // Play tab audio back to the user so they can hear it
-        if (source === 'tab') {
-            playbackAudio = new Audio();
-            playbackAudio.srcObject = stream;
-            playbackAudio.play().catch(e => console.error("Playback failed:", e));
-        }
+        audioContext = new AudioContext();
+        sessionStartedAt = Date.now();
+        sessionPausedAt = null;
+        sessionPausedMs = 0;
 
-        // Setup MediaRecorder to capture the stream
-        mediaRecorder = new MediaRecorder(stream, { mimeType: 'audio/webm;codecs=opus' });
+        for (const origin of origins) {
+            const constraints = origin === 'mic'
+                ? { audio: true }
+                : { audio: { mandatory: { chromeMediaSource: 'tab', chromeMediaSourceId: streamId } } };
+            const stream = await navigator.mediaDevices.getUserMedia(constraints);
 
-        mediaRecorder.ondataavailable = (event) => {
-            if (event.data.size > 0) audioChunks.push(event.data);
-        };
+            // Play tab audio back to the user so they can hear it. The mic is never played back.
+            if (origin === 'tab') {
+                playbackAudio = new Audio();
+                playbackAudio.srcObject = stream;
+                playbackAudio.play().catch(e => console.error("Playback failed:", e));
+            }
 
-        mediaRecorder.onstop = async () => {
-            if (audioChunks.length === 0) return;
-            const audioBlob = new Blob(audioChunks, { type: 'audio/webm;codecs=opus' });
-            const audioBase64 = await convertBlobToBase64Wav(audioBlob);
-            chrome.runtime.sendMessage({ action: 'processAudioChunk', audioChunk: audioBase64 });
-            audioChunks = [];
-        };
+            captures.push(createCapture(origin, stream, source === 'tabmic'));
+        }
 
-        // Initialize the audio analysis for silence detection
-        setupAudioAnalysis();
-        // Start the silence detection loop, which will control the recorder
-        startSilenceDetection();
+        for (const capture of captures) {
+            if (streaming) {
+                await startStreamingOrFallback(capture, streaming);
+            } else {
+                // Start the voice detection loop, which will control the recorder
+                startVoiceDetection(capture);
+            }
+        }
 
     } catch (error) {
         console.error("Error starting offscreen recording:", error);
-        let errorMessage = "An unknown error occurred while starting the recording.";
+        // The background worker reports it and stops the session
         if (error.name === 'NotAllowedError') {
-            errorMessage = "Microphone permission was denied. Please allow it in your browser settings and try again.";
+            throw new Error("Microphone permission was denied. Please allow it in your browser settings and try again.");
         }
-        // Send a specific error message back to the background script to stop the session
-        chrome.runtime.sendMessage({ action: 'recordingError', error: errorMessage });
+        throw new Error("An unknown error occurred while starting the recording.");
     }
 }
 
-// --- Silence Detection Implementation ---
-function setupAudioAnalysis() {
-    audioContext = new AudioContext();
-    analyser = audioContext.createAnalyser();
+function createCapture(origin, stream, tagChannel) {
+    const capture = {
+        origin,
+        stream,
+        tagChannel,
+        recording: null, // { recorder, parts, startOffset, endOffset } of the recorder currently running
+        speech: null,    // { startOffset, startedAt, features } once the current recording has heard speech
+        voiceDetector: createVoiceDetector(),
+        lastLevelReport: 0,
+        lastFeatureAt: 0,
+        analyser: null,
+        silenceCheckInterval: null,
+        speechTimeout: null,
+        // Streaming mode only
+        socket: null,
+        pcmNode: null,
+        keepAliveInterval: null,
+        streamOpenedAt: null,
+        streamStartOffset: 0,
+        streamPausedAt: null,
+        streamPauses: [],
+        samplesSent: 0,
+        stopping: false,
+        archive: null, // { recorder, parts, startOffset, endOffset, rotateTimeout } while a kept stream is archived
+    };
+
+    // Initialize the audio analysis for voice detection
+    setupAudioAnalysis(capture);
+    return capture;
+}
+
+function getSessionOffset() {
+    const pausedNow = sessionPausedAt ? Date.now() - sessionPausedAt : 0;
+    return Math.max(0, Date.now() - sessionStartedAt - sessionPausedMs - pausedNow);
+}
+
+// --- Voice Detection Implementation ---
+function setupAudioAnalysis(capture) {
+    capture.analyser = audioContext.createAnalyser();
     // A smaller FFT size is more responsive to quick changes in volume
-    analyser.fftSize = 512; 
-    sourceNode = audioContext.createMediaStreamSource(stream);
-    sourceNode.connect(analyser);
+    capture.analyser.fftSize = 512;
+    capture.sourceNode = audioContext.createMediaStreamSource(capture.stream);
+    capture.sourceNode.connect(capture.analyser);
 }
 
-function startSilenceDetection() {
+function startVoiceDetection(capture) {
+    const { analyser } = capture;
     const bufferLength = analyser.frequencyBinCount;
     const dataArray = new Float32Array(bufferLength);
+    const spectrum = new Float32Array(bufferLength);
+    const binHz = audioContext.sampleRate / analyser.fftSize;
+    startRecorder(capture);
 
-    silenceCheckInterval = setInterval(() => {
-        // Don't check for silence if the user has manually paused
-        if (mediaRecorder.state === 'paused') {
+    capture.silenceCheckInterval = setInterval(() => {
+        // Don't check for speech if the user has manually paused
+        if (sessionPausedAt) {
             return;
         }
 
@@ -114,43 +266,398 @@ function startSilenceDetection() {
         }
         const rms = Math.sqrt(sum / bufferLength);
         const db = 20 * Math.log10(rms || 0.00001); // Use a floor value to avoid -Infinity
+        analyser.getFloatFrequencyData(spectrum);
+        const speechLike = vadSettings.detector === 'spectral' ? isSpeechSpectrum(spectrum, binHz) : true;
+        const speaking = detectVoice(capture.voiceDetector, db, speechLike, vadSettings);
+        reportLevel(capture, db);
+        const now = getSessionOffset();
 
-        if (db > SILENCE_THRESHOLD) {
+        if (speaking) {
             // --- Speech Detected ---
-            // If not recording, start now.
-            if (mediaRecorder.state === 'inactive') {
-                mediaRecorder.start();
+            // Start the chunk a little before now, as far back as the running recorder goes
+            if (!capture.speech) {
+                const startOffset = Math.max(capture.recording.startOffset, now - PREROLL_MS);
+                capture.speech = { startOffset, startedAt: new Date(Date.now() - (now - startOffset)).toISOString(), features: [] };
+            }
+            if (diarizeSpeakers && now - capture.lastFeatureAt >= SPEAKER_FEATURE_INTERVAL) {
+                capture.lastFeatureAt = now;
+                capture.speech.features.push({ t: now, v: measureSpeakerFeatures(capture, spectrum) });
             }
             // If a silence timeout is running, clear it because speech has resumed.
-            if (speechTimeout) {
-                clearTimeout(speechTimeout);
-                speechTimeout = null;
+            if (capture.speechTimeout) {
+                clearTimeout(capture.speechTimeout);
+                capture.speechTimeout = null;
             }
-        } else {
+            // Long speech is cut so that no chunk outgrows what the providers accept
+            if (now - capture.speech.startOffset >= vadSettings.maxChunkSeconds * 1000) {
+                cutRecording(capture);
+            }
+        } else if (capture.speech) {
             // --- Silence Detected ---
-            // If we are recording and there's no timeout scheduled, start one.
-            if (mediaRecorder.state === 'recording' && !speechTimeout) {
-                speechTimeout = setTimeout(() => {
-                    // If the timeout completes, stop the recording to send the chunk.
-                    mediaRecorder.stop();
-                    speechTimeout = null;
-                }, SPEECH_TIMEOUT);
+            // If speech was heard and there's no timeout scheduled, start one.
+            if (!capture.speechTimeout) {
+                capture.speechTimeout = setTimeout(() => {
+                    // If the timeout completes, end the chunk and send it.
+                    capture.speechTimeout = null;
+                    cutRecording(capture);
+                }, vadSettings.hangover);
             }
+        } else if (now - capture.recording.startOffset >= RECORDER_RECYCLE_MS) {
+            // Nothing but silence so far: start over, so the recording does not grow without end
+            cutRecording(capture);
         }
-    }, 200); // Check volume 5 times per second
+    }, VAD_FRAME_MS);
 }
 
-// --- Cleanup Logic ---
-function stopRecording() {
-    // Clear intervals and timeouts
-    if (silenceCheckInterval) clearInterval(silenceCheckInterval);
-    if (speechTimeout) clearTimeout(speechTimeout);
+function startRecorder(capture) {
+    const recorder = new MediaRecorder(capture.stream, { mimeType: 'audio/webm;codecs=opus' });
+    const recording = { recorder, parts: [], startOffset: getSessionOffset(), endOffset: null };
+    recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) recording.parts.push(event.data);
+    };
+    recorder.start();
+    if (sessionPausedAt) recorder.pause();
+    capture.recording = recording;
+}
 
-    // Stop the MediaRecorder and release the media stream tracks
-    if (mediaRecorder && mediaRecorder.state !== 'inactive') {
-        mediaRecorder.stream.getTracks().forEach(track => track.stop());
-        mediaRecorder.stop();
+// Stops the running recorder and, unless the capture is stopping, starts the next one at once. A recording that
+// heard speech becomes a chunk; the returned promise resolves once that chunk has been stored and sent.
+function cutRecording(capture, restart = true) {
+    const { recording, speech } = capture;
+    capture.recording = null;
+    capture.speech = null;
+    if (capture.speechTimeout) {
+        clearTimeout(capture.speechTimeout);
+        capture.speechTimeout = null;
     }
+    if (!recording) return Promise.resolve();
+    recording.endOffset = getSessionOffset();
+    if (restart) startRecorder(capture);
+    if (recording.recorder.state === 'inactive') return Promise.resolve();
+    return new Promise(resolve => {
+        recording.recorder.onstop = () => resolve(speech ? handleRecordedChunk(capture, recording, speech) : undefined);
+        recording.recorder.stop();
+    });
+}
+
+// A chunk too large for the providers is sent in parts; each is placed by its own offsets and capture time
+async function handleRecordedChunk(capture, recording, speech) {
+    const audioBlob = new Blob(recording.parts, { type: 'audio/webm;codecs=opus' });
+    // Kept audio covers the whole recording, placed at its own offsets
+    const audioChunkId = keepAudio ? await storeAudio(capture.origin, recording.startOffset, recording.endOffset, audioBlob) : null;
+    const parts = await encodeRecording(audioBlob, recording, speech);
+    for (const part of parts) {
+        chrome.runtime.sendMessage({
+            action: 'processAudioChunk',
+            uploadId: await addUpload(recordingSessionId, part.blob),
+            capturedAt: new Date(Date.parse(speech.startedAt) + part.startOffset - speech.startOffset).toISOString(),
+            startOffset: part.startOffset,
+            endOffset: part.endOffset,
+            channel: capture.tagChannel ? capture.origin : null,
+            features: diarizeSpeakers ? speech.features.filter(frame => frame.t >= part.startOffset && frame.t <= part.endOffset) : null,
+            audioChunkId,
+        });
+    }
+}
+
+// Resolves with [{ blob, startOffset, endOffset }]. When every provider takes WebM, the Opus recording goes out as
+// it is, from its own start. Otherwise it is decoded to 16 kHz mono, the part before the pre-roll is dropped (the
+// recording starts before the speech did) and the rest is encoded in parts that fit the providers' limit.
+async function encodeRecording(blob, recording, speech) {
+    const { format, maxBytes } = uploadEncoding;
+    if (format === 'webm' && (!maxBytes || blob.size <= maxBytes)) {
+        return [{ blob, startOffset: recording.startOffset, endOffset: recording.endOffset }];
+    }
+    const samples = await decodeToMono(await blob.arrayBuffer(), UPLOAD_SAMPLE_RATE);
+    const skip = Math.min(samples.length, Math.round(((speech.startOffset - recording.startOffset) / 1000) * UPLOAD_SAMPLE_RATE));
+    // Every provider that takes WebM also takes FLAC, which can be cut
+    const parts = encodeUploadParts(samples.subarray(skip), UPLOAD_SAMPLE_RATE, format === 'webm' ? 'flac' : format, maxBytes);
+    const toOffset = (sample) => speech.startOffset + Math.round((sample / UPLOAD_SAMPLE_RATE) * 1000);
+    return parts.map(part => ({ blob: part.blob, startOffset: toOffset(part.start), endOffset: toOffset(part.end) }));
+}
+
+// Feeds the side panel's level meter
+function reportLevel(capture, level) {
+    const now = Date.now();
+    if (now - capture.lastLevelReport < LEVEL_REPORT_INTERVAL) return;
+    capture.lastLevelReport = now;
+    const detector = capture.voiceDetector;
+    chrome.runtime.sendMessage({
+        action: 'voiceLevel',
+        channel: capture.origin,
+        level: Math.round(level),
+        noiseFloor: detector.noiseFloor === null ? null : Math.round(detector.noiseFloor),
+        threshold: Math.round(getVoiceThreshold(detector, vadSettings)),
+        speaking: detector.speaking,
+    });
+}
+
+// Mean level in dB of each band, rounded to keep the chunk message small
+function measureSpeakerFeatures(capture, spectrum) {
+    capture.analyser.getFloatFrequencyData(spectrum);
+    const binHz = audioContext.sampleRate / capture.analyser.fftSize;
+    const ratio = SPEAKER_FEATURE_MAX_HZ / SPEAKER_FEATURE_MIN_HZ;
+    const bands = [];
+    for (let band = 0; band < SPEAKER_FEATURE_BANDS; band++) {
+        const low = SPEAKER_FEATURE_MIN_HZ * Math.pow(ratio, band / SPEAKER_FEATURE_BANDS);
+        const high = SPEAKER_FEATURE_MIN_HZ * Math.pow(ratio, (band + 1) / SPEAKER_FEATURE_BANDS);
+        // The lowest bands are narrower than one bin, so they share it
+        const first = Math.floor(low / binHz);
+        const last = Math.max(first, Math.ceil(high / binHz) - 1);
+        let sum = 0;
+        for (let bin = first; bin <= last; bin++) sum += Math.max(spectrum[bin], -140); // Silent bins are -Infinity
+        bands.push(Math.round((sum / (last - first + 1)) * 10) / 10);
+    }
+    return bands;
+}
+
+// --- Streaming Transcription ---
+async function startStreamingOrFallback(capture, streaming) {
+    try {
+        await startStreaming(capture, streaming);
+        if (keepAudio) startAudioArchive(capture);
+    } catch (error) {
+        console.warn(`Streaming unavailable for ${capture.origin}:`, error.message);
+        fallBackToBatch(capture, error.message);
+    }
+}
+
+async function startStreaming(capture, streaming) {
+    if (!pcmWorkletLoaded) {
+        await audioContext.audioWorklet.addModule('pcm-worklet.js');
+        pcmWorkletLoaded = true;
+    }
+
+    const socket = await openStreamingSocket(streaming);
+    capture.socket = socket;
+    capture.streamOpenedAt = Date.now();
+    capture.streamStartOffset = getSessionOffset();
+
+    // A worklet node without outputs is still pulled by the graph as long as it has an input
+    capture.pcmNode = new AudioWorkletNode(audioContext, 'pcm-frame-processor', { numberOfOutputs: 0 });
+    capture.pcmNode.port.onmessage = (event) => {
+        if (capture.streamPausedAt || socket.readyState !== WebSocket.OPEN) return;
+        socket.send(event.data);
+        capture.samplesSent += event.data.byteLength / 2;
+    };
+    capture.sourceNode.connect(capture.pcmNode);
+
+    capture.keepAliveInterval = setInterval(() => {
+        if (capture.streamPausedAt && socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify({ type: 'KeepAlive' }));
+        }
+    }, STREAM_KEEPALIVE_INTERVAL);
+
+    socket.onmessage = (event) => handleStreamingMessage(capture, event.data);
+    socket.onclose = (event) => {
+        if (capture.stopping) return;
+        fallBackToBatch(capture, `Streaming connection closed (${event.code}${event.reason ? `: ${event.reason}` : ''}).`);
+    };
+}
+
+function openStreamingSocket({ url, apiKey, vocabulary }) {
+    return new Promise((resolve, reject) => {
+        const socketUrl = new URL(url);
+        const defaults = { encoding: 'linear16', sample_rate: String(STREAM_SAMPLE_RATE), channels: '1', interim_results: 'true', smart_format: 'true' };
+        if (diarizeSpeakers) defaults.diarize = 'true';
+        for (const [key, value] of Object.entries(defaults)) {
+            if (!socketUrl.searchParams.has(key)) socketUrl.searchParams.set(key, value);
+        }
+        // Glossary terms as Deepgram keywords (keyterm prompts for Nova-3)
+        const vocabularyParam = (socketUrl.searchParams.get('model') || '').startsWith('nova-3') ? 'keyterm' : 'keywords';
+        if (!socketUrl.searchParams.has(vocabularyParam)) (vocabulary || []).forEach(term => socketUrl.searchParams.append(vocabularyParam, term));
+
+        // Browsers cannot set headers on a WebSocket, so Deepgram-style servers take the key as a subprotocol
+        const socket = apiKey ? new WebSocket(socketUrl, ['token', apiKey]) : new WebSocket(socketUrl);
+        socket.binaryType = 'arraybuffer';
+
+        const connectTimeout = setTimeout(() => {
+            socket.close();
+            reject(new Error(`Timed out connecting to ${socketUrl.host}.`));
+        }, STREAM_CONNECT_TIMEOUT);
+        socket.onopen = () => {
+            clearTimeout(connectTimeout);
+            resolve(socket);
+        };
+        socket.onerror = () => {
+            clearTimeout(connectTimeout);
+            reject(new Error(`Could not connect to ${socketUrl.host}.`));
+        };
+    });
+}
+
+// Expects Deepgram-style live results: { type: 'Results', is_final, start, duration, channel: { alternatives: [...] } }
+function handleStreamingMessage(capture, data) {
+    let result;
+    try {
+        result = JSON.parse(data);
+    } catch {
+        return;
+    }
+    const alternative = result?.channel?.alternatives?.[0];
+    if (result.type !== 'Results' || !alternative) return;
+    const start = result.start || 0;
+
+    chrome.runtime.sendMessage({
+        action: 'streamingResult',
+        text: alternative.transcript || '',
+        isFinal: Boolean(result.is_final),
+        confidence: typeof alternative.confidence === 'number' ? alternative.confidence : null,
+        capturedAt: new Date(streamTimeToClock(capture, start)).toISOString(),
+        // Stream time already leaves out pauses, since no audio is sent while paused
+        startOffset: capture.streamStartOffset + start * 1000,
+        endOffset: capture.streamStartOffset + (start + (result.duration || 0)) * 1000,
+        channel: capture.tagChannel ? capture.origin : null,
+        segments: result.is_final ? getStreamingTurns(alternative, start) : [],
+        words: result.is_final ? getStreamingWords(alternative, start) : [],
+    });
+}
+
+// With diarize=true every word carries a speaker number; consecutive words of one speaker form a turn.
+// start/end are made relative to the result, like the segments of a batch chunk.
+function getStreamingTurns(alternative, resultStart) {
+    const turns = [];
+    (alternative.words || []).filter(word => word.speaker != null).forEach(word => {
+        const text = word.punctuated_word || word.word;
+        const last = turns[turns.length - 1];
+        if (last && last.speaker === word.speaker) {
+            last.text = `${last.text} ${text}`;
+            last.end = word.end - resultStart;
+        } else {
+            turns.push({ start: word.start - resultStart, end: word.end - resultStart, text, confidence: null, speaker: word.speaker });
+        }
+    });
+    return turns;
+}
+
+// Relative to the result as well, in the provider result's { text, start, end, confidence } shape
+function getStreamingWords(alternative, resultStart) {
+    return (alternative.words || []).map(word => ({
+        text: word.punctuated_word || word.word,
+        start: word.start - resultStart,
+        end: word.end - resultStart,
+        confidence: typeof word.confidence === 'number' ? word.confidence : null,
+    }));
+}
+
+function streamTimeToClock(capture, seconds) {
+    const pausedMs = capture.streamPauses
+        .filter(pause => pause.at <= seconds)
+        .reduce((sum, pause) => sum + pause.duration, 0);
+    return capture.streamOpenedAt + seconds * 1000 + pausedMs;
+}
+
+function fallBackToBatch(capture, reason) {
+    teardownStreaming(capture);
+    // From here on the batch chunks are kept instead
+    stopAudioArchive(capture);
+    chrome.runtime.sendMessage({ action: 'streamingFallback', reason });
+    startVoiceDetection(capture);
+}
+
+function teardownStreaming(capture) {
+    if (capture.keepAliveInterval) clearInterval(capture.keepAliveInterval);
+    if (capture.pcmNode) {
+        capture.pcmNode.port.onmessage = null;
+        capture.pcmNode.disconnect();
+    }
+    if (capture.socket) {
+        capture.socket.onclose = null;
+        capture.socket.onmessage = null;
+    }
+    capture.socket = null;
+    capture.pcmNode = null;
+    capture.keepAliveInterval = null;
+}
+
+// Ask the server to flush its final results, then wait (briefly) for it to close the socket
+function closeStreamingSocket(capture) {
+    const socket = capture.socket;
+    capture.stopping = true;
+    if (capture.keepAliveInterval) clearInterval(capture.keepAliveInterval);
+    if (capture.pcmNode) capture.pcmNode.disconnect();
+
+    return new Promise(resolve => {
+        const closeTimeout = setTimeout(() => {
+            socket.close();
+            resolve();
+        }, STREAM_CLOSE_TIMEOUT);
+        socket.onclose = () => {
+            clearTimeout(closeTimeout);
+            resolve();
+        };
+        if (socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify({ type: 'CloseStream' }));
+        } else {
+            socket.close();
+        }
+    });
+}
+
+// --- Kept Audio ---
+// Resolves with the id of the stored record, or null when it could not be stored
+async function storeAudio(origin, startOffset, endOffset, blob) {
+    const id = crypto.randomUUID();
+    try {
+        await addAudioChunk({ id, sessionId: recordingSessionId, channel: origin, startOffset, endOffset, mimeType: blob.type, blob });
+        return id;
+    } catch (error) {
+        console.warn("Could not keep the recorded audio:", error);
+        return null;
+    }
+}
+
+// A fresh recorder every ARCHIVE_SEGMENT_MS, since only a whole recording has the headers needed to decode it
+function startAudioArchive(capture) {
+    const recorder = new MediaRecorder(capture.stream, { mimeType: 'audio/webm;codecs=opus' });
+    const archive = { recorder, parts: [], startOffset: getSessionOffset(), endOffset: null, rotateTimeout: null };
+    recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) archive.parts.push(event.data);
+    };
+    archive.stored = new Promise(resolve => {
+        recorder.onstop = () => {
+            if (archive.parts.length === 0) return resolve();
+            const blob = new Blob(archive.parts, { type: 'audio/webm;codecs=opus' });
+            storeAudio(capture.origin, archive.startOffset, archive.endOffset, blob).then(resolve);
+        };
+    });
+    archive.rotateTimeout = setTimeout(() => {
+        stopAudioArchive(capture);
+        startAudioArchive(capture);
+    }, ARCHIVE_SEGMENT_MS);
+
+    recorder.start();
+    if (sessionPausedAt) recorder.pause();
+    capture.archive = archive;
+}
+
+// Resolves once the last segment is stored
+function stopAudioArchive(capture) {
+    const archive = capture.archive;
+    if (!archive) return Promise.resolve();
+    capture.archive = null;
+    clearTimeout(archive.rotateTimeout);
+    archive.endOffset = getSessionOffset();
+    if (archive.recorder.state !== 'inactive') archive.recorder.stop();
+    return archive.stored;
+}
+
+// --- Cleanup Logic ---
+async function stopRecording() {
+    const closingSockets = captures.filter(capture => capture.socket).map(closeStreamingSocket);
+    const finishing = [];
+
+    captures.forEach(capture => {
+        // Clear intervals and timeouts
+        if (capture.silenceCheckInterval) clearInterval(capture.silenceCheckInterval);
+        if (capture.speechTimeout) clearTimeout(capture.speechTimeout);
+
+        // Stop the MediaRecorder and release the media stream tracks
+        finishing.push(cutRecording(capture, false));
+        finishing.push(stopAudioArchive(capture));
+        capture.stream.getTracks().forEach(track => track.stop());
+    });
+    captures = [];
 
     // Stop the audio playback element
     if (playbackAudio) {
@@ -159,52 +666,87 @@ function stopRecording() {
         playbackAudio = null;
     }
 
+    // Let streaming sockets deliver their last final results, and the last chunks be sent and stored,
+    // before the document goes away
+    await Promise.all([...closingSockets, ...finishing.map(promise => promise.catch(error => console.warn(error)))]);
+
     // Close the audio context to free up resources
     if (audioContext) {
         audioContext.close();
     }
+    recordingActive = false;
+}
 
-    // Close the offscreen document
-    window.close();
+function closeIfIdle() {
+    if (!recordingActive && localJobs.size === 0 && pendingTranslations === 0) window.close();
+}
+
+// --- On-Device Engine ---
+function getLocalEngineWorker() {
+    if (!localEngineWorker) {
+        localEngineWorker = new Worker('local-engine-worker.js', { type: 'module' });
+        localEngineWorker.onmessage = (event) => {
+            const { id, result, error } = event.data;
+            const job = localJobs.get(id);
+            if (!job) return;
+            localJobs.delete(id);
+            if (error) job.reject(new Error(error));
+            else job.resolve(result);
+            closeIfIdle();
+        };
+        localEngineWorker.onerror = (event) => {
+            console.error("On-device engine crashed:", event.message);
+            localJobs.forEach(job => job.reject(new Error("The on-device engine failed to start.")));
+            localJobs.clear();
+            localEngineWorker = null;
+            closeIfIdle();
+        };
+    }
+    return localEngineWorker;
 }
 
-// --- Audio Conversion Utilities ---
-async function convertBlobToBase64Wav(blob) {
-    // Using an OfflineAudioContext is more efficient for this conversion
-    const tempAudioContext = new AudioContext();
-    const arrayBuffer = await blob.arrayBuffer();
-    const audioBuffer = await tempAudioContext.decodeAudioData(arrayBuffer);
-    tempAudioContext.close(); // Close the context after use
-    
-    const wavBlob = bufferToWav(audioBuffer);
-    
+async function transcribeOnDevice(audio, model) {
+    const samples = await decodeToMono16k(audio);
+    const id = ++localJobId;
     return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onloadend = () => resolve(reader.result.split(',')[1]);
-        reader.onerror = reject;
-        reader.readAsDataURL(wavBlob);
+        localJobs.set(id, { resolve, reject });
+        getLocalEngineWorker().postMessage({ id, audio: samples, model }, [samples.buffer]);
     });
 }
 
-function bufferToWav(buffer) {
-    const numOfChan = buffer.numberOfChannels, length = buffer.length * numOfChan * 2 + 44;
-    const bufferOut = new ArrayBuffer(length), view = new DataView(bufferOut);
-    const channels = []; let offset = 0, pos = 0;
-    setUint32(0x46464952); setUint32(length - 8); setUint32(0x45564157);
-    setUint32(0x20746d66); setUint32(16); setUint16(1); setUint16(numOfChan);
-    setUint32(buffer.sampleRate); setUint32(buffer.sampleRate * 2 * numOfChan);
-    setUint16(numOfChan * 2); setUint16(16); setUint32(0x61746164);
-    setUint32(length - pos - 4);
-    for (let i = 0; i < buffer.numberOfChannels; i++) channels.push(buffer.getChannelData(i));
-    while (pos < length) {
-        for (let i = 0; i < numOfChan; i++) {
-            let sample = Math.max(-1, Math.min(1, channels[i][offset]));
-            sample = (0.5 + sample < 0 ? sample * 32768 : sample * 32767) | 0;
-            view.setInt16(pos, sample, true); pos += 2;
-        }
-        offset++;
+// audio is { uploadId } for a stored upload (db.js), or { data } in base64
+async function decodeToMono16k({ uploadId, data }) {
+    if (!uploadId) return decodeToMono(Uint8Array.from(atob(data), char => char.charCodeAt(0)).buffer, LOCAL_SAMPLE_RATE);
+    const upload = await getUpload(uploadId);
+    if (!upload) throw new Error("The audio of this chunk is no longer stored.");
+    return decodeToMono(await upload.blob.arrayBuffer(), LOCAL_SAMPLE_RATE);
+}
+
+// --- On-Device Translation ---
+// Chrome's built-in Translator and LanguageDetector APIs. Their language packs are downloaded by the browser;
+// this document has no user gesture to trigger a download, so a pair must already be available.
+async function translateOnDevice(text, sourceLanguage, targetLanguage) {
+    if (!('Translator' in self) || !('LanguageDetector' in self)) {
+        throw new Error("On-device translation needs Chrome's built-in Translator API (Chrome 138 or later).");
     }
-    return new Blob([view], { type: 'audio/wav' });
-    function setUint16(data) { view.setUint16(pos, data, true); pos += 2; }
-    function setUint32(data) { view.setUint32(pos, data, true); pos += 4; }
+    const language = sourceLanguage || await detectLanguageOnDevice(text);
+    if (!language) throw new Error("Could not detect the language to translate from.");
+    if (language === targetLanguage) return { text, language };
+
+    const key = `${language}>${targetLanguage}`;
+    if (!translators.has(key)) {
+        const creating = Translator.create({ sourceLanguage: language, targetLanguage }).catch(error => {
+            translators.delete(key);
+            throw new Error(`On-device translation from ${language} to ${targetLanguage} is not available. ${error.message}`);
+        });
+        translators.set(key, creating);
+    }
+    const translator = await translators.get(key);
+    return { text: await translator.translate(text), language };
+}
+
+async function detectLanguageOnDevice(text) {
+    if (!languageDetector) languageDetector = await LanguageDetector.create();
+    const [best] = await languageDetector.detect(text);
+    return best && best.detectedLanguage !== 'und' ? best.detectedLanguage : null;
 }
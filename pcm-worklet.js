@@ -0,0 +1,48 @@
+// pcm-worklet.js
+// AudioWorklet used by streaming mode: downmixes the captured audio to mono, resamples it to 16 kHz
+// and posts 16-bit PCM frames of ~100 ms back to the offscreen document.
+
+const TARGET_SAMPLE_RATE = 16000;
+const FRAME_SAMPLES = 1600;
+
+class PcmFrameProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.ratio = sampleRate / TARGET_SAMPLE_RATE;
+        this.position = 0; // Fractional read position into the current input block
+        this.frame = new Int16Array(FRAME_SAMPLES);
+        this.frameLength = 0;
+    }
+
+    process(inputs) {
+        const channels = inputs[0];
+        if (!channels || channels.length === 0) return true;
+
+        const length = channels[0].length;
+        const mono = new Float32Array(length);
+        for (const channel of channels) {
+            for (let i = 0; i < length; i++) mono[i] += channel[i] / channels.length;
+        }
+
+        while (this.position < length) {
+            // Average the input samples covered by one output sample, a cheap low-pass before decimating
+            const from = Math.floor(this.position);
+            const to = Math.min(length, Math.max(from + 1, Math.floor(this.position + this.ratio)));
+            let sum = 0;
+            for (let i = from; i < to; i++) sum += mono[i];
+            const sample = Math.max(-1, Math.min(1, sum / (to - from)));
+
+            this.frame[this.frameLength++] = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
+            if (this.frameLength === FRAME_SAMPLES) {
+                this.port.postMessage(this.frame.buffer, [this.frame.buffer]);
+                this.frame = new Int16Array(FRAME_SAMPLES);
+                this.frameLength = 0;
+            }
+            this.position += this.ratio;
+        }
+        this.position -= length;
+        return true;
+    }
+}
+
+registerProcessor('pcm-frame-processor', PcmFrameProcessor);
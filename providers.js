@@ -0,0 +1,439 @@
+// providers.js
+// Transcription provider registry. Loaded by the background worker (importScripts) and the side panel.
+// Every provider turns its own response into the common { text, segments, words, language, confidence } result.
+// Segments may carry a provider speaker label when speaker detection was requested via options.diarize. Words are
+// { text, start, end, confidence } from providers that time single words (confidence null when not given), or empty.
+// options.vocabulary lists terms from the glossary (glossary.js) that each provider is given as a hint.
+// API keys come from the active credential profile (credentials.js) and are only ever sent in request headers.
+// Audio is { blob, mimeType, uploadId }, in one of the provider's uploadFormats and no larger than its
+// maxUploadBytes (null for no limit); uploadId names the stored upload (db.js) when there is one.
+
+const PROVIDER_SETTINGS_KEY = 'providerSettings';
+const PROVIDER_ORDER_KEY = 'providerOrder';
+
+const TRANSCRIPTION_PROVIDERS = {
+    gemini: {
+        label: 'Google Gemini',
+        keyLabel: 'Gemini API Key',
+        requiresKey: true,
+        defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+        defaultModel: 'gemini-1.5-flash-latest',
+        uploadFormats: ['flac', 'wav'],
+        maxUploadBytes: 14 * 1024 * 1024, // Inline data counts as base64 against the 20 MB request limit
+        transcribe: callGeminiApi,
+        testKey: testGeminiKey,
+    },
+    whisper: {
+        label: 'OpenAI Whisper',
+        keyLabel: 'OpenAI API Key',
+        requiresKey: true,
+        defaultBaseUrl: 'https://api.openai.com/v1',
+        defaultModel: 'whisper-1',
+        uploadFormats: ['webm', 'flac', 'wav'],
+        maxUploadBytes: 25 * 1024 * 1024,
+        transcribe: callWhisperApi,
+        testKey: testOpenAiKey,
+    },
+    deepgram: {
+        label: 'Deepgram',
+        keyLabel: 'Deepgram API Key',
+        requiresKey: true,
+        defaultBaseUrl: 'https://api.deepgram.com',
+        defaultModel: 'nova-2',
+        uploadFormats: ['webm', 'flac', 'wav'],
+        maxUploadBytes: null,
+        transcribe: callDeepgramApi,
+        testKey: testDeepgramKey,
+    },
+    selfhosted: {
+        label: 'Self-hosted (OpenAI-compatible)',
+        keyLabel: 'API Key (optional)',
+        requiresKey: false,
+        defaultBaseUrl: 'http://localhost:8000/v1',
+        defaultModel: 'whisper-1',
+        uploadFormats: ['wav'], // What every server can read, whatever it decodes audio with
+        maxUploadBytes: 25 * 1024 * 1024,
+        transcribe: callSelfHostedApi,
+        testKey: testOpenAiKey,
+    },
+    local: {
+        label: 'On-device (offline Whisper)',
+        requiresKey: false,
+        local: true, // Needs no network, no API key and no base URL
+        defaultBaseUrl: '',
+        defaultModel: 'Xenova/whisper-tiny.en',
+        uploadFormats: ['webm', 'flac', 'wav'], // Decoded by the offscreen document
+        maxUploadBytes: null,
+        transcribe: callLocalEngine,
+    },
+};
+const DEFAULT_PROVIDER_ORDER = ['gemini', 'whisper', 'deepgram', 'selfhosted', 'local'];
+
+// Formats from the smallest: 'webm' is the recorder's own Opus audio, sent as it is, the others are encoded from
+// 16 kHz mono samples (audio-utils.js)
+const UPLOAD_FORMATS = ['webm', 'flac', 'wav'];
+
+// Streaming mode sends PCM over a WebSocket to a Deepgram-style live endpoint instead of uploading chunks
+const TRANSCRIPTION_MODE_KEY = 'transcriptionMode';
+const STREAMING_URL_KEY = 'streamingUrl';
+const DEFAULT_STREAMING_URL = 'wss://api.deepgram.com/v1/listen';
+
+// When on, providers are asked for speaker labels and entries are split per speaker turn
+const DIARIZATION_KEY = 'diarization';
+
+// --- Settings ---
+// keys are the active profile's API keys by provider id, or null while they are locked behind a passphrase.
+// They are kept apart from settings, which are stored in plain text.
+async function loadProviderSettings() {
+    const stored = await chrome.storage.local.get([PROVIDER_SETTINGS_KEY, PROVIDER_ORDER_KEY]);
+    const settings = stored[PROVIDER_SETTINGS_KEY] || {};
+
+    // Keep the saved order, but drop unknown ids and append providers added since it was saved
+    const savedOrder = (stored[PROVIDER_ORDER_KEY] || []).filter(id => TRANSCRIPTION_PROVIDERS[id]);
+    const order = [...savedOrder, ...DEFAULT_PROVIDER_ORDER.filter(id => !savedOrder.includes(id))];
+
+    return { settings, order, keys: await getProfileKeys() };
+}
+
+function resolveProviderConfig(id, settings, keys) {
+    const provider = TRANSCRIPTION_PROVIDERS[id];
+    const saved = settings[id] || {};
+    return {
+        enabled: saved.enabled ?? id === 'gemini',
+        apiKey: keys?.[id] || '',
+        baseUrl: (saved.baseUrl || provider.defaultBaseUrl).replace(/\/+$/, ''),
+        model: saved.model || provider.defaultModel,
+    };
+}
+
+function isProviderUsable(id, config) {
+    return config.enabled && (!TRANSCRIPTION_PROVIDERS[id].requiresKey || Boolean(config.apiKey));
+}
+
+// Returns [{ id, provider, config }] for every enabled and configured provider, in fallback order
+async function getActiveProviders() {
+    const { settings, order, keys } = await loadProviderSettings();
+    // Leaving out the locked providers would look like they have no key
+    if (!keys && order.some(id => TRANSCRIPTION_PROVIDERS[id].requiresKey && resolveProviderConfig(id, settings).enabled)) {
+        throw new Error(CREDENTIALS_LOCKED_MESSAGE);
+    }
+    const providers = order
+        .map(id => ({ id, provider: TRANSCRIPTION_PROVIDERS[id], config: resolveProviderConfig(id, settings, keys) }))
+        .filter(({ id, config }) => isProviderUsable(id, config));
+    const local = providers.find(({ provider }) => provider.local);
+    if (local && !(await isOnDeviceEngineInstalled(local.config.model))) return providers.filter(candidate => candidate !== local);
+    return providers;
+}
+
+// The smallest of formats that every provider of the chain takes, since a chunk goes to the next one unchanged when
+// a provider fails, and the smallest of their size limits: { format, maxBytes }
+function getUploadEncoding(providers, formats = UPLOAD_FORMATS) {
+    const format = formats.find(candidate => providers.every(({ provider }) => provider.uploadFormats.includes(candidate)));
+    const limits = providers.map(({ provider }) => provider.maxUploadBytes).filter(Boolean);
+    return { format: format || 'wav', maxBytes: limits.length > 0 ? Math.min(...limits) : null };
+}
+
+// 'webm' for 'audio/webm;codecs=opus'
+function getAudioFormat(mimeType) {
+    return mimeType.split(';')[0].split('/')[1];
+}
+
+async function getStreamingConfig() {
+    const stored = await chrome.storage.local.get(STREAMING_URL_KEY);
+    const url = stored[STREAMING_URL_KEY] || DEFAULT_STREAMING_URL;
+    const { settings, keys } = await loadProviderSettings();
+
+    // Only hand the Deepgram key to Deepgram itself; a local server gets no credentials
+    const isDeepgram = new URL(url).hostname.endsWith('deepgram.com');
+    if (isDeepgram && !keys) throw new Error(CREDENTIALS_LOCKED_MESSAGE);
+    const apiKey = isDeepgram ? resolveProviderConfig('deepgram', settings, keys).apiKey || null : null;
+    return { url, apiKey };
+}
+
+// Private sessions may only use the on-device engine, whether or not it is enabled in the list
+async function getOnDeviceProvider() {
+    const { settings } = await loadProviderSettings();
+    return { id: 'local', provider: TRANSCRIPTION_PROVIDERS.local, config: resolveProviderConfig('local', settings) };
+}
+
+// --- On-Device Engine Files ---
+// The library and the models are not in the repository (see fetch-on-device-engine.sh and the README). Until they
+// are added the engine is left out of the provider chain and private sessions cannot start, instead of failing on
+// every chunk. The extension's files only change when it is reloaded, so each one is looked for once.
+const LOCAL_ENGINE_LIBRARY = 'vendor/transformers/transformers.min.js';
+const LOCAL_ENGINE_MISSING_MESSAGE = "The on-device engine is not installed. Run fetch-on-device-engine.sh (see the README) and reload the extension.";
+const extensionFileChecks = new Map(); // path -> Promise of whether the extension has it
+
+function hasExtensionFile(path) {
+    if (!extensionFileChecks.has(path)) {
+        extensionFileChecks.set(path, fetch(chrome.runtime.getURL(path)).then(response => response.ok, () => false));
+    }
+    return extensionFileChecks.get(path);
+}
+
+// Whether the library and the model's files are in the extension (see local-engine-worker.js)
+async function isOnDeviceEngineInstalled(model) {
+    const found = await Promise.all([hasExtensionFile(LOCAL_ENGINE_LIBRARY), hasExtensionFile(`models/${model}/config.json`)]);
+    return found.every(Boolean);
+}
+
+// Called from the background worker only: tries the saved key (and base URL and model) with a request that
+// transcribes nothing. Errors are those of fetchJsonWithRetry, so isConnectivityError tells an unreachable
+// provider from a refused key.
+async function testProviderKey(id) {
+    const { settings, keys } = await loadProviderSettings();
+    if (!keys) throw new Error(CREDENTIALS_LOCKED_MESSAGE);
+    const provider = TRANSCRIPTION_PROVIDERS[id];
+    const config = resolveProviderConfig(id, settings, keys);
+    if (provider.requiresKey && !config.apiKey) throw new Error("No API key entered.");
+    await provider.testKey(config);
+}
+
+// --- Shared Request Helpers ---
+async function fetchJsonWithRetry(url, options, label, retries = 3, delay = 1000) {
+    for (let i = 0; i < retries; i++) {
+        try {
+            const response = await fetch(url, options);
+            if (!response.ok) {
+                // Google and OpenAI nest the message under error.message, Deepgram uses err_msg
+                const errorBody = await response.json().catch(() => null);
+                const errorMessage = errorBody?.error?.message || errorBody?.err_msg || `HTTP Error ${response.status}`;
+                const error = new Error(errorMessage);
+                error.status = response.status;
+                throw error;
+            }
+            return await response.json();
+        } catch (error) {
+            console.error(`${label} API attempt ${i + 1} failed:`, error.message);
+            if (i === retries - 1) throw error; // Re-throw the last error
+            await new Promise(resolve => setTimeout(resolve, delay * Math.pow(2, i))); // Exponential backoff
+        }
+    }
+}
+
+// True when a request failed because of the connection rather than the request itself: no network (fetch throws
+// a TypeError), a captive portal answering with its own page instead of JSON (a SyntaxError), a rate limit or a
+// server error. Chunks that fail this way are queued and retried later instead of failing the session.
+function isConnectivityError(error) {
+    return error instanceof TypeError || error instanceof SyntaxError || [408, 429].includes(error.status) || error.status >= 500;
+}
+
+// In slices, since spreading a whole chunk into String.fromCharCode would overflow the stack
+async function blobToBase64(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return btoa(binary);
+}
+
+function base64ToBlob(base64, mimeType) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Blob([bytes], { type: mimeType });
+}
+
+function averageConfidence(segments) {
+    const scored = segments.filter(segment => typeof segment.confidence === 'number');
+    if (scored.length === 0) return null;
+    return scored.reduce((sum, segment) => sum + segment.confidence, 0) / scored.length;
+}
+
+// --- Gemini ---
+// With diarization the model answers with a JSON list of speaker turns instead of plain text
+const GEMINI_TURNS_SCHEMA = {
+    type: 'ARRAY',
+    items: {
+        type: 'OBJECT',
+        properties: { speaker: { type: 'STRING' }, text: { type: 'STRING' } },
+        required: ['speaker', 'text'],
+    },
+};
+
+async function callGeminiApi(audio, config, options = {}) {
+    let prompt = options.diarize
+        ? "Transcribe this audio. Split it into speaker turns and label the speakers consistently as Speaker 1, Speaker 2, and so on."
+        : "Transcribe this audio.";
+    if (options.vocabulary?.length) {
+        prompt += ` These names and terms may come up; spell them exactly like this: ${limitVocabulary(options.vocabulary).join(', ')}.`;
+    }
+    const inlineData = { mimeType: audio.mimeType, data: await blobToBase64(audio.blob) };
+    const payload = { contents: [{ parts: [{ text: prompt }, { inlineData }] }] };
+    if (options.diarize) {
+        payload.generationConfig = { responseMimeType: 'application/json', responseSchema: GEMINI_TURNS_SCHEMA };
+    }
+    const url = `${config.baseUrl}/models/${config.model}:generateContent`;
+    const result = await fetchJsonWithRetry(url, { method: 'POST', headers: getGeminiHeaders(config), body: JSON.stringify(payload) }, 'Gemini');
+    return parseGeminiResponse(result, options.diarize);
+}
+
+function parseGeminiResponse(result, diarize = false) {
+    const candidate = result?.candidates?.[0];
+    const parts = candidate?.content?.parts;
+    if (!Array.isArray(parts)) return null;
+    const text = parts.map(part => part.text || '').join('').trim();
+    const turns = diarize ? parseGeminiTurns(text) : null;
+    return {
+        text: turns ? turns.map(turn => turn.text).join(' ') : text,
+        // Gemini gives no timings, so the turns are spread over the chunk later
+        segments: turns ? turns.map(turn => ({ start: null, end: null, text: turn.text, confidence: null, speaker: turn.speaker })) : [],
+        words: [],
+        language: null,
+        // avgLogprobs is the mean token log-probability, so exp() gives a 0..1 score
+        confidence: typeof candidate.avgLogprobs === 'number' ? Math.exp(candidate.avgLogprobs) : null,
+    };
+}
+
+// A key in the URL ends up in logs and histories, so it goes in a header
+function getGeminiHeaders(config) {
+    return { 'Content-Type': 'application/json', 'x-goog-api-key': config.apiKey };
+}
+
+// Fetches the model's description, which costs nothing and fails for a wrong key or model name
+async function testGeminiKey(config) {
+    await fetchJsonWithRetry(`${config.baseUrl}/models/${config.model}`, { headers: getGeminiHeaders(config) }, 'Gemini', 1);
+}
+
+// Returns null when the reply is not the requested JSON, so it is kept as plain text
+function parseGeminiTurns(text) {
+    try {
+        const turns = JSON.parse(text);
+        if (!Array.isArray(turns)) return null;
+        return turns
+            .filter(turn => typeof turn?.text === 'string' && turn.text.trim())
+            .map(turn => ({ speaker: String(turn.speaker || 'Speaker 1'), text: turn.text.trim() }));
+    } catch {
+        return null;
+    }
+}
+
+// Text-only request for structured output, shared by translation and summaries
+async function generateGeminiJson(prompt, schema, label) {
+    const { settings, keys } = await loadProviderSettings();
+    if (!keys) throw new Error(CREDENTIALS_LOCKED_MESSAGE);
+    const config = resolveProviderConfig('gemini', settings, keys);
+    if (!config.apiKey) throw new Error(`${label} needs a Gemini API key.`);
+
+    const payload = {
+        contents: [{ parts: [{ text: prompt }] }],
+        generationConfig: { responseMimeType: 'application/json', responseSchema: schema },
+    };
+    const url = `${config.baseUrl}/models/${config.model}:generateContent`;
+    const result = await fetchJsonWithRetry(url, { method: 'POST', headers: getGeminiHeaders(config), body: JSON.stringify(payload) }, label);
+    const reply = result?.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('');
+    try {
+        return JSON.parse(reply);
+    } catch {
+        throw new Error(`${label}: Gemini returned an invalid response.`);
+    }
+}
+
+// --- OpenAI Whisper & Compatible Servers ---
+async function callWhisperApi(audio, config, options) {
+    return callOpenAiTranscription(audio, config, options, 'Whisper');
+}
+
+async function callSelfHostedApi(audio, config, options) {
+    return callOpenAiTranscription(audio, config, options, 'Self-hosted');
+}
+
+async function callOpenAiTranscription(audio, config, options = {}, label) {
+    const form = new FormData();
+    form.append('file', audio.blob, `audio.${getAudioFormat(audio.mimeType)}`);
+    form.append('model', config.model);
+    form.append('response_format', 'verbose_json');
+    // Asking for words drops the segments unless they are asked for too
+    form.append('timestamp_granularities[]', 'word');
+    form.append('timestamp_granularities[]', 'segment');
+    // Whisper follows the spelling of words in its prompt
+    if (options.vocabulary?.length) form.append('prompt', limitVocabulary(options.vocabulary).join(', '));
+
+    const headers = config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {};
+    const result = await fetchJsonWithRetry(`${config.baseUrl}/audio/transcriptions`, { method: 'POST', headers, body: form }, label);
+    return parseOpenAiTranscription(result);
+}
+
+// Lists the account's models; self-hosted servers that need no key answer it too
+async function testOpenAiKey(config) {
+    const headers = config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {};
+    await fetchJsonWithRetry(`${config.baseUrl}/models`, { headers }, 'OpenAI', 1);
+}
+
+function parseOpenAiTranscription(result) {
+    if (typeof result?.text !== 'string') return null;
+    const segments = (result.segments || []).map(segment => ({
+        start: segment.start,
+        end: segment.end,
+        text: segment.text.trim(),
+        confidence: typeof segment.avg_logprob === 'number' ? Math.exp(segment.avg_logprob) : null,
+    }));
+    return {
+        text: result.text.trim(),
+        segments,
+        // Whisper times words but gives them no confidence
+        words: (result.words || []).map(word => ({ text: word.word.trim(), start: word.start, end: word.end, confidence: null })),
+        language: result.language || null,
+        confidence: averageConfidence(segments),
+    };
+}
+
+// --- Deepgram ---
+async function callDeepgramApi(audio, config, options = {}) {
+    const params = new URLSearchParams({ model: config.model, smart_format: 'true', detect_language: 'true', utterances: 'true' });
+    if (options.diarize) params.set('diarize', 'true');
+    appendDeepgramVocabulary(params, config.model, options.vocabulary);
+    const request = {
+        method: 'POST',
+        headers: { 'Authorization': `Token ${config.apiKey}`, 'Content-Type': audio.mimeType },
+        body: audio.blob,
+    };
+    const result = await fetchJsonWithRetry(`${config.baseUrl}/v1/listen?${params}`, request, 'Deepgram');
+    return parseDeepgramResponse(result);
+}
+
+async function testDeepgramKey(config) {
+    await fetchJsonWithRetry(`${config.baseUrl}/v1/projects`, { headers: { 'Authorization': `Token ${config.apiKey}` } }, 'Deepgram', 1);
+}
+
+// Nova-3 models take phrases as keyterm prompts, older models boost single keywords. Also used for streaming URLs.
+function appendDeepgramVocabulary(params, model, vocabulary = []) {
+    const name = String(model || '').startsWith('nova-3') ? 'keyterm' : 'keywords';
+    limitVocabulary(vocabulary).forEach(term => params.append(name, term));
+}
+
+function parseDeepgramResponse(result) {
+    const channel = result?.results?.channels?.[0];
+    const alternative = channel?.alternatives?.[0];
+    if (typeof alternative?.transcript !== 'string') return null;
+    const segments = (result.results.utterances || []).map(utterance => ({
+        start: utterance.start,
+        end: utterance.end,
+        text: utterance.transcript,
+        confidence: utterance.confidence,
+        speaker: utterance.speaker ?? null, // Only present with diarize=true
+    }));
+    return {
+        text: alternative.transcript.trim(),
+        segments,
+        words: (alternative.words || []).map(word => ({
+            text: word.punctuated_word || word.word,
+            start: word.start,
+            end: word.end,
+            confidence: typeof word.confidence === 'number' ? word.confidence : null,
+        })),
+        language: channel.detected_language || null,
+        confidence: typeof alternative.confidence === 'number' ? alternative.confidence : null,
+    };
+}
+
+// --- On-Device Engine ---
+// Called from the background worker only. The model runs in a worker owned by the offscreen document,
+// since the service worker can neither spawn workers nor use the Web Audio API to decode the chunk. The document
+// reads stored uploads itself; only chunks queued by older versions travel as base64.
+async function callLocalEngine(audio, config) {
+    await setupOffscreenDocument();
+    const source = audio.uploadId ? { uploadId: audio.uploadId } : { data: await blobToBase64(audio.blob) };
+    const response = await chrome.runtime.sendMessage({ action: 'localTranscribe', audio: source, model: config.model });
+    if (!response?.success) throw new Error(response?.error || "The on-device engine did not respond.");
+    return response.result;
+}
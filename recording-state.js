@@ -0,0 +1,57 @@
+// recording-state.js
+// The recording state machine. The background worker owns it and is its only writer; it is kept in
+// chrome.storage.session, which survives the worker being suspended (not the browser being closed). The side panel
+// reads it and follows chrome.storage.session.onChanged. The offscreen document has no storage access, so the
+// worker drives it with messages and asks it for its status after a restart.
+//
+//   idle → starting → recording ⇄ paused → stopping → idle
+//   starting, recording and paused end in error when something fails; starting again leaves it
+
+const RECORDING_STATE_KEY = 'recordingState'; // chrome.storage.session
+const RECORDING_TRANSITIONS = {
+    idle: ['starting'],
+    starting: ['recording', 'error'],
+    recording: ['paused', 'stopping', 'error'],
+    paused: ['recording', 'stopping', 'error'],
+    stopping: ['idle'],
+    error: ['starting'],
+};
+
+// sessionId, source, private and diarize describe the recording, and stay after it ends so late chunks still find
+// their session; tabId is the captured tab. A recording started by an auto-start rule (autostart.js) keeps its ruleId
+// and the tab it matched in ruleTabId (also for the microphone), so it stops once that tab leaves the rule's site,
+// and the rule's preferredProvider, which its chunks try first. recordedMs is the time recorded up to the last
+// pause, resumedAt when recording last (re)started, so pauses never count however often they happen.
+const IDLE_RECORDING_STATE = {
+    status: 'idle',
+    sessionId: null,
+    source: null,
+    private: false,
+    diarize: false,
+    tabId: null,
+    ruleId: null,
+    ruleTabId: null,
+    preferredProvider: null,
+    recordedMs: 0,
+    resumedAt: null,
+    error: null,
+};
+
+async function getRecordingState() {
+    const { [RECORDING_STATE_KEY]: state } = await chrome.storage.session.get(RECORDING_STATE_KEY);
+    return { ...IDLE_RECORDING_STATE, ...state };
+}
+
+function canTransition(from, to) {
+    return RECORDING_TRANSITIONS[from]?.includes(to) ?? false;
+}
+
+// Whether a recording is under way, in any of its phases
+function isRecordingLive(state) {
+    return ['starting', 'recording', 'paused', 'stopping'].includes(state.status);
+}
+
+// ms recorded so far, pauses left out
+function getRecordedMs(state, now = Date.now()) {
+    return state.recordedMs + (state.status === 'recording' && state.resumedAt ? now - state.resumedAt : 0);
+}
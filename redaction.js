@@ -0,0 +1,143 @@
+// redaction.js
+// Removes personal data (email addresses, phone and card numbers, IBANs, SSN-style IDs and the user's own patterns)
+// from transcripts before they are stored, shown, translated or sent anywhere, so exports and webhooks only ever see
+// the redacted text. Loaded by the background worker (importScripts), which redacts every new entry and the
+// streaming interim text, and the side panel, which edits the settings. Entries already stored are left as they are.
+//
+// Each match is replaced with its token ("[EMAIL]") or masked (letters and digits become •). A session started
+// with "Keep unredacted original" keeps the text as transcribed with the entry, on this computer only.
+
+const REDACTION_SETTINGS_KEY = 'redactionSettings'; // { enabled, detectors: { [id]: mode }, custom: [{ pattern, token }] }
+const KEEP_UNREDACTED_KEY = 'keepUnredacted';       // chrome.storage.local setting, copied onto each new session
+const REDACTION_MODES = { token: "Replace with token", mask: "Mask", off: "Keep" };
+const REDACTION_MASK = '•';
+
+// Applied in this order, after the custom patterns: card numbers are checked before they could pass as phone numbers
+const REDACTION_DETECTORS = {
+    email: {
+        label: "Email addresses",
+        token: '[EMAIL]',
+        pattern: /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}/gu,
+    },
+    iban: {
+        label: "IBANs",
+        token: '[IBAN]',
+        pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+        check: isValidIban,
+    },
+    card: {
+        label: "Card numbers",
+        token: '[CARD]',
+        pattern: /(?<!\p{N})\d(?:[ -]?\d){12,18}(?!\p{N})/gu,
+        check: passesLuhn,
+    },
+    ssn: {
+        label: "SSN-style IDs",
+        token: '[SSN]',
+        pattern: /(?<!\p{N})\d{3}[- ]\d{2}[- ]\d{4}(?!\p{N})/gu,
+    },
+    phone: {
+        label: "Phone numbers",
+        token: '[PHONE]',
+        pattern: /(?<![\p{L}\p{N}+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]?\d{2,4}){1,4}(?![\p{L}\p{N}])/gu,
+        check: isPhoneNumber,
+    },
+};
+
+const DEFAULT_REDACTION_SETTINGS = {
+    enabled: false,
+    detectors: Object.fromEntries(Object.keys(REDACTION_DETECTORS).map(id => [id, 'token'])),
+    custom: [],
+};
+
+async function getRedactionSettings() {
+    const { [REDACTION_SETTINGS_KEY]: stored } = await chrome.storage.local.get(REDACTION_SETTINGS_KEY);
+    return {
+        ...DEFAULT_REDACTION_SETTINGS,
+        ...stored,
+        detectors: { ...DEFAULT_REDACTION_SETTINGS.detectors, ...stored?.detectors },
+        custom: Array.isArray(stored?.custom) ? stored.custom : [],
+    };
+}
+
+// --- Redaction ---
+// Throws on an invalid regular expression, so the editor can point at the pattern
+function compileRedactionPattern(pattern) {
+    return new RegExp(pattern, 'giu');
+}
+
+// { text, count }: the text with every match replaced, and how many there were
+function redactText(text, settings) {
+    if (!settings.enabled || !text) return { text, count: 0 };
+    let result = text;
+    let count = 0;
+    const replace = (pattern, token, check) => {
+        result = result.replace(pattern, match => {
+            if (!match || (check && !check(match))) return match;
+            count++;
+            return token || match.replace(/[\p{L}\p{N}]/gu, REDACTION_MASK);
+        });
+    };
+    settings.custom.forEach(rule => {
+        let pattern;
+        try {
+            pattern = compileRedactionPattern(rule.pattern);
+        } catch {
+            return; // The editor refuses invalid patterns
+        }
+        replace(pattern, rule.token);
+    });
+    Object.entries(REDACTION_DETECTORS).forEach(([id, detector]) => {
+        const mode = settings.detectors[id];
+        if (mode !== 'off') replace(detector.pattern, mode === 'token' ? detector.token : null, detector.check);
+    });
+    return { text: result, count };
+}
+
+// A speaker turn's { text, segments, words } redacted, with count as in redactText. Timed words the redacted text no
+// longer has are dropped (see matchWordsToText in exporters.js), so nothing that was removed stays behind in them.
+function redactTranscript({ text, segments, words }, settings) {
+    const redacted = redactText(text, settings);
+    if (redacted.count === 0) return { text, segments, words, count: 0 };
+    return {
+        text: redacted.text,
+        segments: segments.map(segment => ({ ...segment, text: redactText(segment.text, settings).text })),
+        words: matchWordsToText(redacted.text, words).map(({ word }) => word),
+        count: redacted.count,
+    };
+}
+
+// --- Checks ---
+// Card numbers end with a Luhn check digit, which most other long numbers fail
+function passesLuhn(text) {
+    const digits = text.replace(/\D/g, '');
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) digit = digit * 2 > 9 ? digit * 2 - 9 : digit * 2;
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+// ISO 13616: the country code and check digits moved to the end, letters as 10 to 35, leave 1 modulo 97
+function isValidIban(text) {
+    const iban = text.replace(/ /g, '');
+    if (iban.length < 15 || iban.length > 34) return false;
+    let remainder = 0;
+    for (const char of iban.slice(4) + iban.slice(0, 4)) {
+        const value = parseInt(char, 36);
+        remainder = (value > 9 ? remainder * 100 + value : remainder * 10 + value) % 97;
+    }
+    return remainder === 1;
+}
+
+// 10 to 15 digits, written like a phone number: as one run ("5551234567", as speech-to-text often writes them), with
+// a country code ("+1 555 123 4567", "0049 30 1234567"), an area code in brackets ("(555) 123-4567"), the trunk 0 of
+// a national number ("030 1234567") or as 555-123-4567. Other digit groups are left alone, such as
+// "room 101 202 303", "rows 12 34 5678" or "2024 05 12 10 30". Card numbers are caught before this check.
+function isPhoneNumber(text) {
+    const digits = text.replace(/\D/g, '').length;
+    if (digits < 10 || digits > 15) return false;
+    return /^\d+$/.test(text) || /^[+(0]/.test(text) || /^\d{3}([ .-])\d{3}\1\d{4}$/.test(text);
+}
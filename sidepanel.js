@@ -1,6 +1,15 @@
 // --- DOM Elements ---
 const startStopBtn = document.getElementById('startStopBtn');
 const pauseResumeBtn = document.getElementById('pauseResumeBtn');
+const bookmarkBtn = document.getElementById('bookmarkBtn');
+const transcribeFileBtn = document.getElementById('transcribeFileBtn');
+const audioFileInput = document.getElementById('audioFile');
+const fileProgressEl = document.getElementById('fileProgress');
+const fileProgressText = document.getElementById('fileProgressText');
+const fileProgressFill = document.getElementById('fileProgressFill');
+const cancelFileBtn = document.getElementById('cancelFileBtn');
+const transcriptFilterSelect = document.getElementById('transcriptFilter');
+const lowConfidenceSelect = document.getElementById('lowConfidence');
 const statusIndicator = document.getElementById('statusIndicator');
 const statusText = document.getElementById('statusText');
 const timerEl = document.getElementById('timer');
@@ -8,65 +17,327 @@ const transcriptContainer = document.getElementById('transcriptContainer');
 const placeholder = document.getElementById('placeholder');
 const copyBtn = document.getElementById('copyBtn');
 const downloadTxtBtn = document.getElementById('downloadTxtBtn');
+const downloadJsonBtn = document.getElementById('downloadJsonBtn');
+const downloadSrtBtn = document.getElementById('downloadSrtBtn');
+const downloadVttBtn = document.getElementById('downloadVttBtn');
+const downloadMdBtn = document.getElementById('downloadMdBtn');
+const downloadButtons = [downloadTxtBtn, downloadJsonBtn, downloadSrtBtn, downloadVttBtn, downloadMdBtn];
+const downloadAudioBtn = document.getElementById('downloadAudioBtn');
+const undoBtn = document.getElementById('undoBtn');
+const redoBtn = document.getElementById('redoBtn');
 const errorMessageEl = document.getElementById('error-message');
-const apiKeyInput = document.getElementById('apiKey');
+const providerListEl = document.getElementById('providerList');
+const credentialProfileSelect = document.getElementById('credentialProfile');
+const addProfileBtn = document.getElementById('addProfileBtn');
+const deleteProfileBtn = document.getElementById('deleteProfileBtn');
+const unlockForm = document.getElementById('unlockForm');
+const unlockPassphraseInput = document.getElementById('unlockPassphrase');
+const resetCredentialsBtn = document.getElementById('resetCredentialsBtn');
+const credentialsPanel = document.getElementById('credentialsPanel');
+const profileNameInput = document.getElementById('profileName');
+const passphraseStatus = document.getElementById('passphraseStatus');
+const newPassphraseInput = document.getElementById('newPassphrase');
+const confirmPassphraseInput = document.getElementById('confirmPassphrase');
+const setPassphraseBtn = document.getElementById('setPassphraseBtn');
+const removePassphraseBtn = document.getElementById('removePassphraseBtn');
+const lockBtn = document.getElementById('lockBtn');
+const credentialsErrorEl = document.getElementById('credentialsError');
 const audioSourceSelect = document.getElementById('audioSource');
 const setupSection = document.getElementById('setupSection');
+const transcriptionModeSelect = document.getElementById('transcriptionMode');
+const streamingSettingsEl = document.getElementById('streamingSettings');
+const streamingUrlInput = document.getElementById('streamingUrl');
+const privateSessionInput = document.getElementById('privateSession');
+const privateSessionHint = document.getElementById('privateSessionHint');
+const diarizationInput = document.getElementById('diarization');
+const keepAudioInput = document.getElementById('keepAudio');
+const glossaryVocabularyInput = document.getElementById('glossaryVocabulary');
+const sessionVocabularyInput = document.getElementById('sessionVocabulary');
+const glossaryRulesEl = document.getElementById('glossaryRules');
+const glossaryErrorEl = document.getElementById('glossaryError');
+const addGlossaryRuleBtn = document.getElementById('addGlossaryRuleBtn');
+const importGlossaryBtn = document.getElementById('importGlossaryBtn');
+const exportGlossaryBtn = document.getElementById('exportGlossaryBtn');
+const glossaryFileInput = document.getElementById('glossaryFile');
+const vadDetectorSelect = document.getElementById('vadDetector');
+const vadThresholdInput = document.getElementById('vadThreshold');
+const vadThresholdValue = document.getElementById('vadThresholdValue');
+const vadHangoverInput = document.getElementById('vadHangover');
+const vadMaxChunkInput = document.getElementById('vadMaxChunk');
+const levelMeterFill = document.getElementById('levelMeterFill');
+const levelMeterThreshold = document.getElementById('levelMeterThreshold');
+const levelMeterText = document.getElementById('levelMeterText');
+const translationTargetSelect = document.getElementById('translationTarget');
+const translationSettingsEl = document.getElementById('translationSettings');
+const translationProviderSelect = document.getElementById('translationProvider');
+const translationEndpointSettingsEl = document.getElementById('translationEndpointSettings');
+const translationUrlInput = document.getElementById('translationUrl');
+const translationApiKeyInput = document.getElementById('translationApiKey');
+const webhookEnabledInput = document.getElementById('webhookEnabled');
+const webhookUrlInput = document.getElementById('webhookUrl');
+const webhookAuthHeaderInput = document.getElementById('webhookAuthHeader');
+const webhookAuthValueInput = document.getElementById('webhookAuthValue');
+const webhookSecretInput = document.getElementById('webhookSecret');
+const testWebhookBtn = document.getElementById('testWebhookBtn');
+const webhookStatusEl = document.getElementById('webhookStatus');
+const webhookLogEl = document.getElementById('webhookLog');
+const captionsEnabledInput = document.getElementById('captionsEnabled');
+const captionFontSizeSelect = document.getElementById('captionFontSize');
+const captionLinesSelect = document.getElementById('captionLines');
+const captionContrastSelect = document.getElementById('captionContrast');
+const addAutoStartRuleBtn = document.getElementById('addAutoStartRuleBtn');
+const autoStartRulesEl = document.getElementById('autoStartRules');
+const autoStartErrorEl = document.getElementById('autoStartError');
+const redactionEnabledInput = document.getElementById('redactionEnabled');
+const redactionDetectorsEl = document.getElementById('redactionDetectors');
+const addRedactionPatternBtn = document.getElementById('addRedactionPatternBtn');
+const redactionPatternsEl = document.getElementById('redactionPatterns');
+const redactionErrorEl = document.getElementById('redactionError');
+const keepUnredactedInput = document.getElementById('keepUnredacted');
+const exportTextRow = document.getElementById('exportTextRow');
+const exportTextSelect = document.getElementById('exportText');
+const historyBtn = document.getElementById('historyBtn');
+const historyView = document.getElementById('historyView');
+const historySearchInput = document.getElementById('historySearch');
+const historyList = document.getElementById('historyList');
+const summaryBtn = document.getElementById('summaryBtn');
+const summaryView = document.getElementById('summaryView');
+const summarySessionName = document.getElementById('summarySessionName');
+const summarizeBtn = document.getElementById('summarizeBtn');
+const summaryContent = document.getElementById('summaryContent');
+const answerList = document.getElementById('answerList');
+const askForm = document.getElementById('askForm');
+const askInput = document.getElementById('askInput');
+const askBtn = document.getElementById('askBtn');
+const sessionBanner = document.getElementById('sessionBanner');
+const sessionBannerName = document.getElementById('sessionBannerName');
+const backToCurrentBtn = document.getElementById('backToCurrentBtn');
+const controlsEl = document.getElementById('controls');
+const mainEl = document.querySelector('main');
+const footerEl = document.querySelector('footer');
 
 // --- State ---
-let recordingState = 'idle'; // idle, recording, paused
+const LOW_CONFIDENCE_KEY = 'lowConfidence'; // chrome.storage.local setting, see Word Timings
+const DEFAULT_LOW_CONFIDENCE = 0.6;
+
+let recorder = IDLE_RECORDING_STATE; // The recording state machine as last reported, see recording-state.js
 let timerInterval;
-let secondsElapsed = 0;
 let fullTranscript = [];
+let providerSettings = {};
+let providerOrder = [];
+let providerKeys = {};       // The active profile's API keys, or null while locked (see credentials.js)
+let keySaves = Promise.resolve(); // Key writes in progress, awaited before a key is tested
+const verifiedKeys = new Set(); // Providers whose key passed a test since it was last changed
+let onDeviceEngineInstalled = false; // Whether the on-device engine's files are in the extension (see providers.js)
+const interimEls = new Map(); // Grey, revisable streaming hypotheses, one per channel
+const voiceLevels = new Map(); // Latest level reading of each channel, for the level meter
+let currentSessionId = null; // The session being (or last) recorded
+let viewedSessionId = null;  // A past session opened from history, or null while showing the current one
+let highlightQuery = '';     // Search term to highlight in the displayed transcript
+let lowConfidence = DEFAULT_LOW_CONFIDENCE; // Timed words less sure than this are underlined; 0 underlines none
+let speakerNames = {};       // Names given to the displayed session's speakers, by speaker id
+let audioKept = false;       // Whether the displayed session kept its audio
+let glossary = { vocabulary: [], rules: [] };
+let queuedChunks = [];       // The displayed session's chunks still waiting to be transcribed, oldest first
+let bookmarks = [];          // The displayed session's bookmarks, see addBookmark in background.js
+let playback = null;         // The kept audio being played, see playEntryAudio
+let editing = null;          // The entry whose text is being edited, see startEntryEdit
+let fileJob = null;          // The file being transcribed, see transcribeFile
+let deliveries = [];         // Webhook deliveries, oldest first, see webhook.js
+const editHistory = { undo: [], redo: [] }; // Transcript edits of the displayed session, see applyTranscriptEdit
+let searchDebounce;
+let answersSessionId = null; // Session the answers in the summary view belong to
 
 // --- Initialization ---
 document.addEventListener('DOMContentLoaded', () => {
-    chrome.storage.local.get(['recordingState', 'startTime', 'pausedTime', 'secondsElapsed', 'transcript', 'apiKey', 'audioSource'], (result) => {
-        recordingState = result.recordingState || 'idle';
-        fullTranscript = result.transcript || [];
-        apiKeyInput.value = result.apiKey || '';
+    renderCredentials();
+    renderTranslationSettings();
+    renderVadSettings();
+    renderGlossary();
+    renderWebhookSettings();
+    renderCaptionSettings();
+    renderAutoStartRules();
+    renderRedactionSettings();
+
+    chrome.storage.local.get(['transcript', 'currentSessionId', 'audioSource', 'privateSession', TRANSCRIPTION_MODE_KEY, STREAMING_URL_KEY, DIARIZATION_KEY, KEEP_AUDIO_KEY, LOW_CONFIDENCE_KEY], async (result) => {
+        currentSessionId = result.currentSessionId || null;
+        // Transcripts from before session history was added are kept as one imported session
+        if (!currentSessionId && result.transcript?.length) {
+            currentSessionId = await importLegacyTranscript(result.transcript);
+        }
+        fullTranscript = currentSessionId ? await getSessionEntries(currentSessionId) : [];
+        const session = currentSessionId ? await getSession(currentSessionId) : null;
+        speakerNames = session?.speakerNames || {};
+        audioKept = Boolean(session?.keepAudio);
+        bookmarks = session?.bookmarks || [];
+        queuedChunks = currentSessionId ? await loadQueuedChunks(currentSessionId) : [];
         audioSourceSelect.value = result.audioSource || 'tab';
+        transcriptionModeSelect.value = result[TRANSCRIPTION_MODE_KEY] || 'batch';
+        streamingUrlInput.value = result[STREAMING_URL_KEY] || '';
+        privateSessionInput.checked = Boolean(result.privateSession) && !privateSessionInput.disabled;
+        diarizationInput.checked = Boolean(result[DIARIZATION_KEY]);
+        keepAudioInput.checked = Boolean(result[KEEP_AUDIO_KEY]);
+        lowConfidence = result[LOW_CONFIDENCE_KEY] ?? DEFAULT_LOW_CONFIDENCE;
+        lowConfidenceSelect.value = String(lowConfidence);
+        updateStreamingSettingsVisibility();
         
         renderTranscript();
-
-        if (recordingState === 'recording') {
-            const now = Date.now();
-            const elapsedSinceStart = result.startTime ? Math.floor((now - result.startTime) / 1000) : 0;
-            secondsElapsed = result.secondsElapsed + elapsedSinceStart;
-            updateUIForRecording();
-            startTimer();
-        } else if (recordingState === 'paused') {
-            secondsElapsed = result.secondsElapsed || 0;
-            updateUIForPaused();
-            timerEl.textContent = formatTime(secondsElapsed);
-        } else {
-            updateUIForIdle();
-        }
+        applyRecordingState(await getRecordingState());
     });
 });
 
+chrome.storage.session.onChanged.addListener((changes) => {
+    if (changes[RECORDING_STATE_KEY]) applyRecordingState({ ...IDLE_RECORDING_STATE, ...changes[RECORDING_STATE_KEY].newValue });
+    // Unlocked or locked in another window
+    if (changes[CREDENTIALS_UNLOCK_KEY]) renderCredentials();
+});
+
 // --- Event Listeners ---
 startStopBtn.addEventListener('click', handleStartStop);
 pauseResumeBtn.addEventListener('click', handlePauseResume);
 copyBtn.addEventListener('click', copyTranscript);
 downloadTxtBtn.addEventListener('click', () => downloadTranscript('txt'));
-apiKeyInput.addEventListener('change', (e) => chrome.storage.local.set({ apiKey: e.target.value }));
+downloadJsonBtn.addEventListener('click', () => downloadTranscript('json'));
+downloadSrtBtn.addEventListener('click', () => downloadTranscript('srt'));
+downloadVttBtn.addEventListener('click', () => downloadTranscript('vtt'));
+downloadMdBtn.addEventListener('click', () => downloadTranscript('md'));
+downloadAudioBtn.addEventListener('click', downloadSessionAudio);
+undoBtn.addEventListener('click', undoTranscriptEdit);
+redoBtn.addEventListener('click', redoTranscriptEdit);
+document.addEventListener('keydown', (e) => {
+    // Text fields keep their own undo
+    if (!(e.ctrlKey || e.metaKey) || e.target.closest('input, textarea, select, [contenteditable]')) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) undoTranscriptEdit();
+    else if ((key === 'z' && e.shiftKey) || key === 'y') redoTranscriptEdit();
+    else return;
+    e.preventDefault();
+});
 audioSourceSelect.addEventListener('change', (e) => chrome.storage.local.set({ audioSource: e.target.value }));
+transcriptionModeSelect.addEventListener('change', (e) => {
+    chrome.storage.local.set({ [TRANSCRIPTION_MODE_KEY]: e.target.value });
+    updateStreamingSettingsVisibility();
+});
+streamingUrlInput.addEventListener('change', (e) => chrome.storage.local.set({ [STREAMING_URL_KEY]: e.target.value.trim() }));
+privateSessionInput.addEventListener('change', (e) => chrome.storage.local.set({ privateSession: e.target.checked }));
+diarizationInput.addEventListener('change', (e) => chrome.storage.local.set({ [DIARIZATION_KEY]: e.target.checked }));
+keepAudioInput.addEventListener('change', (e) => chrome.storage.local.set({ [KEEP_AUDIO_KEY]: e.target.checked }));
+translationTargetSelect.addEventListener('change', (e) => {
+    chrome.storage.local.set({ [TRANSLATION_TARGET_KEY]: e.target.value });
+    updateTranslationSettingsVisibility();
+});
+translationProviderSelect.addEventListener('change', (e) => {
+    chrome.storage.local.set({ [TRANSLATION_PROVIDER_KEY]: e.target.value });
+    updateTranslationSettingsVisibility();
+});
+glossaryVocabularyInput.addEventListener('change', () => {
+    glossary = { ...glossary, vocabulary: parseVocabulary(glossaryVocabularyInput.value) };
+    saveGlossary(glossary);
+});
+sessionVocabularyInput.addEventListener('change', () => chrome.storage.local.set({ [SESSION_VOCABULARY_KEY]: parseVocabulary(sessionVocabularyInput.value) }));
+addGlossaryRuleBtn.addEventListener('click', () => {
+    glossaryRulesEl.appendChild(createGlossaryRuleRow({ find: '', replace: '', regex: false, caseSensitive: false }));
+    glossaryRulesEl.lastElementChild.querySelector('input').focus();
+});
+importGlossaryBtn.addEventListener('click', () => glossaryFileInput.click());
+glossaryFileInput.addEventListener('change', importGlossaryFile);
+exportGlossaryBtn.addEventListener('click', downloadGlossary);
+vadDetectorSelect.addEventListener('change', saveVadSettings);
+vadThresholdInput.addEventListener('input', saveVadSettings);
+vadHangoverInput.addEventListener('change', saveVadSettings);
+vadMaxChunkInput.addEventListener('change', saveVadSettings);
+translationUrlInput.addEventListener('change', saveTranslationEndpoint);
+webhookEnabledInput.addEventListener('change', enableWebhook);
+webhookUrlInput.addEventListener('change', saveWebhookSettings);
+webhookAuthHeaderInput.addEventListener('change', saveWebhookSettings);
+webhookAuthValueInput.addEventListener('change', () => saveProviderKey(WEBHOOK_AUTH_CREDENTIAL, webhookAuthValueInput.value.trim()));
+webhookSecretInput.addEventListener('change', () => saveProviderKey(WEBHOOK_SECRET_CREDENTIAL, webhookSecretInput.value));
+testWebhookBtn.addEventListener('click', testWebhook);
+captionsEnabledInput.addEventListener('change', enableCaptions);
+captionFontSizeSelect.addEventListener('change', saveCaptionSettings);
+captionLinesSelect.addEventListener('change', saveCaptionSettings);
+captionContrastSelect.addEventListener('change', saveCaptionSettings);
+redactionEnabledInput.addEventListener('change', saveRedactionSettings);
+addRedactionPatternBtn.addEventListener('click', () => {
+    redactionPatternsEl.appendChild(createRedactionPatternRow({ pattern: '', token: '' }));
+    redactionPatternsEl.lastChild.querySelector('input').focus();
+});
+keepUnredactedInput.addEventListener('change', saveKeepUnredacted);
+addAutoStartRuleBtn.addEventListener('click', () => {
+    autoStartRulesEl.appendChild(createAutoStartRuleRow({ id: crypto.randomUUID(), pattern: '', source: 'tab', providerId: null, action: 'ask' }));
+    autoStartRulesEl.lastChild.querySelector('input').focus();
+});
+translationApiKeyInput.addEventListener('change', () => saveProviderKey(TRANSLATION_CREDENTIAL, translationApiKeyInput.value.trim()));
+credentialProfileSelect.addEventListener('change', () => runCredentialAction(() => switchCredentialProfile(credentialProfileSelect.value)));
+addProfileBtn.addEventListener('click', addProfile);
+deleteProfileBtn.addEventListener('click', () => confirmCredentialAction(deleteProfileBtn, 'Delete its keys?', () => deleteCredentialProfile(credentialProfileSelect.value)));
+profileNameInput.addEventListener('change', () => {
+    const name = profileNameInput.value.trim();
+    if (name) runCredentialAction(() => renameCredentialProfile(credentialProfileSelect.value, name));
+});
+unlockForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    runCredentialAction(async () => {
+        await unlockCredentials(unlockPassphraseInput.value);
+        unlockPassphraseInput.value = '';
+    });
+});
+resetCredentialsBtn.addEventListener('click', () => confirmCredentialAction(resetCredentialsBtn, 'Erase all keys?', resetCredentials));
+setPassphraseBtn.addEventListener('click', setPassphrase);
+removePassphraseBtn.addEventListener('click', () => runCredentialAction(() => setCredentialsPassphrase('')));
+lockBtn.addEventListener('click', () => runCredentialAction(lockCredentials));
+bookmarkBtn.addEventListener('click', () => chrome.runtime.sendMessage({ action: 'addBookmark' }));
+transcribeFileBtn.addEventListener('click', () => audioFileInput.click());
+audioFileInput.addEventListener('change', transcribeFile);
+cancelFileBtn.addEventListener('click', cancelFileTranscription);
+// Entries that are neither highlighted nor noted, and chunks still waiting, are hidden by CSS, so lines that
+// arrive meanwhile are filtered too
+transcriptFilterSelect.addEventListener('change', () => transcriptContainer.classList.toggle('filter-marked', transcriptFilterSelect.value === 'marked'));
+lowConfidenceSelect.addEventListener('change', () => {
+    lowConfidence = Number(lowConfidenceSelect.value);
+    chrome.storage.local.set({ [LOW_CONFIDENCE_KEY]: lowConfidence });
+    renderTranscript();
+});
+historyBtn.addEventListener('click', () => showView(historyView.classList.contains('hidden') ? 'history' : null));
+summaryBtn.addEventListener('click', () => showView(summaryView.classList.contains('hidden') ? 'summary' : null));
+summarizeBtn.addEventListener('click', summarizeDisplayedSession);
+askForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    askDisplayedSession();
+});
+historySearchInput.addEventListener('input', () => {
+    clearTimeout(searchDebounce);
+    searchDebounce = setTimeout(renderHistory, 250);
+});
+backToCurrentBtn.addEventListener('click', showCurrentSession);
 
 // --- Message Listener ---
 chrome.runtime.onMessage.addListener((message) => {
     if (message.action === 'updateTranscript') {
-        const newEntry = { timestamp: new Date().toISOString(), text: message.transcript, source: message.source };
-        fullTranscript.push(newEntry);
-        renderSingleTranscript(newEntry);
-        chrome.storage.local.set({ transcript: fullTranscript });
+        // The background worker has already stored the entry in its session
+        const newEntry = message.entry;
+        if (newEntry.sessionId !== getDisplayedSessionId()) return;
+        // A translation arrives as an update of an entry that is already shown
+        if (fullTranscript.some(entry => entry.id === newEntry.id)) {
+            replaceTranscriptEntry(newEntry);
+        } else {
+            renderInterimTranscript(newEntry.channel, '');
+            insertTranscriptEntry(newEntry);
+        }
         updateExportButtons();
-    } else if (message.action === 'recordingStopped') {
-        recordingState = 'idle';
-        stopTimer();
-        updateUIForIdle();
-    } else if (message.action === 'error') {
-        displayError(message.error);
+    } else if (message.action === 'queueUpdate') {
+        applyQueueUpdate(message.item);
+    } else if (message.action === 'webhookDelivery') {
+        applyDeliveryUpdate(message.delivery);
+    } else if (message.action === 'voiceLevel') {
+        voiceLevels.set(message.channel, message);
+        renderLevelMeter();
+    } else if (message.action === 'interimTranscript') {
+        renderInterimTranscript(message.channel, message.transcript);
+    } else if (message.action === 'bookmarkAdded') {
+        if (message.sessionId !== getDisplayedSessionId()) return;
+        bookmarks.push(message.bookmark);
+        renderBookmark(message.bookmark);
     } else if (message.action === 'statusUpdate') {
         statusText.textContent = message.status;
     }
@@ -74,59 +345,103 @@ chrome.runtime.onMessage.addListener((message) => {
 
 // --- Control Handlers ---
 async function handleStartStop() {
-    if (recordingState === 'idle') { // Start
-        if (!apiKeyInput.value) {
-            displayError("Please enter your Gemini API Key.");
-            return;
-        }
-        
+    if (recorder.status === 'idle' || recorder.status === 'error') { // Start
+        const isPrivate = privateSessionInput.checked;
+        // Streaming needs no upload provider, they only serve as the batch fallback
+        if (!(await prepareProviders(isPrivate, transcriptionModeSelect.value === 'streaming'))) return;
+
         const source = audioSourceSelect.value;
-        if (source === 'mic') {
+        if (source === 'mic' || source === 'tabmic') {
             const hasPermission = await requestMicPermission();
             if (!hasPermission) {
                 displayError("Microphone permission is required.");
                 return;
             }
         }
+        if (source !== 'mic' && captionsEnabledInput.checked) await requestCaptionAccess();
 
-        const response = await chrome.runtime.sendMessage({ action: 'startRecording', apiKey: apiKeyInput.value, source });
-        if (response && response.success) {
-            recordingState = 'recording';
-            secondsElapsed = 0;
-            fullTranscript = [];
-            chrome.storage.local.set({ transcript: [], startTime: Date.now(), secondsElapsed: 0 });
-            renderTranscript();
-            updateUIForRecording();
-            startTimer();
-            displayError(null);
-        } else {
-            displayError(response?.error || 'Failed to start recording.');
-        }
-    } else { // Stop
+        // The state change shows the new session; a failure is also kept in the state
+        const response = await chrome.runtime.sendMessage({ action: 'startRecording', source, privateSession: isPrivate });
+        if (!response?.success) displayError(response?.error || 'Failed to start recording.');
+    } else if (recorder.status === 'recording' || recorder.status === 'paused') { // Stop
         chrome.runtime.sendMessage({ action: 'stopRecording' });
-        recordingState = 'idle';
-        stopTimer();
-        updateUIForIdle();
-        chrome.storage.local.set({ recordingState: 'idle', secondsElapsed });
     }
 }
 
+// Checks that the providers can be used and asks for access to their base URLs; shows why not and resolves with
+// false otherwise. uploadOptional is for streaming, which can do without an upload provider.
+async function prepareProviders(isPrivate, uploadOptional = false) {
+    if (!isPrivate && !providerKeys) {
+        displayError(CREDENTIALS_LOCKED_MESSAGE);
+        return false;
+    }
+    // A private session always uses the on-device engine, so the provider list does not matter
+    const usableProviders = isPrivate ? [] : providerOrder.filter(id => isProviderUsable(id, resolveProviderConfig(id, providerSettings, providerKeys)));
+    if (!isPrivate && usableProviders.length === 0 && !uploadOptional) {
+        displayError("Please enable a transcription provider and enter its API key.");
+        return false;
+    }
+
+    const hasHostAccess = await requestHostPermissions([...getProviderOrigins(usableProviders), ...getTranslationOrigins(isPrivate)]);
+    if (!hasHostAccess) {
+        displayError("Access to the provider's base URL is required.");
+        return false;
+    }
+    return verifyProviderKeys(usableProviders);
+}
+
 function handlePauseResume() {
-    if (recordingState === 'recording') { // Pause
+    if (recorder.status === 'recording') {
         chrome.runtime.sendMessage({ action: 'pauseRecording' });
-        recordingState = 'paused';
-        stopTimer();
-        updateUIForPaused();
-        chrome.storage.local.set({ recordingState: 'paused', secondsElapsed, pausedTime: Date.now() });
-    } else if (recordingState === 'paused') { // Resume
+    } else if (recorder.status === 'paused') {
         chrome.runtime.sendMessage({ action: 'resumeRecording' });
-        recordingState = 'recording';
+    }
+}
+
+// Only the background worker changes the recording state; the panel follows it, whether the change came from its
+// own buttons, a keyboard shortcut or the page context menu
+async function applyRecordingState(state) {
+    const previous = recorder;
+    recorder = state;
+    if (isRecordingLive(state) && state.sessionId && state.sessionId !== currentSessionId) await showNewSession(state.sessionId);
+    stopTimer();
+    if (state.status === 'starting' || state.status === 'stopping') {
+        updateUIForTransition(state.status === 'starting' ? 'Starting...' : 'Stopping...');
+    } else if (state.status === 'recording') {
         updateUIForRecording();
         startTimer();
-        chrome.storage.local.set({ recordingState: 'recording', startTime: Date.now() });
+    } else if (state.status === 'paused') {
+        updateUIForRecording();
+        updateUIForPaused();
+        renderTimer();
+    } else {
+        interimEls.forEach(el => el.remove());
+        interimEls.clear();
+        voiceLevels.clear();
+        renderLevelMeter();
+        updateUIForIdle();
+        if (state.status === 'error' && previous.status !== 'error') displayError(state.error);
     }
 }
 
+// Shows the (still empty) transcript of a recording that has just started
+async function showNewSession(sessionId) {
+    currentSessionId = sessionId;
+    viewedSessionId = null;
+    highlightQuery = '';
+    fullTranscript = [];
+    clearEditHistory();
+    speakerNames = {};
+    bookmarks = [];
+    queuedChunks = [];
+    stopPlayback();
+    sessionBanner.classList.add('hidden');
+    showView(null);
+    displayError(null);
+    audioKept = Boolean((await getSession(sessionId))?.keepAudio);
+    renderTranscript();
+}
+
 async function requestMicPermission() {
     return new Promise(resolve => {
         chrome.permissions.request({ permissions: ['microphone'] }, (granted) => {
@@ -135,12 +450,1370 @@ async function requestMicPermission() {
     });
 }
 
+// Custom base URLs (e.g. a self-hosted server) are outside the manifest's host_permissions
+function getProviderOrigins(providerIds) {
+    return providerIds
+        .filter(id => !TRANSCRIPTION_PROVIDERS[id].local)
+        .map(id => `${new URL(resolveProviderConfig(id, providerSettings, providerKeys).baseUrl).origin}/*`);
+}
+
+function getTranslationOrigins(isPrivate) {
+    if (!translationTargetSelect.value || translationProviderSelect.value !== 'endpoint' || isPrivate) return [];
+    return [`${new URL(translationUrlInput.value.trim() || TRANSLATION_PROVIDERS.endpoint.defaultUrl).origin}/*`];
+}
+
+async function requestHostPermissions(origins) {
+    if (origins.length === 0) return true;
+    if (await chrome.permissions.contains({ origins })) return true;
+    return chrome.permissions.request({ origins });
+}
+
+// --- File Transcription ---
+// An uploaded recording is decoded here, cut into parts on silence with the voice detection settings (vad.js),
+// encoded the way the worker asks for (see getUploadEncoding) and handed over one part at a time as an upload
+// (db.js). Closing the panel stops it; the parts sent so far stay in the session.
+const FILE_SAMPLE_RATE = UPLOAD_SAMPLE_RATE;
+const FILE_PREROLL_MS = 500;    // Kept before the first word heard, like PREROLL_MS in offscreen.js
+
+async function transcribeFile() {
+    const [file] = audioFileInput.files;
+    audioFileInput.value = ''; // So that picking the same file again starts again
+    if (!file || fileJob) return;
+    const isPrivate = privateSessionInput.checked;
+    if (!(await prepareProviders(isPrivate))) return;
+
+    const job = { cancelled: false };
+    fileJob = job;
+    displayError(null);
+    renderFileProgress(`Decoding ${file.name}...`, 0);
+    try {
+        let samples;
+        try {
+            samples = await decodeToMono(await file.arrayBuffer(), FILE_SAMPLE_RATE);
+        } catch {
+            throw new Error("The file could not be decoded. Use a WAV, MP3, M4A, WebM or MP4 file.");
+        }
+        const { [VAD_SETTINGS_KEY]: vad } = await chrome.storage.local.get(VAD_SETTINGS_KEY);
+        const parts = splitOnSilence(samples, getVadSettings(vad));
+        if (parts.length === 0) throw new Error("No speech was found in the file.");
+        if (job.cancelled) return;
+
+        const response = await chrome.runtime.sendMessage({
+            action: 'startFileTranscription',
+            name: file.name,
+            duration: Math.round(samples.length / FILE_SAMPLE_RATE),
+            privateSession: isPrivate,
+        });
+        if (!response?.success) throw new Error(response?.error || "The file could not be transcribed.");
+        const { sessionId, encoding } = response;
+        await showNewSession(sessionId);
+
+        const toMs = (sample) => Math.round((sample / FILE_SAMPLE_RATE) * 1000);
+        let failed = 0;
+        for (const [index, part] of parts.entries()) {
+            if (job.cancelled) break;
+            renderFileProgress(`Transcribing ${file.name}: part ${index + 1} of ${parts.length}`, index / parts.length);
+            // Parts are cut at the maximum chunk length already, so a second cut only happens for a very low limit
+            const uploads = encodeUploadParts(samples.subarray(part.start, part.end), FILE_SAMPLE_RATE, encoding.format, encoding.maxBytes, part.start);
+            let partFailed = false;
+            for (const upload of uploads) {
+                const uploadId = await addUpload(sessionId, upload.blob);
+                const result = await chrome.runtime.sendMessage({ action: 'transcribeFileChunk', sessionId, uploadId, startOffset: toMs(upload.start), endOffset: toMs(upload.end) });
+                if (!result?.success) partFailed = true;
+            }
+            if (partFailed) failed++;
+        }
+        chrome.runtime.sendMessage({ action: 'finishFileTranscription', sessionId });
+        // The worker has queued them, so they show in the transcript with a retry button
+        if (failed > 0) displayError(`${failed} of ${parts.length} parts could not be transcribed yet. They wait in the transcript.`);
+    } catch (error) {
+        displayError(error.message);
+    } finally {
+        fileJob = null;
+        renderFileProgress(null);
+    }
+}
+
+// The part being sent finishes; the rest of the file is left out
+function cancelFileTranscription() {
+    if (!fileJob) return;
+    fileJob.cancelled = true;
+    renderFileProgress('Cancelling after the current part...');
+}
+
+// Sample ranges [{ start, end }] of speech: a part ends after a silence of the hangover, or once it reaches the
+// maximum chunk length, as when recording. The spectral detector needs an AnalyserNode, so files go by level alone.
+function splitOnSilence(samples, settings) {
+    const frameLength = (FILE_SAMPLE_RATE * VAD_FRAME_MS) / 1000;
+    const maxLength = settings.maxChunkSeconds * FILE_SAMPLE_RATE;
+    const hangover = (settings.hangover * FILE_SAMPLE_RATE) / 1000;
+    const preroll = (FILE_PREROLL_MS * FILE_SAMPLE_RATE) / 1000;
+    const detector = createVoiceDetector();
+    const parts = [];
+    let start = null;   // Start of the part being collected
+    let lastSpeech = 0; // End of the last frame heard as speech
+    for (let offset = 0; offset < samples.length; offset += frameLength) {
+        const end = Math.min(offset + frameLength, samples.length);
+        let sum = 0;
+        for (let i = offset; i < end; i++) sum += samples[i] * samples[i];
+        const level = 20 * Math.log10(Math.sqrt(sum / (end - offset)) || 0.00001);
+        if (detectVoice(detector, level, true, settings)) {
+            // Never reaching back into the part before, which may have ended just now
+            if (start === null) start = Math.max(offset - preroll, parts.length > 0 ? parts[parts.length - 1].end : 0);
+            lastSpeech = end;
+            if (end - start >= maxLength) {
+                parts.push({ start, end });
+                start = null;
+            }
+        } else if (start !== null && end - lastSpeech >= hangover) {
+            parts.push({ start, end });
+            start = null;
+        }
+    }
+    if (start !== null) parts.push({ start, end: samples.length });
+    return parts;
+}
+
+// text null hides the progress; share is the part of the file done, from 0 to 1, and stays as it was when omitted
+function renderFileProgress(text, share) {
+    fileProgressEl.classList.toggle('hidden', text === null);
+    transcribeFileBtn.disabled = Boolean(fileJob);
+    cancelFileBtn.disabled = Boolean(fileJob?.cancelled);
+    // Recording waits until the file is done
+    if (!isRecordingLive(recorder)) startStopBtn.disabled = Boolean(fileJob);
+    if (text === null) return;
+    fileProgressText.textContent = text;
+    if (share != null) fileProgressFill.style.width = `${Math.round(share * 100)}%`;
+}
+
+// --- Provider Settings ---
+function renderProviderList() {
+    providerListEl.innerHTML = '';
+    providerOrder.forEach((id, index) => {
+        const provider = TRANSCRIPTION_PROVIDERS[id];
+        const config = resolveProviderConfig(id, providerSettings, providerKeys);
+
+        const item = document.createElement('details');
+        item.className = 'provider-item bg-white border border-slate-200 rounded-md';
+
+        const summary = document.createElement('summary');
+        summary.className = 'flex items-center justify-between px-3 py-2 text-sm cursor-pointer';
+
+        const label = document.createElement('label');
+        label.className = 'flex items-center space-x-2';
+        const enabledInput = document.createElement('input');
+        enabledInput.type = 'checkbox';
+        enabledInput.checked = config.enabled;
+        // The on-device engine cannot be used until its files are added; its model can still be changed to one that is
+        if (provider.local && !onDeviceEngineInstalled) {
+            enabledInput.checked = false;
+            enabledInput.disabled = true;
+        }
+        enabledInput.addEventListener('change', () => saveProviderSetting(id, 'enabled', enabledInput.checked));
+        const name = document.createElement('span');
+        name.textContent = `${index + 1}. ${provider.label}`;
+        label.appendChild(enabledInput);
+        label.appendChild(name);
+
+        const moveButtons = document.createElement('span');
+        moveButtons.className = 'flex items-center space-x-1';
+        moveButtons.appendChild(createMoveButton('▲', 'Move up', index === 0, () => moveProvider(index, -1)));
+        moveButtons.appendChild(createMoveButton('▼', 'Move down', index === providerOrder.length - 1, () => moveProvider(index, 1)));
+
+        summary.appendChild(label);
+        summary.appendChild(moveButtons);
+
+        const fields = document.createElement('div');
+        fields.className = 'px-3 pb-3 space-y-2';
+        if (!provider.local) {
+            fields.appendChild(createProviderKeyField(id, provider.keyLabel, config.apiKey));
+            fields.appendChild(createProviderField('Base URL', 'url', providerSettings[id]?.baseUrl || '', provider.defaultBaseUrl, value => saveProviderSetting(id, 'baseUrl', value)));
+        }
+        fields.appendChild(createProviderField('Model', 'text', providerSettings[id]?.model || '', provider.defaultModel, value => saveProviderSetting(id, 'model', value)));
+        if (provider.local && !onDeviceEngineInstalled) {
+            const missing = document.createElement('p');
+            missing.className = 'text-xs text-red-500';
+            missing.textContent = LOCAL_ENGINE_MISSING_MESSAGE;
+            fields.appendChild(missing);
+        }
+
+        item.appendChild(summary);
+        item.appendChild(fields);
+        providerListEl.appendChild(item);
+    });
+}
+
+function createMoveButton(symbol, title, disabled, onClick) {
+    const button = document.createElement('button');
+    button.className = 'px-2 text-xs text-slate-400 hover:text-slate-700 disabled:opacity-50 disabled:cursor-not-allowed';
+    button.textContent = symbol;
+    button.title = title;
+    button.disabled = disabled;
+    button.addEventListener('click', (e) => {
+        e.preventDefault(); // Keep the <details> from toggling
+        onClick();
+    });
+    return button;
+}
+
+function createProviderField(labelText, type, value, placeholderText, onChange) {
+    const wrapper = document.createElement('div');
+    const label = document.createElement('label');
+    label.className = 'text-xs font-medium text-slate-500';
+    label.textContent = labelText;
+    const input = document.createElement('input');
+    input.type = type;
+    input.value = value;
+    input.placeholder = placeholderText;
+    input.className = 'w-full px-3 py-2 border border-slate-200 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-400';
+    input.addEventListener('change', () => onChange(input.value.trim()));
+    wrapper.appendChild(label);
+    wrapper.appendChild(input);
+    return wrapper;
+}
+
+// The key goes to the active profile, encrypted; Test key tries it (with the base URL and model) on the provider
+function createProviderKeyField(id, labelText, value) {
+    const wrapper = createProviderField(labelText, 'password', value, providerKeys ? '' : 'Locked', key => saveProviderKey(id, key));
+    wrapper.querySelector('input').disabled = !providerKeys;
+
+    const row = document.createElement('div');
+    row.className = 'flex items-center space-x-2 mt-1';
+    const testBtn = document.createElement('button');
+    testBtn.className = 'px-2 py-1 text-xs bg-slate-200 text-slate-700 font-medium rounded-md hover:bg-slate-300 disabled:opacity-50 disabled:cursor-not-allowed';
+    testBtn.textContent = 'Test key';
+    testBtn.disabled = !providerKeys;
+    const result = document.createElement('span');
+    result.className = 'text-xs text-slate-500';
+    testBtn.addEventListener('click', async () => {
+        // Asked for while the click still counts as a user gesture
+        if (!(await requestHostPermissions(getProviderOrigins([id])))) {
+            result.textContent = "Access to the provider's base URL is required.";
+            return;
+        }
+        testBtn.disabled = true;
+        result.className = 'text-xs text-slate-500';
+        result.textContent = 'Testing...';
+        const response = await testKey(id);
+        result.className = response.success ? 'text-xs text-green-600' : 'text-xs text-red-500';
+        result.textContent = response.success ? 'The key works.' : response.error;
+        testBtn.disabled = false;
+    });
+    row.appendChild(testBtn);
+    row.appendChild(result);
+    wrapper.appendChild(row);
+    return wrapper;
+}
+
+function saveProviderSetting(id, key, value) {
+    providerSettings[id] = { ...providerSettings[id], [key]: value };
+    verifiedKeys.delete(id);
+    chrome.storage.local.set({ [PROVIDER_SETTINGS_KEY]: providerSettings });
+    if (TRANSCRIPTION_PROVIDERS[id].local && key === 'model') checkOnDeviceEngine();
+}
+
+// Private sessions only use the on-device engine, so they are turned off while its files (or its model's) are missing
+async function checkOnDeviceEngine() {
+    const installed = await isOnDeviceEngineInstalled(resolveProviderConfig('local', providerSettings).model);
+    privateSessionInput.disabled = !installed;
+    privateSessionHint.classList.toggle('hidden', installed);
+    if (!installed && privateSessionInput.checked) {
+        privateSessionInput.checked = false;
+        chrome.storage.local.set({ privateSession: false });
+    }
+    if (installed !== onDeviceEngineInstalled) {
+        onDeviceEngineInstalled = installed;
+        renderProviderList();
+    }
+}
+
+function saveProviderKey(id, value) {
+    providerKeys = { ...providerKeys, [id]: value };
+    verifiedKeys.delete(id);
+    keySaves = keySaves.then(() => setProfileKey(id, value)).catch(error => showCredentialsError(error.message));
+}
+
+// The background worker makes every provider request, so it runs the test
+async function testKey(id) {
+    await keySaves;
+    const response = await chrome.runtime.sendMessage({ action: 'testProviderKey', id });
+    if (response?.success) verifiedKeys.add(id);
+    return response || { success: false, error: "The background worker did not answer." };
+}
+
+// Tries every key that was not tested since it was entered. Only a refused key stops the start: a provider that
+// cannot be reached may be back by the first chunk, and until then its chunks wait in the queue.
+async function verifyProviderKeys(providerIds) {
+    const untested = providerIds.filter(id => TRANSCRIPTION_PROVIDERS[id].requiresKey && !verifiedKeys.has(id));
+    if (untested.length > 0) statusText.textContent = 'Checking keys...';
+    for (const id of untested) {
+        const response = await testKey(id);
+        if (!response.success && !response.unreachable) {
+            statusText.textContent = 'Idle';
+            displayError(`${TRANSCRIPTION_PROVIDERS[id].label}: ${response.error}`);
+            return false;
+        }
+    }
+    return true;
+}
+
+function moveProvider(index, direction) {
+    const target = index + direction;
+    [providerOrder[index], providerOrder[target]] = [providerOrder[target], providerOrder[index]];
+    chrome.storage.local.set({ [PROVIDER_ORDER_KEY]: providerOrder });
+    renderProviderList();
+}
+
+function updateStreamingSettingsVisibility() {
+    streamingSettingsEl.classList.toggle('hidden', transcriptionModeSelect.value !== 'streaming');
+}
+
+// --- Translation Settings ---
+async function renderTranslationSettings() {
+    TRANSLATION_LANGUAGES.forEach(code => translationTargetSelect.appendChild(new Option(getLanguageName(code), code)));
+    Object.entries(TRANSLATION_PROVIDERS).forEach(([id, provider]) => translationProviderSelect.appendChild(new Option(provider.label, id)));
+
+    const { target, providerId } = await getTranslationSettings();
+    const { [TRANSLATION_SETTINGS_KEY]: endpoint = {} } = await chrome.storage.local.get(TRANSLATION_SETTINGS_KEY);
+    translationTargetSelect.value = target;
+    translationProviderSelect.value = providerId;
+    translationUrlInput.value = endpoint.url || '';
+    updateTranslationSettingsVisibility();
+}
+
+function updateTranslationSettingsVisibility() {
+    translationSettingsEl.classList.toggle('hidden', !translationTargetSelect.value);
+    translationEndpointSettingsEl.classList.toggle('hidden', translationProviderSelect.value !== 'endpoint');
+}
+
+function saveTranslationEndpoint() {
+    chrome.storage.local.set({ [TRANSLATION_SETTINGS_KEY]: { url: translationUrlInput.value.trim() } });
+}
+
+// --- Webhook ---
+async function renderWebhookSettings() {
+    const settings = await getWebhookSettings();
+    webhookEnabledInput.checked = settings.enabled;
+    webhookUrlInput.value = settings.url;
+    webhookAuthHeaderInput.value = settings.authHeader;
+    deliveries = (await getDeliveries()).map(describeDelivery);
+    renderDeliveryLog();
+}
+
+function saveWebhookSettings() {
+    return chrome.storage.local.set({
+        [WEBHOOK_SETTINGS_KEY]: {
+            enabled: webhookEnabledInput.checked,
+            url: webhookUrlInput.value.trim(),
+            authHeader: webhookAuthHeaderInput.value.trim() || DEFAULT_WEBHOOK_SETTINGS.authHeader,
+        },
+    });
+}
+
+// The URL is only allowed once the user grants access to it, which needs the click on the checkbox
+async function enableWebhook() {
+    if (webhookEnabledInput.checked && !(await requestWebhookAccess())) {
+        webhookEnabledInput.checked = false;
+        return;
+    }
+    saveWebhookSettings();
+}
+
+// Resolves with false, and says why, when the URL is invalid or access to it was refused
+async function requestWebhookAccess() {
+    const origin = getWebhookOrigin({ url: webhookUrlInput.value.trim() });
+    if (!origin) {
+        webhookStatusEl.textContent = 'Enter the webhook URL first.';
+        return false;
+    }
+    if (!(await requestHostPermissions([origin]))) {
+        webhookStatusEl.textContent = 'Access to the webhook URL is required.';
+        return false;
+    }
+    webhookStatusEl.textContent = '';
+    return true;
+}
+
+async function testWebhook() {
+    if (!(await requestWebhookAccess())) return;
+    testWebhookBtn.disabled = true;
+    webhookStatusEl.textContent = 'Sending...';
+    await saveWebhookSettings();
+    await keySaves;
+    const response = await chrome.runtime.sendMessage({ action: 'testWebhook' });
+    webhookStatusEl.textContent = response?.success ? 'The test was delivered.' : `The test failed: ${response?.error || 'no answer'}`;
+    testWebhookBtn.disabled = false;
+}
+
+function applyDeliveryUpdate(delivery) {
+    deliveries = [...deliveries.filter(existing => existing.id !== delivery.id), delivery];
+    // The worker keeps WEBHOOK_LOG_SIZE delivered ones, and so does the log
+    const delivered = deliveries.filter(existing => existing.status === 'delivered');
+    const dropped = new Set(delivered.slice(0, -WEBHOOK_LOG_SIZE).map(existing => existing.id));
+    deliveries = deliveries.filter(existing => !dropped.has(existing.id)).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    renderDeliveryLog();
+}
+
+// Newest first
+function renderDeliveryLog() {
+    webhookLogEl.innerHTML = '';
+    if (deliveries.length === 0) {
+        const note = document.createElement('p');
+        note.className = 'text-xs text-slate-400';
+        note.textContent = 'Nothing sent yet.';
+        webhookLogEl.appendChild(note);
+        return;
+    }
+    [...deliveries].reverse().forEach(delivery => webhookLogEl.appendChild(createDeliveryRow(delivery)));
+}
+
+function createDeliveryRow(delivery) {
+    const row = document.createElement('div');
+    row.className = 'flex items-center justify-between space-x-2';
+
+    const text = document.createElement('div');
+    const title = document.createElement('p');
+    title.className = 'text-xs font-medium text-slate-700';
+    const time = new Date(delivery.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    title.textContent = `[${time}] ${delivery.event === 'session' ? 'Session' : 'Line'} · ${delivery.sessionName}`;
+    const status = document.createElement('p');
+    status.className = 'text-xs text-slate-500';
+    if (delivery.status === 'delivered') {
+        status.textContent = `Delivered at ${new Date(delivery.deliveredAt).toLocaleTimeString()}`;
+    } else if (delivery.status === 'failed') {
+        status.classList.add('webhook-delivery-failed');
+        status.textContent = `Failed: ${delivery.lastError}`;
+    } else {
+        status.textContent = delivery.attempts > 0 ? `Waiting to retry (attempt ${delivery.attempts} failed: ${delivery.lastError})` : 'Pending';
+    }
+    text.appendChild(title);
+    text.appendChild(status);
+    row.appendChild(text);
+    if (delivery.status === 'failed') {
+        row.appendChild(createHistoryButton('Retry', () => chrome.runtime.sendMessage({ action: 'retryDelivery', id: delivery.id })));
+    }
+    return row;
+}
+
+// --- Captions ---
+// The background worker shows them in the captured tab and follows changes to the settings, even while recording
+async function renderCaptionSettings() {
+    CAPTION_FONT_SIZES.forEach(size => captionFontSizeSelect.appendChild(new Option(`${size} px`, size)));
+    for (let lines = 1; lines <= CAPTION_MAX_LINES; lines++) captionLinesSelect.appendChild(new Option(String(lines), lines));
+    Object.entries(CAPTION_CONTRASTS).forEach(([id, label]) => captionContrastSelect.appendChild(new Option(label, id)));
+
+    const settings = await getCaptionSettings();
+    captionsEnabledInput.checked = settings.enabled;
+    captionFontSizeSelect.value = String(settings.fontSize);
+    captionLinesSelect.value = String(settings.lines);
+    captionContrastSelect.value = settings.contrast;
+}
+
+function saveCaptionSettings() {
+    return chrome.storage.local.set({
+        [CAPTION_SETTINGS_KEY]: {
+            enabled: captionsEnabledInput.checked,
+            fontSize: Number(captionFontSizeSelect.value),
+            lines: Number(captionLinesSelect.value),
+            contrast: captionContrastSelect.value,
+        },
+    });
+}
+
+// Turned on during a recording, access to the captured tab is asked for with the click on the checkbox
+async function enableCaptions() {
+    if (captionsEnabledInput.checked && isRecordingLive(recorder) && recorder.tabId) await requestCaptionAccess();
+    saveCaptionSettings();
+}
+
+// The overlay is injected into the captured tab, whose origin is outside the manifest's host_permissions. Access is
+// asked for that origin, so the overlay comes back after the page reloads or moves on within the site. The tab's
+// address can only be read where the extension has access already, if only for the moment (activeTab); elsewhere
+// the worker tries anyway and says so when it fails. A refusal costs the captions only, never the recording.
+async function requestCaptionAccess() {
+    const tab = isRecordingLive(recorder) && recorder.tabId
+        ? await chrome.tabs.get(recorder.tabId).catch(() => null)
+        : (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+    const origin = tab && getCaptionOrigin(tab);
+    if (origin) await requestHostPermissions([origin]);
+}
+
+// --- Auto-Start Rules ---
+async function renderAutoStartRules() {
+    autoStartRulesEl.innerHTML = '';
+    (await getAutoStartRules()).forEach(rule => autoStartRulesEl.appendChild(createAutoStartRuleRow(rule)));
+    showAutoStartError(null);
+}
+
+function createAutoStartRuleRow(rule) {
+    const row = document.createElement('div');
+    row.className = 'space-y-1';
+    row.dataset.ruleId = rule.id;
+
+    const patternRow = document.createElement('div');
+    patternRow.className = 'flex items-center space-x-1';
+    const patternInput = document.createElement('input');
+    patternInput.type = 'text';
+    patternInput.dataset.field = 'pattern';
+    patternInput.placeholder = 'meet.google.com';
+    patternInput.value = rule.pattern;
+    patternInput.className = 'w-full px-2 py-1 border border-slate-200 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-400';
+    patternInput.addEventListener('change', saveAutoStartRuleRows);
+    const removeButton = document.createElement('button');
+    removeButton.className = 'px-2 py-1 text-xs text-slate-500 hover:text-slate-700';
+    removeButton.title = 'Remove rule';
+    removeButton.textContent = '✕';
+    removeButton.addEventListener('click', () => {
+        row.remove();
+        saveAutoStartRuleRows();
+    });
+    patternRow.appendChild(patternInput);
+    patternRow.appendChild(removeButton);
+
+    const options = document.createElement('div');
+    options.className = 'flex items-center space-x-1';
+    const providers = Object.fromEntries([['', 'Provider order'], ...Object.entries(TRANSCRIPTION_PROVIDERS).map(([id, provider]) => [id, provider.label])]);
+    const sourceSelect = createAutoStartRuleSelect('source', AUTO_START_SOURCES, rule.source);
+    const actionSelect = createAutoStartRuleSelect('action', AUTO_START_ACTIONS, rule.action);
+    // Only the microphone can start without the shortcut or the context menu (see autostart.js)
+    const updateActions = () => {
+        const canStart = canStartWithoutInvocation({ source: sourceSelect.value });
+        actionSelect.querySelector('option[value="start"]').disabled = !canStart;
+        if (!canStart) actionSelect.value = 'ask';
+    };
+    sourceSelect.addEventListener('change', updateActions);
+    updateActions();
+    options.appendChild(sourceSelect);
+    options.appendChild(createAutoStartRuleSelect('providerId', providers, rule.providerId || ''));
+    options.appendChild(actionSelect);
+
+    row.appendChild(patternRow);
+    row.appendChild(options);
+    return row;
+}
+
+function createAutoStartRuleSelect(field, choices, value) {
+    const select = document.createElement('select');
+    select.dataset.field = field;
+    select.className = 'w-full px-2 py-1 border border-slate-200 rounded-md text-xs focus:outline-none focus:ring-2 focus:ring-blue-400';
+    Object.entries(choices).forEach(([id, label]) => select.appendChild(new Option(label, id)));
+    select.value = value;
+    select.addEventListener('change', saveAutoStartRuleRows);
+    return select;
+}
+
+// Rules are read back from the rows in order. Nothing is saved while a pattern is not a site, or while access to a
+// rule's site is refused, since the worker could not see its tabs.
+async function saveAutoStartRuleRows() {
+    let invalid = null;
+    const rules = [...autoStartRulesEl.children].map(row => {
+        const value = (field) => row.querySelector(`[data-field="${field}"]`);
+        const rule = {
+            id: row.dataset.ruleId,
+            pattern: value('pattern').value.trim(),
+            source: value('source').value,
+            providerId: value('providerId').value || null,
+            action: value('action').value,
+        };
+        let error = null;
+        try {
+            if (rule.pattern) parseSitePattern(rule.pattern);
+        } catch (e) {
+            error = e;
+            invalid = invalid || e.message;
+        }
+        value('pattern').classList.toggle('glossary-rule-invalid', Boolean(error));
+        return rule;
+    }).filter(rule => rule.pattern); // Empty rows stay on screen until filled in, but are not stored
+    if (!invalid && !(await requestHostPermissions([...new Set(rules.map(getRuleOrigin))]))) {
+        invalid = "Access to the sites is required to notice their tabs.";
+    }
+    showAutoStartError(invalid);
+    if (!invalid) saveAutoStartRules(rules);
+}
+
+function showAutoStartError(message) {
+    autoStartErrorEl.textContent = message || '';
+    autoStartErrorEl.classList.toggle('hidden', !message);
+}
+
+// --- Redaction ---
+async function renderRedactionSettings() {
+    const settings = await getRedactionSettings();
+    const { [KEEP_UNREDACTED_KEY]: keepUnredacted = false } = await chrome.storage.local.get(KEEP_UNREDACTED_KEY);
+    redactionEnabledInput.checked = settings.enabled;
+    keepUnredactedInput.checked = keepUnredacted;
+    redactionDetectorsEl.innerHTML = '';
+    Object.entries(REDACTION_DETECTORS).forEach(([id, detector]) => {
+        const row = document.createElement('label');
+        row.className = 'flex items-center justify-between text-xs text-slate-500';
+        const name = document.createElement('span');
+        name.textContent = detector.label;
+        const select = document.createElement('select');
+        select.dataset.detector = id;
+        select.className = 'px-2 py-1 border border-slate-200 rounded-md text-xs focus:outline-none focus:ring-2 focus:ring-blue-400';
+        Object.entries(REDACTION_MODES).forEach(([mode, label]) => {
+            select.appendChild(new Option(mode === 'token' ? `${label} ${detector.token}` : label, mode));
+        });
+        select.value = settings.detectors[id];
+        select.addEventListener('change', saveRedactionSettings);
+        row.appendChild(name);
+        row.appendChild(select);
+        redactionDetectorsEl.appendChild(row);
+    });
+    redactionPatternsEl.innerHTML = '';
+    settings.custom.forEach(rule => redactionPatternsEl.appendChild(createRedactionPatternRow(rule)));
+    showRedactionError(null);
+}
+
+function createRedactionPatternRow(rule) {
+    const row = document.createElement('div');
+    row.className = 'flex items-center space-x-1';
+    const patternInput = createRedactionPatternInput('pattern', 'Pattern, e.g. EMP-\\d{5}', rule.pattern);
+    const tokenInput = createRedactionPatternInput('token', 'Token (empty masks)', rule.token);
+    const removeButton = document.createElement('button');
+    removeButton.className = 'px-2 py-1 text-xs text-slate-500 hover:text-slate-700';
+    removeButton.title = 'Remove pattern';
+    removeButton.textContent = '✕';
+    removeButton.addEventListener('click', () => {
+        row.remove();
+        saveRedactionSettings();
+    });
+    row.appendChild(patternInput);
+    row.appendChild(tokenInput);
+    row.appendChild(removeButton);
+    return row;
+}
+
+function createRedactionPatternInput(field, placeholderText, value) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.dataset.field = field;
+    input.placeholder = placeholderText;
+    input.value = value;
+    input.className = 'w-full px-2 py-1 border border-slate-200 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-400';
+    input.addEventListener('change', saveRedactionSettings);
+    return input;
+}
+
+// Patterns are read back from the rows in order; nothing is saved while one does not compile
+function saveRedactionSettings() {
+    let invalid = null;
+    const custom = [...redactionPatternsEl.children].map(row => {
+        const patternInput = row.querySelector('[data-field="pattern"]');
+        const rule = { pattern: patternInput.value, token: row.querySelector('[data-field="token"]').value.trim() };
+        let error = null;
+        try {
+            if (rule.pattern) compileRedactionPattern(rule.pattern);
+        } catch (e) {
+            error = e;
+            invalid = invalid || `"${rule.pattern}" is not a valid regular expression: ${e.message}`;
+        }
+        patternInput.classList.toggle('glossary-rule-invalid', Boolean(error));
+        return rule;
+    });
+    showRedactionError(invalid);
+    if (invalid) return;
+    const detectors = Object.fromEntries([...redactionDetectorsEl.querySelectorAll('select')].map(select => [select.dataset.detector, select.value]));
+    // Empty rows stay on screen until filled in, but are not stored
+    chrome.storage.local.set({
+        [REDACTION_SETTINGS_KEY]: { enabled: redactionEnabledInput.checked, detectors, custom: custom.filter(rule => rule.pattern) },
+    });
+}
+
+// Applies to the next sessions, and to the one being recorded from its next line on
+function saveKeepUnredacted() {
+    chrome.storage.local.set({ [KEEP_UNREDACTED_KEY]: keepUnredactedInput.checked });
+    if (isRecordingLive(recorder) && recorder.sessionId) updateSession(recorder.sessionId, { keepUnredacted: keepUnredactedInput.checked });
+}
+
+function showRedactionError(message) {
+    redactionErrorEl.textContent = message || '';
+    redactionErrorEl.classList.toggle('hidden', !message);
+}
+
+// --- API Keys & Profiles ---
+// Shows the active profile, its keys in the provider list, and whether they are locked
+async function renderCredentials() {
+    const [{ settings, order, keys }, store] = await Promise.all([loadProviderSettings(), getCredentialStore()]);
+    providerSettings = settings;
+    providerOrder = order;
+    providerKeys = keys;
+
+    credentialProfileSelect.innerHTML = '';
+    store.profiles.forEach(profile => credentialProfileSelect.appendChild(new Option(profile.name, profile.id)));
+    credentialProfileSelect.value = store.activeProfile;
+    profileNameInput.value = store.profiles.find(profile => profile.id === store.activeProfile).name;
+    deleteProfileBtn.disabled = store.profiles.length === 1;
+
+    unlockForm.classList.toggle('hidden', Boolean(keys));
+    passphraseStatus.textContent = store.passphrase ? 'Protected by a passphrase' : 'No passphrase';
+    setPassphraseBtn.textContent = store.passphrase ? 'Change passphrase' : 'Set passphrase';
+    [newPassphraseInput, confirmPassphraseInput, setPassphraseBtn, removePassphraseBtn].forEach(el => { el.disabled = !keys; });
+    removePassphraseBtn.classList.toggle('hidden', !store.passphrase);
+    lockBtn.classList.toggle('hidden', !store.passphrase || !keys);
+
+    translationApiKeyInput.value = keys?.[TRANSLATION_CREDENTIAL] || '';
+    translationApiKeyInput.disabled = !keys;
+    translationApiKeyInput.placeholder = keys ? 'API key (optional)' : 'Locked';
+    webhookAuthValueInput.value = keys?.[WEBHOOK_AUTH_CREDENTIAL] || '';
+    webhookSecretInput.value = keys?.[WEBHOOK_SECRET_CREDENTIAL] || '';
+    [webhookAuthValueInput, webhookSecretInput].forEach(input => { input.disabled = !keys; });
+    webhookAuthValueInput.placeholder = keys ? 'Header value (optional)' : 'Locked';
+    webhookSecretInput.placeholder = keys ? 'Signing secret (optional)' : 'Locked';
+    renderProviderList();
+    await checkOnDeviceEngine();
+}
+
+// Runs a change to the keys or profiles, then shows the result or what went wrong
+async function runCredentialAction(action) {
+    showCredentialsError(null);
+    try {
+        await keySaves;
+        await action();
+    } catch (error) {
+        showCredentialsError(error.message);
+    }
+    verifiedKeys.clear();
+    await renderCredentials();
+}
+
+// Like deleting a session, erasing keys takes a second click
+function confirmCredentialAction(button, question, action) {
+    if (button.dataset.confirming) {
+        delete button.dataset.confirming;
+        button.textContent = button.dataset.label;
+        runCredentialAction(action);
+        return;
+    }
+    button.dataset.confirming = 'true';
+    button.dataset.label = button.textContent;
+    button.textContent = question;
+    setTimeout(() => {
+        if (!button.dataset.confirming) return;
+        delete button.dataset.confirming;
+        button.textContent = button.dataset.label;
+    }, 3000);
+}
+
+async function addProfile() {
+    await runCredentialAction(() => addCredentialProfile(`Profile ${credentialProfileSelect.options.length + 1}`));
+    credentialsPanel.open = true;
+    profileNameInput.focus();
+    profileNameInput.select();
+}
+
+function setPassphrase() {
+    const passphrase = newPassphraseInput.value;
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        showCredentialsError(`Use at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+        return;
+    }
+    if (passphrase !== confirmPassphraseInput.value) {
+        showCredentialsError("The passphrases do not match.");
+        return;
+    }
+    runCredentialAction(async () => {
+        await setCredentialsPassphrase(passphrase);
+        newPassphraseInput.value = '';
+        confirmPassphraseInput.value = '';
+    });
+}
+
+function showCredentialsError(message) {
+    credentialsErrorEl.textContent = message || '';
+    credentialsErrorEl.classList.toggle('hidden', !message);
+    if (message) credentialsPanel.open = true;
+}
+
+// --- Glossary ---
+async function renderGlossary() {
+    glossary = await getGlossary();
+    const { [SESSION_VOCABULARY_KEY]: sessionVocabulary = [] } = await chrome.storage.local.get(SESSION_VOCABULARY_KEY);
+    glossaryVocabularyInput.value = glossary.vocabulary.join('\n');
+    sessionVocabularyInput.value = sessionVocabulary.join('\n');
+    glossaryRulesEl.innerHTML = '';
+    glossary.rules.forEach(rule => glossaryRulesEl.appendChild(createGlossaryRuleRow(rule)));
+    showGlossaryError(null);
+}
+
+function createGlossaryRuleRow(rule) {
+    const row = document.createElement('div');
+    row.className = 'glossary-rule space-y-1';
+
+    const inputs = document.createElement('div');
+    inputs.className = 'flex items-center space-x-1';
+    const findInput = createGlossaryRuleInput('find', 'Find', rule.find);
+    const replaceInput = createGlossaryRuleInput('replace', 'Replace with', rule.replace);
+    const removeButton = document.createElement('button');
+    removeButton.className = 'px-2 py-1 text-xs text-slate-500 hover:text-slate-700';
+    removeButton.title = 'Remove rule';
+    removeButton.textContent = '✕';
+    removeButton.addEventListener('click', () => {
+        row.remove();
+        saveGlossaryRules();
+    });
+    inputs.appendChild(findInput);
+    inputs.appendChild(replaceInput);
+    inputs.appendChild(removeButton);
+
+    const options = document.createElement('div');
+    options.className = 'flex items-center space-x-2 text-xs text-slate-500';
+    options.appendChild(createGlossaryRuleOption('regex', 'Regular expression', rule.regex));
+    options.appendChild(createGlossaryRuleOption('caseSensitive', 'Match case', rule.caseSensitive));
+
+    row.appendChild(inputs);
+    row.appendChild(options);
+    return row;
+}
+
+function createGlossaryRuleInput(field, placeholderText, value) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.dataset.field = field;
+    input.placeholder = placeholderText;
+    input.value = value;
+    input.className = 'w-full px-2 py-1 border border-slate-200 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-400';
+    input.addEventListener('change', saveGlossaryRules);
+    return input;
+}
+
+function createGlossaryRuleOption(field, labelText, checked) {
+    const label = document.createElement('label');
+    label.className = 'flex items-center space-x-1';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.dataset.field = field;
+    checkbox.checked = checked;
+    checkbox.addEventListener('change', saveGlossaryRules);
+    const text = document.createElement('span');
+    text.textContent = labelText;
+    label.appendChild(checkbox);
+    label.appendChild(text);
+    return label;
+}
+
+// Rules are read back from the rows in order; nothing is saved while a pattern does not compile
+function saveGlossaryRules() {
+    let invalid = null;
+    const rules = [...glossaryRulesEl.querySelectorAll('.glossary-rule')].map(row => {
+        const value = (field) => row.querySelector(`[data-field="${field}"]`);
+        const rule = { find: value('find').value, replace: value('replace').value, regex: value('regex').checked, caseSensitive: value('caseSensitive').checked };
+        let error = null;
+        try {
+            if (rule.find) compileGlossaryRule(rule);
+        } catch (e) {
+            error = e;
+            invalid = invalid || `"${rule.find}" is not a valid regular expression: ${e.message}`;
+        }
+        value('find').classList.toggle('glossary-rule-invalid', Boolean(error));
+        return rule;
+    });
+    showGlossaryError(invalid);
+    if (invalid) return;
+    // Empty rows stay on screen until filled in, but are not stored
+    glossary = { ...glossary, rules: rules.filter(rule => rule.find) };
+    saveGlossary(glossary);
+}
+
+function showGlossaryError(message) {
+    glossaryErrorEl.textContent = message || '';
+    glossaryErrorEl.classList.toggle('hidden', !message);
+}
+
+async function importGlossaryFile() {
+    const [file] = glossaryFileInput.files;
+    glossaryFileInput.value = '';
+    if (!file) return;
+    try {
+        glossary = importGlossary(await getGlossary(), await file.text());
+        await saveGlossary(glossary);
+        await renderGlossary();
+    } catch (error) {
+        showGlossaryError(`Could not import ${file.name}. ${error.message}`);
+    }
+}
+
+function downloadGlossary() {
+    const url = URL.createObjectURL(new Blob([exportGlossary(glossary)], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'glossary.json';
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+// --- Voice Detection Settings ---
+const LEVEL_METER_MIN_DB = -90; // The left end of the level meter; its right end is 0 dB
+
+async function renderVadSettings() {
+    const { [VAD_SETTINGS_KEY]: stored } = await chrome.storage.local.get(VAD_SETTINGS_KEY);
+    const settings = getVadSettings(stored);
+    vadDetectorSelect.value = settings.detector;
+    vadThresholdInput.value = settings.threshold;
+    vadThresholdValue.textContent = `${settings.threshold} dB`;
+    vadHangoverInput.value = settings.hangover;
+    vadMaxChunkInput.value = settings.maxChunkSeconds;
+}
+
+// Saved for the next session and sent straight to the offscreen document for the current one
+function saveVadSettings() {
+    const settings = {
+        detector: vadDetectorSelect.value,
+        threshold: readNumberInput(vadThresholdInput, DEFAULT_VAD_SETTINGS.threshold),
+        hangover: readNumberInput(vadHangoverInput, DEFAULT_VAD_SETTINGS.hangover),
+        maxChunkSeconds: readNumberInput(vadMaxChunkInput, DEFAULT_VAD_SETTINGS.maxChunkSeconds),
+    };
+    vadThresholdValue.textContent = `${settings.threshold} dB`;
+    chrome.storage.local.set({ [VAD_SETTINGS_KEY]: settings });
+    chrome.runtime.sendMessage({ action: 'updateVadSettings', settings });
+}
+
+// Clamps to the input's own min and max, and writes the clamped value back
+function readNumberInput(input, fallback) {
+    const value = Number(input.value);
+    const clamped = Number.isFinite(value) && input.value !== '' ? Math.min(Number(input.max), Math.max(Number(input.min), value)) : fallback;
+    input.value = clamped;
+    return clamped;
+}
+
+// With two channels the meter follows the louder one
+function renderLevelMeter() {
+    const toPercent = (db) => Math.max(0, Math.min(100, (1 - db / LEVEL_METER_MIN_DB) * 100));
+    const loudest = [...voiceLevels.values()].sort((a, b) => b.level - a.level)[0];
+    if (!loudest) {
+        levelMeterFill.style.width = '0';
+        levelMeterFill.classList.remove('speaking');
+        levelMeterThreshold.style.display = 'none';
+        levelMeterText.textContent = 'The input level shows here while recording.';
+        return;
+    }
+    levelMeterFill.style.width = `${toPercent(loudest.level)}%`;
+    levelMeterFill.classList.toggle('speaking', loudest.speaking);
+    levelMeterThreshold.style.display = 'block';
+    levelMeterThreshold.style.left = `${toPercent(loudest.threshold)}%`;
+    const channel = voiceLevels.size > 1 ? `${loudest.channel === 'mic' ? 'Microphone' : 'Tab'}: ` : '';
+    levelMeterText.textContent = loudest.noiseFloor === null
+        ? `${channel}${loudest.level} dB, measuring the noise floor...`
+        : `${channel}${loudest.level} dB, noise floor ${loudest.noiseFloor} dB${loudest.speaking ? ', speech' : ''}`;
+}
+
+// --- Session History ---
+function getDisplayedSessionId() {
+    return viewedSessionId || currentSessionId;
+}
+
+// Shows the 'history' or 'summary' view in place of the transcript, or the transcript again when view is null
+function showView(view) {
+    const show = view !== null;
+    historyView.classList.toggle('hidden', view !== 'history');
+    summaryView.classList.toggle('hidden', view !== 'summary');
+    controlsEl.classList.toggle('hidden', show);
+    mainEl.classList.toggle('hidden', show);
+    footerEl.classList.toggle('hidden', show);
+    sessionBanner.classList.toggle('hidden', show || !viewedSessionId);
+    historyBtn.textContent = view === 'history' ? 'Close' : 'History';
+    summaryBtn.textContent = view === 'summary' ? 'Close' : 'Summary';
+    if (view === 'history') renderHistory();
+    if (view === 'summary') renderSummaryView();
+}
+
+function renderHistory() {
+    const query = historySearchInput.value.trim();
+    return query ? renderSearchResults(query) : renderSessionList();
+}
+
+async function renderSessionList() {
+    const sessions = await listSessions();
+    historyList.innerHTML = '';
+    if (sessions.length === 0) {
+        historyList.appendChild(createHistoryNote('No saved sessions yet.'));
+        return;
+    }
+    sessions.forEach(session => historyList.appendChild(createSessionItem(session)));
+}
+
+function createSessionItem(session) {
+    const isLive = session.id === recorder.sessionId && isRecordingLive(recorder);
+    const item = document.createElement('div');
+    item.className = 'p-3 bg-white border border-slate-200 rounded-md';
+
+    const nameEl = document.createElement('p');
+    nameEl.className = 'text-sm font-semibold text-slate-800';
+    nameEl.textContent = session.name;
+
+    const details = document.createElement('p');
+    details.className = 'text-xs text-slate-500';
+    const duration = isLive ? 'in progress' : formatTime(session.duration || 0);
+    details.textContent = `${new Date(session.startedAt).toLocaleString()} · ${duration} · ${getSourceLabel({ source: session.source })}${session.private ? ' · Private' : ''}`;
+
+    const actions = document.createElement('div');
+    actions.className = 'flex items-center space-x-2 mt-2';
+    actions.appendChild(createHistoryButton('Open', () => openSession(session.id)));
+    actions.appendChild(createHistoryButton('Rename', () => startRename(item, nameEl, session)));
+    const deleteBtn = createHistoryButton('Delete', () => confirmDelete(deleteBtn, session));
+    deleteBtn.disabled = isLive; // The session still being recorded cannot be deleted
+    actions.appendChild(deleteBtn);
+
+    item.appendChild(nameEl);
+    item.appendChild(details);
+    if (session.tabUrl) {
+        const urlEl = document.createElement('p');
+        urlEl.className = 'text-xs text-slate-400';
+        urlEl.textContent = session.tabUrl;
+        item.appendChild(urlEl);
+    }
+    item.appendChild(actions);
+    return item;
+}
+
+function createHistoryButton(label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'px-2 py-1 text-xs bg-slate-200 text-slate-700 font-medium rounded-md hover:bg-slate-300 disabled:opacity-50 disabled:cursor-not-allowed';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function createHistoryNote(text) {
+    const note = document.createElement('p');
+    note.className = 'text-slate-400 text-center text-sm mt-8';
+    note.textContent = text;
+    return note;
+}
+
+function startRename(item, nameEl, session) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = session.name;
+    input.className = 'w-full px-2 py-1 border border-slate-200 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-400';
+    let saved = false;
+    const save = async () => {
+        if (saved) return;
+        saved = true;
+        const name = input.value.trim();
+        if (name && name !== session.name) await updateSession(session.id, { name });
+        renderHistory();
+    };
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') save();
+        if (e.key === 'Escape') renderHistory();
+    });
+    input.addEventListener('blur', save);
+    item.replaceChild(input, nameEl);
+    input.focus();
+    input.select();
+}
+
+// Deleting takes a second click, so a stray click cannot lose a transcript
+function confirmDelete(button, session) {
+    if (button.dataset.confirming) {
+        deleteSession(session.id).then(() => {
+            if (viewedSessionId === session.id) showCurrentSession();
+            renderHistory();
+        });
+        return;
+    }
+    button.dataset.confirming = 'true';
+    button.textContent = 'Confirm delete?';
+    setTimeout(() => {
+        delete button.dataset.confirming;
+        button.textContent = 'Delete';
+    }, 3000);
+}
+
+async function renderSearchResults(query) {
+    const [matches, sessions] = await Promise.all([searchEntries(query), listSessions()]);
+    // The user may have typed more while the search ran
+    if (historySearchInput.value.trim() !== query) return;
+
+    historyList.innerHTML = '';
+    const needle = query.toLowerCase();
+    const nameMatches = sessions.filter(session => session.name.toLowerCase().includes(needle));
+    nameMatches.forEach(session => historyList.appendChild(createSessionItem(session)));
+
+    if (matches.length === 0 && nameMatches.length === 0) {
+        historyList.appendChild(createHistoryNote('No matches found.'));
+        return;
+    }
+
+    const sessionsById = new Map(sessions.map(session => [session.id, session]));
+    const matchesBySession = new Map();
+    matches.forEach(entry => {
+        if (!matchesBySession.has(entry.sessionId)) matchesBySession.set(entry.sessionId, []);
+        matchesBySession.get(entry.sessionId).push(entry);
+    });
+
+    matchesBySession.forEach((entries, sessionId) => {
+        const session = sessionsById.get(sessionId);
+        if (!session) return;
+        const group = document.createElement('div');
+        group.className = 'p-3 bg-white border border-slate-200 rounded-md space-y-2';
+        const title = document.createElement('p');
+        title.className = 'text-sm font-semibold text-slate-800';
+        title.textContent = `${session.name} (${entries.length})`;
+        group.appendChild(title);
+
+        entries.forEach(entry => {
+            const line = document.createElement('p');
+            line.className = 'text-sm text-slate-700 cursor-pointer hover:bg-slate-100 rounded-md px-2 py-1';
+            const time = document.createElement('span');
+            time.className = 'text-xs font-semibold text-blue-600';
+            time.textContent = `[${formatLineTime(entry)}] `;
+            line.appendChild(time);
+            // Show the translation when that is where the match is
+            const matchesOriginal = entry.text.toLowerCase().includes(needle) || !entry.translation;
+            appendHighlightedText(line, matchesOriginal ? entry.text : entry.translation.text, query);
+            line.addEventListener('click', () => openSession(sessionId, { query, entryId: entry.id }));
+            group.appendChild(line);
+        });
+        historyList.appendChild(group);
+    });
+}
+
+async function openSession(sessionId, { query = '', entryId = null } = {}) {
+    const session = await getSession(sessionId);
+    if (!session) return;
+    viewedSessionId = sessionId === currentSessionId ? null : sessionId;
+    highlightQuery = query;
+    fullTranscript = await getSessionEntries(sessionId);
+    clearEditHistory();
+    speakerNames = session.speakerNames || {};
+    audioKept = Boolean(session.keepAudio);
+    bookmarks = session.bookmarks || [];
+    queuedChunks = await loadQueuedChunks(sessionId);
+    stopPlayback();
+    sessionBannerName.textContent = viewedSessionId ? `Viewing: ${session.name}` : '';
+    showView(null);
+    renderTranscript();
+
+    if (entryId) {
+        const block = transcriptContainer.querySelector(`[data-entry-id="${entryId}"]`);
+        if (block) {
+            block.scrollIntoView({ block: 'center' });
+            block.classList.add('entry-flash');
+            setTimeout(() => block.classList.remove('entry-flash'), 2000);
+        }
+    }
+}
+
+async function showCurrentSession() {
+    viewedSessionId = null;
+    highlightQuery = '';
+    fullTranscript = currentSessionId ? await getSessionEntries(currentSessionId) : [];
+    clearEditHistory();
+    const session = currentSessionId ? await getSession(currentSessionId) : null;
+    speakerNames = session?.speakerNames || {};
+    audioKept = Boolean(session?.keepAudio);
+    bookmarks = session?.bookmarks || [];
+    queuedChunks = currentSessionId ? await loadQueuedChunks(currentSessionId) : [];
+    stopPlayback();
+    sessionBanner.classList.add('hidden');
+    renderTranscript();
+}
+
+// --- Word Timings ---
+// Entries from providers that time single words (see providers.js) show each word's offset and confidence on hover
+// and underline the words the provider was unsure of (below lowConfidence).
+// Search matches may span several words, so while searching the text is marked for them instead
+function appendEntryText(el, entry) {
+    const matches = highlightQuery ? [] : matchWordsToText(entry.text, entry.words);
+    if (matches.length === 0) {
+        appendHighlightedText(el, entry.text, highlightQuery);
+        return;
+    }
+    let position = 0;
+    matches.forEach(({ word, start, end }) => {
+        el.appendChild(document.createTextNode(entry.text.slice(position, start)));
+        const wordEl = document.createElement('span');
+        wordEl.textContent = entry.text.slice(start, end);
+        wordEl.title = word.confidence == null ? formatOffset(word.start) : `${formatOffset(word.start)} · ${Math.round(word.confidence * 100)}% sure`;
+        if (word.confidence != null && word.confidence < lowConfidence) wordEl.className = 'word-unsure';
+        el.appendChild(wordEl);
+        position = end;
+    });
+    el.appendChild(document.createTextNode(entry.text.slice(position)));
+}
+
+// Builds the text from nodes (never innerHTML) and wraps each case-insensitive match in <mark>
+function appendHighlightedText(el, text, query) {
+    if (!query) {
+        el.appendChild(document.createTextNode(text));
+        return;
+    }
+    const lowerText = text.toLowerCase();
+    const needle = query.toLowerCase();
+    let position = 0;
+    let index;
+    while ((index = lowerText.indexOf(needle, position)) !== -1) {
+        el.appendChild(document.createTextNode(text.slice(position, index)));
+        const mark = document.createElement('mark');
+        mark.textContent = text.slice(index, index + needle.length);
+        el.appendChild(mark);
+        position = index + needle.length;
+    }
+    el.appendChild(document.createTextNode(text.slice(position)));
+}
+
+async function importLegacyTranscript(entries) {
+    const session = await createSession({ source: entries[0].source });
+    await Promise.all(entries.map(entry => addEntry({ ...entry, id: crypto.randomUUID(), sessionId: session.id })));
+    await updateSession(session.id, {
+        name: 'Imported transcript',
+        startedAt: entries[0].timestamp,
+        endedAt: entries[entries.length - 1].timestamp,
+    });
+    await chrome.storage.local.set({ currentSessionId: session.id });
+    await chrome.storage.local.remove('transcript');
+    return session.id;
+}
+
+// --- Summary & Questions ---
+async function renderSummaryView() {
+    const sessionId = getDisplayedSessionId();
+    const session = sessionId ? await getSession(sessionId) : null;
+    summarySessionName.textContent = session ? session.name : 'No session';
+    summarizeBtn.disabled = !session;
+    askBtn.disabled = !session;
+    if (answersSessionId !== sessionId) {
+        answerList.innerHTML = '';
+        answersSessionId = sessionId;
+    }
+    summaryContent.innerHTML = '';
+    if (session?.summary) {
+        renderSummary(session, fullTranscript.length);
+    } else {
+        summaryContent.appendChild(createHistoryNote('No summary yet. Click Summarize to create one from this transcript.'));
+    }
+}
+
+async function summarizeDisplayedSession() {
+    const sessionId = getDisplayedSessionId();
+    summarizeBtn.disabled = true;
+    summarizeBtn.textContent = 'Summarizing...';
+    const response = await chrome.runtime.sendMessage({ action: 'summarizeSession', sessionId });
+    summarizeBtn.disabled = false;
+    summarizeBtn.textContent = 'Summarize';
+    if (sessionId !== getDisplayedSessionId() || summaryView.classList.contains('hidden')) return;
+    if (response?.success) {
+        renderSummaryView();
+    } else {
+        summaryContent.innerHTML = '';
+        summaryContent.appendChild(createSummaryError(response?.error || 'Could not create the summary.'));
+    }
+}
+
+function renderSummary(session, entryCount) {
+    const { summary } = session;
+    const meta = document.createElement('p');
+    meta.className = 'text-xs text-slate-400';
+    meta.textContent = `Summarized ${new Date(summary.createdAt).toLocaleString()} from ${summary.entryCount} entries.`;
+    if (entryCount > summary.entryCount) meta.textContent += ' The transcript has grown since; summarize again to include the rest.';
+    summaryContent.appendChild(meta);
+
+    const overview = document.createElement('p');
+    overview.textContent = summary.overview;
+    summaryContent.appendChild(createSummaryHeading('Overview'));
+    summaryContent.appendChild(overview);
+
+    const sections = [
+        ['Decisions', summary.decisions, item => item.text],
+        ['Action items', summary.actionItems, item => `${item.task} (${item.owner})`],
+        ['Open questions', summary.openQuestions, item => item.text],
+    ];
+    sections.forEach(([title, items, getText]) => {
+        summaryContent.appendChild(createSummaryHeading(title));
+        if (items.length === 0) {
+            const none = document.createElement('p');
+            none.className = 'text-slate-400';
+            none.textContent = 'None';
+            summaryContent.appendChild(none);
+            return;
+        }
+        const list = document.createElement('ul');
+        list.className = 'summary-list';
+        items.forEach(item => {
+            const li = document.createElement('li');
+            li.textContent = getText(item);
+            item.refs.forEach(ref => li.appendChild(createCitation(ref, summary.citations, session.id)));
+            list.appendChild(li);
+        });
+        summaryContent.appendChild(list);
+    });
+}
+
+async function askDisplayedSession() {
+    const question = askInput.value.trim();
+    const sessionId = getDisplayedSessionId();
+    if (!question || !sessionId) return;
+    askInput.value = '';
+
+    const block = document.createElement('div');
+    block.className = 'p-3 bg-white border border-slate-200 rounded-md space-y-2';
+    const questionEl = document.createElement('p');
+    questionEl.className = 'font-semibold text-slate-800';
+    questionEl.textContent = question;
+    const answerEl = document.createElement('p');
+    answerEl.className = 'text-slate-400';
+    answerEl.textContent = 'Thinking...';
+    block.appendChild(questionEl);
+    block.appendChild(answerEl);
+    answerList.appendChild(block);
+    block.scrollIntoView({ block: 'nearest' });
+
+    const response = await chrome.runtime.sendMessage({ action: 'askTranscript', sessionId, question });
+    if (response?.success) {
+        answerEl.className = 'text-slate-700';
+        answerEl.textContent = '';
+        appendCitedText(answerEl, response.answer.answer, response.answer.citations, sessionId);
+    } else {
+        answerEl.replaceWith(createSummaryError(response?.error || 'Could not answer the question.'));
+    }
+}
+
+// Turns every [n] the answer cites into a link to that entry
+function appendCitedText(el, text, citations, sessionId) {
+    text.split(/(\[\d+\])/).forEach(part => {
+        const ref = part.match(/^\[(\d+)\]$/)?.[1];
+        if (ref && citations[ref]) el.appendChild(createCitation(Number(ref), citations, sessionId));
+        else el.appendChild(document.createTextNode(part));
+    });
+}
+
+function createCitation(ref, citations, sessionId) {
+    const link = document.createElement('button');
+    link.className = 'citation';
+    link.textContent = `[${ref}]`;
+    link.title = 'Show in transcript';
+    link.addEventListener('click', () => openSession(sessionId, { entryId: citations[ref] }));
+    return link;
+}
+
+function createSummaryHeading(text) {
+    const heading = document.createElement('p');
+    heading.className = 'summary-heading mt-2';
+    heading.textContent = text;
+    return heading;
+}
+
+function createSummaryError(text) {
+    const error = document.createElement('p');
+    error.className = 'text-red-500 text-sm p-2 bg-red-100 rounded-md';
+    error.textContent = text;
+    return error;
+}
+
 // --- UI Update Functions ---
 function updateUIForIdle() {
+    startStopBtn.disabled = Boolean(fileJob);
+    pauseResumeBtn.disabled = false;
     startStopBtn.textContent = 'Start';
     startStopBtn.classList.remove('bg-red-600', 'hover:bg-red-700');
     startStopBtn.classList.add('bg-blue-600', 'hover:bg-blue-700');
     pauseResumeBtn.classList.add('hidden');
+    bookmarkBtn.classList.add('hidden');
+    transcribeFileBtn.disabled = Boolean(fileJob);
+    transcribeFileBtn.classList.remove('hidden');
     setupSection.classList.remove('hidden');
     statusIndicator.className = 'w-3 h-3 rounded-full bg-slate-400 transition-colors';
     statusText.textContent = 'Idle';
@@ -148,12 +1821,17 @@ function updateUIForIdle() {
 }
 
 function updateUIForRecording() {
+    startStopBtn.disabled = false;
+    pauseResumeBtn.disabled = false;
     startStopBtn.textContent = 'Stop';
     startStopBtn.classList.remove('bg-blue-600', 'hover:bg-blue-700');
     startStopBtn.classList.add('bg-red-600', 'hover:bg-red-700');
     pauseResumeBtn.textContent = 'Pause';
     pauseResumeBtn.classList.remove('hidden', 'bg-yellow-500');
     pauseResumeBtn.classList.add('bg-slate-200');
+    bookmarkBtn.disabled = false;
+    bookmarkBtn.classList.remove('hidden');
+    transcribeFileBtn.classList.add('hidden');
     setupSection.classList.add('hidden');
     statusIndicator.className = 'w-3 h-3 rounded-full bg-green-500 transition-colors animate-pulse';
     statusText.textContent = 'Recording';
@@ -166,13 +1844,28 @@ function updateUIForPaused() {
     statusText.textContent = 'Paused';
 }
 
+// Starting and stopping take a moment (the offscreen document is set up or sends its last chunks); nothing can
+// be pressed meanwhile
+function updateUIForTransition(status) {
+    startStopBtn.disabled = true;
+    pauseResumeBtn.disabled = true;
+    bookmarkBtn.disabled = true;
+    transcribeFileBtn.disabled = true;
+    setupSection.classList.add('hidden');
+    statusIndicator.className = 'w-3 h-3 rounded-full bg-slate-400 transition-colors animate-pulse';
+    statusText.textContent = status;
+}
+
 // --- Timer Functions ---
+// The time is worked out from the state on every tick, so it stays right however often the recording was paused
 function startTimer() {
     if (timerInterval) clearInterval(timerInterval);
-    timerInterval = setInterval(() => {
-        secondsElapsed++;
-        timerEl.textContent = formatTime(secondsElapsed);
-    }, 1000);
+    timerInterval = setInterval(renderTimer, 1000);
+    renderTimer();
+}
+
+function renderTimer() {
+    timerEl.textContent = formatTime(Math.floor(getRecordedMs(recorder) / 1000));
 }
 
 function stopTimer() {
@@ -190,23 +1883,93 @@ function formatTime(seconds) {
 // --- Transcript & Export ---
 function renderTranscript() {
     transcriptContainer.innerHTML = '';
-    if (fullTranscript.length === 0) {
+    if (fullTranscript.length === 0 && queuedChunks.length === 0 && bookmarks.length === 0) {
         transcriptContainer.appendChild(placeholder);
         placeholder.classList.remove('hidden');
     } else {
         placeholder.classList.add('hidden');
         fullTranscript.forEach(renderSingleTranscript);
+        queuedChunks.forEach(renderQueuedChunk);
+        bookmarks.forEach(renderBookmark);
     }
+    // Keep any in-flight streaming hypotheses below the final text
+    interimEls.forEach(el => transcriptContainer.appendChild(el));
     updateExportButtons();
 }
 
+// Chunks from two streams can finish out of order, so keep the transcript sorted by capture time
+function insertTranscriptEntry(entry) {
+    const index = fullTranscript.findIndex(existing => existing.timestamp > entry.timestamp);
+    if (index === -1) {
+        fullTranscript.push(entry);
+        renderSingleTranscript(entry);
+    } else {
+        fullTranscript.splice(index, 0, entry);
+        renderTranscript();
+    }
+}
+
+function replaceTranscriptEntry(entry) {
+    fullTranscript = fullTranscript.map(existing => existing.id === entry.id ? entry : existing);
+    // A translation arriving for the line being edited must not throw the edit away
+    if (editing?.entryId === entry.id) return;
+    const block = transcriptContainer.querySelector(`[data-entry-id="${entry.id}"]`);
+    if (block) block.replaceWith(createTranscriptBlock(entry));
+}
+
+// An empty transcript removes the channel's interim line (its final result has arrived)
+function renderInterimTranscript(channel, text) {
+    const key = channel || 'default';
+    let block = interimEls.get(key);
+    if (!text) {
+        if (block) block.remove();
+        interimEls.delete(key);
+        return;
+    }
+    if (!block) {
+        block = document.createElement('div');
+        block.className = 'p-3 rounded-md entry-interim';
+        if (channel === 'mic') block.classList.add('entry-you');
+        if (channel === 'tab') block.classList.add('entry-others');
+        interimEls.set(key, block);
+    }
+    if (placeholder) placeholder.classList.add('hidden');
+    block.textContent = channel ? `${channel === 'mic' ? 'You' : 'Others'}: ${text}` : text;
+    transcriptContainer.appendChild(block);
+    transcriptContainer.scrollTop = transcriptContainer.scrollHeight;
+}
+
 function renderSingleTranscript(entry) {
     if (placeholder) placeholder.classList.add('hidden');
-    const time = new Date(entry.timestamp);
-    const timeString = time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    // Final text goes above any streaming hypotheses that are still being revised
+    const firstInterim = [...interimEls.values()].find(el => el.parentNode === transcriptContainer);
+    // Re-rendering while a line is being edited keeps its editor
+    const block = editing?.entryId === entry.id ? editing.block : createTranscriptBlock(entry);
+    transcriptContainer.insertBefore(block, firstInterim || null);
+    transcriptContainer.scrollTop = transcriptContainer.scrollHeight;
+}
+
+function createTranscriptBlock(entry) {
+    const timeString = formatLineTime(entry);
     
     const block = document.createElement('div');
     block.className = 'p-3 bg-slate-50 rounded-md';
+    block.dataset.entryId = entry.id;
+    // Tab + Microphone sessions read like a conversation: your lines on one side, the call on the other
+    if (entry.channel === 'mic') block.classList.add('entry-you');
+    if (entry.channel === 'tab') block.classList.add('entry-others');
+    if (audioKept && entry.startOffset != null) {
+        block.classList.add('entry-playable');
+        block.title = 'Click to play';
+        block.addEventListener('click', (e) => {
+            // Speaker chips, their rename field, the entry's actions, its editor and its note handle their own clicks
+            if (e.target.closest('button, input, textarea, [contenteditable], .entry-note')) return;
+            toggleEntryAudio(entry);
+        });
+    }
+    if (playback?.playingEntryId === entry.id) block.classList.add('entry-playing');
+    if (entry.highlighted) block.classList.add('entry-highlighted');
+    if (entry.highlighted || entry.note) block.classList.add('entry-marked');
     
     const header = document.createElement('div');
     header.className = 'flex justify-between items-center mb-1';
@@ -214,21 +1977,531 @@ function renderSingleTranscript(entry) {
     const timestampEl = document.createElement('p');
     timestampEl.className = 'text-xs font-semibold text-blue-600';
     timestampEl.textContent = `[${timeString}]`;
+    if (entry.language) {
+        const languageEl = document.createElement('span');
+        languageEl.className = 'text-slate-400';
+        languageEl.title = getLanguageName(entry.language);
+        languageEl.textContent = entry.translation
+            ? ` ${entry.language.toUpperCase()} → ${entry.translation.language.toUpperCase()}`
+            : ` ${entry.language.toUpperCase()}`;
+        timestampEl.appendChild(languageEl);
+    }
+    if (entry.edited) {
+        const editedEl = document.createElement('span');
+        editedEl.className = 'entry-edited';
+        editedEl.title = entry.originalText ? `Transcribed as: ${entry.originalText}` : '';
+        editedEl.textContent = ' edited';
+        timestampEl.appendChild(editedEl);
+    }
+    if (entry.redacted) {
+        const redactedEl = document.createElement('span');
+        redactedEl.className = 'entry-redacted';
+        redactedEl.title = entry.unredactedText ? `Before redaction: ${entry.unredactedText}` : 'Personal data was removed from this line';
+        redactedEl.textContent = ' redacted';
+        timestampEl.appendChild(redactedEl);
+    }
     
-    const sourceEl = document.createElement('p');
-    sourceEl.className = 'text-xs font-medium text-slate-500 px-2 py-0.5 bg-slate-100 rounded-full';
-    sourceEl.textContent = entry.source === 'mic' ? 'Microphone' : 'Tab Audio';
+    const sourceEl = entry.speaker ? createSpeakerChip(entry.speaker) : document.createElement('p');
+    if (!entry.speaker) {
+        sourceEl.className = entry.channel
+            ? 'text-xs font-semibold text-slate-700'
+            : 'text-xs font-medium text-slate-500 px-2 py-0.5 bg-slate-100 rounded-full';
+        sourceEl.textContent = getSourceLabel(entry);
+    }
     
     const textEl = document.createElement('p');
-    textEl.className = 'text-slate-700';
-    textEl.textContent = entry.text;
+    textEl.className = 'text-slate-700 entry-text';
+    appendEntryText(textEl, entry);
+    textEl.addEventListener('dblclick', () => startEntryEdit(entry.id));
     
+    const headerEnd = document.createElement('div');
+    headerEnd.className = 'flex items-center space-x-2';
+    headerEnd.appendChild(createEntryActions(entry));
+    headerEnd.appendChild(sourceEl);
     header.appendChild(timestampEl);
-    header.appendChild(sourceEl);
+    header.appendChild(headerEnd);
     block.appendChild(header);
     block.appendChild(textEl);
-    transcriptContainer.appendChild(block);
-    transcriptContainer.scrollTop = transcriptContainer.scrollHeight;
+    if (entry.translation) {
+        const translationEl = document.createElement('p');
+        translationEl.className = 'entry-translation';
+        appendHighlightedText(translationEl, entry.translation.text, highlightQuery);
+        block.appendChild(translationEl);
+    }
+    if (entry.note) {
+        const noteEl = document.createElement('p');
+        noteEl.className = 'entry-note';
+        noteEl.title = 'Click to edit the note';
+        noteEl.textContent = entry.note;
+        noteEl.addEventListener('click', () => startNoteEdit(entry.id));
+        block.appendChild(noteEl);
+    }
+    return block;
+}
+
+// A transcribed file's lines show where they are in the file, recorded ones the time of day
+function formatLineTime(entry) {
+    if (entry.source === 'file' && entry.startOffset != null) return formatOffset(entry.startOffset);
+    return new Date(entry.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+// --- Highlights & Notes ---
+function toggleHighlight(entryId) {
+    const entry = fullTranscript.find(existing => existing.id === entryId);
+    if (entry) annotateEntry(entryId, { highlighted: !entry.highlighted });
+}
+
+// The note is edited below the line: Enter or leaving the field saves it, Shift+Enter starts a new line, Escape
+// cancels, and an empty note is removed
+function startNoteEdit(entryId) {
+    const block = transcriptContainer.querySelector(`[data-entry-id="${entryId}"]`);
+    const entry = fullTranscript.find(existing => existing.id === entryId);
+    if (!block || !entry) return;
+    let input = block.querySelector('.entry-note-input');
+    if (!input) {
+        input = document.createElement('textarea');
+        input.className = 'entry-note-input';
+        input.rows = 2;
+        input.placeholder = 'Note';
+        input.value = entry.note || '';
+        let done = false;
+        const finish = (save) => {
+            if (done) return;
+            done = true;
+            // Blank lines would split the note from its line in the text exports
+            const note = input.value.trim().replace(/\n\s*\n/g, '\n') || null;
+            if (save && note !== (entry.note || null)) annotateEntry(entryId, { note });
+            else replaceTranscriptEntry(entry);
+        };
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+        block.querySelector('.entry-note')?.remove();
+        block.appendChild(input);
+    }
+    input.focus();
+}
+
+// Highlights and notes are not transcript edits, so undo does not take them back. The copies of the entry kept
+// in the edit history get them too, so undoing an edit around them keeps them on the line.
+async function annotateEntry(entryId, changes) {
+    let updated;
+    try {
+        updated = await updateEntry(entryId, changes);
+    } catch (error) {
+        console.error("Saving the highlight or note failed:", error);
+        displayError("Could not save the highlight or note.");
+        return;
+    }
+    if (!updated) return;
+    [...editHistory.undo, ...editHistory.redo].forEach(change => {
+        [change.removed, change.added].forEach(list => list.forEach((entry, index) => {
+            if (entry.id === entryId) list[index] = { ...entry, ...changes };
+        }));
+    });
+    replaceTranscriptEntry(updated);
+}
+
+// --- Transcript Editing ---
+// Every change replaces some entries with others (an edit replaces one with its corrected copy, a merge two with
+// one, a split one with two, a delete one with none). The same record, reversed, undoes it.
+const EDIT_HISTORY_SIZE = 100;
+
+function createEntryActions(entry) {
+    const actions = document.createElement('div');
+    actions.className = 'entry-actions flex items-center space-x-1';
+    const highlightBtn = createEntryActionButton('★', entry.highlighted ? 'Remove highlight' : 'Highlight line', () => toggleHighlight(entry.id));
+    if (entry.highlighted) highlightBtn.classList.add('entry-action-active');
+    actions.appendChild(highlightBtn);
+    actions.appendChild(createEntryActionButton('🗒', entry.note ? 'Edit note' : 'Add a note', () => startNoteEdit(entry.id)));
+    actions.appendChild(createEntryActionButton('✎', 'Edit text (double-click also works)', () => startEntryEdit(entry.id)));
+    actions.appendChild(createEntryActionButton('⤓', 'Merge with the next line', () => mergeWithNext(entry.id)));
+    actions.appendChild(createEntryActionButton('✕', 'Delete line', () => deleteTranscriptEntry(entry.id)));
+    return actions;
+}
+
+function createEntryActionButton(symbol, title, onClick) {
+    const button = document.createElement('button');
+    button.className = 'entry-action';
+    button.title = title;
+    button.textContent = symbol;
+    // Keeps the focus (and the cursor) in an entry being edited
+    button.addEventListener('mousedown', (e) => e.preventDefault());
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function startEntryEdit(entryId) {
+    if (editing) finishEntryEdit(editing.entryId === entryId ? 'cancel' : 'save');
+    const block = transcriptContainer.querySelector(`[data-entry-id="${entryId}"]`);
+    const entry = fullTranscript.find(existing => existing.id === entryId);
+    if (!block || !entry) return;
+    const textEl = block.querySelector('.entry-text');
+    // Plain text without search highlights
+    textEl.textContent = entry.text;
+    textEl.contentEditable = 'plaintext-only';
+    block.classList.add('entry-editing');
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'flex items-center space-x-2 mt-2';
+    toolbar.appendChild(createEntryActionButton('Save', 'Save (Enter)', () => finishEntryEdit('save')));
+    toolbar.appendChild(createEntryActionButton('Split', 'Split the line at the cursor', () => finishEntryEdit('split')));
+    toolbar.appendChild(createEntryActionButton('Cancel', 'Cancel (Escape)', () => finishEntryEdit('cancel')));
+    block.appendChild(toolbar);
+
+    textEl.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            finishEntryEdit('save');
+        } else if (e.key === 'Escape') {
+            finishEntryEdit('cancel');
+        }
+    });
+    textEl.addEventListener('blur', () => finishEntryEdit('save'));
+    editing = { entryId, block, textEl };
+    textEl.focus();
+    window.getSelection().selectAllChildren(textEl);
+    window.getSelection().collapseToEnd();
+}
+
+// action is 'save', 'split' (at the cursor) or 'cancel'
+function finishEntryEdit(action) {
+    const current = editing;
+    if (!current) return;
+    editing = null;
+    const entry = fullTranscript.find(existing => existing.id === current.entryId);
+    const text = current.textEl.textContent.replace(/\s+/g, ' ').trim();
+    let splitAt = -1;
+    if (action === 'split') {
+        const selection = window.getSelection();
+        if (selection.rangeCount && current.textEl.contains(selection.focusNode)) {
+            const range = document.createRange();
+            range.setStart(current.textEl, 0);
+            range.setEnd(selection.focusNode, selection.focusOffset);
+            // Measured on the same whitespace-collapsed text the halves are cut from
+            splitAt = range.toString().replace(/\s+/g, ' ').trimStart().length;
+        }
+    }
+    const block = entry ? createTranscriptBlock(entry) : null;
+    if (block) current.block.replaceWith(block);
+    else current.block.remove();
+    if (!entry || action === 'cancel') return;
+
+    if (!text) {
+        deleteTranscriptEntry(entry.id);
+    } else if (action === 'split' && splitAt > 0 && splitAt < text.length) {
+        applyTranscriptEdit({ removed: [entry], added: splitEntry(entry, text, splitAt) });
+    } else if (text !== entry.text) {
+        applyTranscriptEdit({ removed: [entry], added: [markEdited(entry, { text })] });
+    }
+}
+
+function mergeWithNext(entryId) {
+    const index = fullTranscript.findIndex(entry => entry.id === entryId);
+    if (index === -1 || index === fullTranscript.length - 1) return;
+    const [first, second] = fullTranscript.slice(index, index + 2);
+    applyTranscriptEdit({ removed: [first, second], added: [mergeEntries(first, second)] });
+}
+
+function deleteTranscriptEntry(entryId) {
+    const entry = fullTranscript.find(existing => existing.id === entryId);
+    if (entry) applyTranscriptEdit({ removed: [entry], added: [] });
+}
+
+// The text as transcribed is kept the first time an entry is changed. The text from before redaction no longer
+// matches new text, and may hold what the user just removed, so it goes when the text changes.
+function markEdited(entry, changes) {
+    const unredactedText = changes.text != null && changes.text !== entry.text ? null : entry.unredactedText;
+    return { ...entry, edited: true, originalText: entry.originalText ?? entry.text, unredactedText, ...changes };
+}
+
+// The second entry's text, timing, segments and translation are appended to the first's; the first keeps its
+// speaker, channel and audio
+function mergeEntries(first, second) {
+    const offsets = [first, second].filter(entry => entry.startOffset != null);
+    const translation = first.translation && second.translation && first.translation.language === second.translation.language
+        ? { ...first.translation, text: `${first.translation.text} ${second.translation.text}` }
+        : null;
+    return {
+        ...markEdited(first, { text: `${first.text} ${second.text}` }),
+        originalText: [first, second].map(entry => entry.originalText ?? entry.text).filter(Boolean).join(' '),
+        startOffset: offsets.length ? Math.min(...offsets.map(entry => entry.startOffset)) : null,
+        endOffset: offsets.length ? Math.max(...offsets.map(entry => entry.endOffset)) : null,
+        segments: [...(first.segments || []), ...(second.segments || [])],
+        words: [...(first.words || []), ...(second.words || [])],
+        redacted: Boolean(first.redacted || second.redacted),
+        unredactedText: first.unredactedText || second.unredactedText
+            ? [first, second].map(entry => entry.unredactedText || entry.text).join(' ')
+            : null,
+        translation,
+        confidence: first.confidence != null && second.confidence != null
+            ? Math.min(first.confidence, second.confidence)
+            : first.confidence ?? second.confidence ?? null,
+        highlighted: Boolean(first.highlighted || second.highlighted),
+        note: [first.note, second.note].filter(Boolean).join('\n') || null,
+    };
+}
+
+// Cuts text (the entry's possibly edited text) at index. The cut's time is the start of the first timed word after
+// it; without one it is estimated from its position in the text, then moved to the nearest segment boundary when
+// the provider returned segments. The second half gets a new id and a matching timestamp.
+function splitEntry(entry, text, index) {
+    const hasOffsets = entry.startOffset != null && entry.endOffset != null;
+    const segments = entry.segments || [];
+    const words = entry.words || [];
+    let cutOffset = null;
+    if (hasOffsets) {
+        const nextWord = matchWordsToText(text, words).find(match => match.start >= index);
+        const estimate = entry.startOffset + (entry.endOffset - entry.startOffset) * index / text.length;
+        const boundaries = segments.slice(0, -1).map(segment => segment.end);
+        cutOffset = Math.round(nextWord ? nextWord.word.start : boundaries.length
+            ? boundaries.reduce((best, boundary) => Math.abs(boundary - estimate) < Math.abs(best - estimate) ? boundary : best)
+            : estimate);
+    }
+    const cutTimestamp = new Date(Date.parse(entry.timestamp) + (hasOffsets ? cutOffset - entry.startOffset : 1)).toISOString();
+    // An unchanged text splits its original with it; after a correction the first half keeps the whole original
+    const original = entry.originalText ?? entry.text;
+    const [firstOriginal, secondOriginal] = original === text
+        ? [text.slice(0, index).trim(), text.slice(index).trim()]
+        : [original, ''];
+    // The translation covers the whole line, so neither half keeps it
+    const first = markEdited(entry, {
+        originalText: firstOriginal,
+        text: text.slice(0, index).trim(),
+        endOffset: hasOffsets ? cutOffset : entry.endOffset,
+        segments: hasOffsets ? segments.filter(segment => segment.start < cutOffset) : segments,
+        words: hasOffsets ? words.filter(word => word.start < cutOffset) : words,
+        translation: null,
+    });
+    const second = {
+        ...first,
+        id: crypto.randomUUID(),
+        timestamp: cutTimestamp,
+        text: text.slice(index).trim(),
+        originalText: secondOriginal,
+        startOffset: hasOffsets ? cutOffset : entry.startOffset,
+        endOffset: entry.endOffset,
+        segments: hasOffsets ? segments.filter(segment => segment.start >= cutOffset) : [],
+        words: hasOffsets ? words.filter(word => word.start >= cutOffset) : [],
+        note: null, // The note stays with the first half
+        unredactedText: null, // The text from before redaction matches neither half (see markEdited)
+    };
+    return [first, second];
+}
+
+async function applyTranscriptEdit(change, { fromHistory = false } = {}) {
+    try {
+        await replaceEntries(change.removed.map(entry => entry.id), change.added);
+    } catch (error) {
+        console.error("Saving the transcript edit failed:", error);
+        displayError("Could not save the change to the transcript.");
+        return;
+    }
+    const removedIds = new Set(change.removed.map(entry => entry.id));
+    fullTranscript = [...fullTranscript.filter(entry => !removedIds.has(entry.id)), ...change.added]
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    if (!fromHistory) {
+        editHistory.undo.push(change);
+        if (editHistory.undo.length > EDIT_HISTORY_SIZE) editHistory.undo.shift();
+        editHistory.redo = [];
+    }
+    renderTranscript();
+}
+
+async function undoTranscriptEdit() {
+    const change = editHistory.undo.pop();
+    if (!change) return;
+    editHistory.redo.push(change);
+    await applyTranscriptEdit({ removed: change.added, added: change.removed }, { fromHistory: true });
+}
+
+async function redoTranscriptEdit() {
+    const change = editHistory.redo.pop();
+    if (!change) return;
+    editHistory.undo.push(change);
+    await applyTranscriptEdit(change, { fromHistory: true });
+}
+
+function clearEditHistory() {
+    if (editing) finishEntryEdit('cancel');
+    editHistory.undo = [];
+    editHistory.redo = [];
+    updateExportButtons();
+}
+
+// --- Queued Chunks ---
+// Audio that could not be transcribed yet (offline, rate limited, or failed) is shown where its text will go
+async function loadQueuedChunks(sessionId) {
+    return (await getQueuedChunks(sessionId)).map(describeQueuedChunk);
+}
+
+function applyQueueUpdate(item) {
+    if (item.sessionId !== getDisplayedSessionId()) return;
+    queuedChunks = queuedChunks.filter(existing => existing.id !== item.id);
+    if (item.status === 'pending' || item.status === 'failed') {
+        queuedChunks.push(item);
+        queuedChunks.sort((a, b) => a.capturedAt.localeCompare(b.capturedAt));
+    }
+    if (item.status === 'discarded') {
+        transcriptContainer.querySelector(`[data-queue-id="${item.id}"]`)?.remove();
+        return;
+    }
+    renderQueuedChunk(item);
+    // The text is already in place by the time a chunk is synced, so its note only lingers for a moment
+    if (item.status === 'synced') {
+        setTimeout(() => transcriptContainer.querySelector(`[data-queue-id="${item.id}"]`)?.remove(), 2000);
+    }
+}
+
+// Replaces the chunk's block when it is shown, otherwise inserts it before the first later entry
+function renderQueuedChunk(item) {
+    const block = createQueuedChunkBlock(item);
+    const existing = transcriptContainer.querySelector(`[data-queue-id="${item.id}"]`);
+    if (existing) {
+        existing.replaceWith(block);
+        return;
+    }
+    insertTimelineBlock(block, item.capturedAt);
+}
+
+// Places a block that is not an entry (a queued chunk, a bookmark) before the first entry after timestamp
+function insertTimelineBlock(block, timestamp) {
+    placeholder.classList.add('hidden');
+    const next = fullTranscript.find(entry => entry.timestamp > timestamp);
+    const before = next
+        ? transcriptContainer.querySelector(`[data-entry-id="${next.id}"]`)
+        : [...interimEls.values()].find(el => el.parentNode === transcriptContainer);
+    transcriptContainer.insertBefore(block, before || null);
+}
+
+function createQueuedChunkBlock(item) {
+    const block = document.createElement('div');
+    block.className = `p-3 rounded-md entry-queued entry-queued-${item.status}`;
+    block.dataset.queueId = item.id;
+    if (item.channel === 'mic') block.classList.add('entry-you');
+    if (item.channel === 'tab') block.classList.add('entry-others');
+
+    const header = document.createElement('div');
+    header.className = 'flex justify-between items-center mb-1';
+    const timestampEl = document.createElement('p');
+    timestampEl.className = 'text-xs font-semibold text-slate-500';
+    timestampEl.textContent = `[${formatLineTime({ timestamp: item.capturedAt, source: item.source, startOffset: item.startOffset })}]`;
+    const statusEl = document.createElement('p');
+    statusEl.className = 'text-xs font-medium text-slate-500 px-2 py-0.5 bg-slate-100 rounded-full';
+    statusEl.textContent = { pending: 'Pending', failed: 'Failed', synced: 'Synced' }[item.status];
+    header.appendChild(timestampEl);
+    header.appendChild(statusEl);
+
+    const textEl = document.createElement('p');
+    textEl.className = 'text-sm text-slate-500';
+    if (item.status === 'synced') {
+        textEl.textContent = 'Transcribed.';
+    } else if (item.status === 'failed') {
+        textEl.textContent = `This audio could not be transcribed. ${item.lastError || ''}`;
+    } else {
+        textEl.textContent = item.attempts > 0
+            ? `Waiting to retry (attempt ${item.attempts} failed: ${item.lastError}).`
+            : 'Waiting for a connection to transcribe this audio.';
+    }
+    block.appendChild(header);
+    block.appendChild(textEl);
+
+    if (item.status !== 'synced') {
+        const actions = document.createElement('div');
+        actions.className = 'flex items-center space-x-2 mt-2';
+        if (item.status === 'failed') {
+            actions.appendChild(createHistoryButton('Retry', () => chrome.runtime.sendMessage({ action: 'retryQueuedChunk', id: item.id })));
+        }
+        actions.appendChild(createHistoryButton('Discard', () => chrome.runtime.sendMessage({ action: 'discardQueuedChunk', id: item.id })));
+        block.appendChild(actions);
+    }
+    return block;
+}
+
+// --- Bookmarks ---
+// Added with the "Bookmark the current moment" shortcut while recording
+function renderBookmark(bookmark) {
+    const block = document.createElement('div');
+    block.className = 'entry-bookmark flex items-center justify-between';
+    block.dataset.bookmarkId = bookmark.id;
+    const label = document.createElement('span');
+    label.textContent = `Bookmark at ${formatOffset(bookmark.offset)}`;
+    block.appendChild(label);
+    block.appendChild(createEntryActionButton('✕', 'Remove bookmark', () => removeBookmark(bookmark.id)));
+    insertTimelineBlock(block, bookmark.timestamp);
+}
+
+async function removeBookmark(bookmarkId) {
+    const sessionId = getDisplayedSessionId();
+    const session = sessionId && await updateSession(sessionId, ({ bookmarks: saved = [] }) => ({
+        bookmarks: saved.filter(bookmark => bookmark.id !== bookmarkId),
+    }));
+    if (!session || sessionId !== getDisplayedSessionId()) return;
+    bookmarks = session.bookmarks;
+    transcriptContainer.querySelector(`[data-bookmark-id="${bookmarkId}"]`)?.remove();
+}
+
+// --- Speakers ---
+const SPEAKER_COLORS = [
+    ['#dbeafe', '#1d4ed8'], ['#dcfce7', '#15803d'], ['#fef3c7', '#b45309'], ['#fce7f3', '#be185d'],
+    ['#ede9fe', '#6d28d9'], ['#cffafe', '#0e7490'], ['#ffedd5', '#c2410c'], ['#e2e8f0', '#334155'],
+];
+
+// Clicking the chip renames the speaker across the whole session
+function createSpeakerChip(speakerId) {
+    const [background, color] = SPEAKER_COLORS[(parseInt(speakerId.slice(1), 10) - 1) % SPEAKER_COLORS.length] || SPEAKER_COLORS[0];
+    const chip = document.createElement('button');
+    chip.className = 'speaker-chip';
+    chip.style.backgroundColor = background;
+    chip.style.color = color;
+    chip.title = 'Rename speaker';
+    chip.textContent = getSpeakerName(speakerId, speakerNames);
+    chip.addEventListener('click', () => startSpeakerRename(chip, speakerId));
+    return chip;
+}
+
+function startSpeakerRename(chip, speakerId) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = speakerNames[speakerId] || '';
+    input.placeholder = getSpeakerName(speakerId);
+    input.className = 'speaker-chip-input';
+    let saved = false;
+    const save = async () => {
+        if (saved) return;
+        saved = true;
+        await renameSpeaker(speakerId, input.value.trim());
+    };
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') save();
+        if (e.key === 'Escape') {
+            saved = true;
+            renderTranscript();
+        }
+    });
+    input.addEventListener('blur', save);
+    chip.replaceWith(input);
+    input.focus();
+    input.select();
+}
+
+// An empty name goes back to the default "Speaker N"
+async function renameSpeaker(speakerId, name) {
+    const sessionId = getDisplayedSessionId();
+    const session = sessionId && await updateSession(sessionId, ({ speakerNames: names = {} }) => {
+        const updated = { ...names };
+        if (name) updated[speakerId] = name;
+        else delete updated[speakerId];
+        return { speakerNames: updated };
+    });
+    if (session && sessionId === getDisplayedSessionId()) speakerNames = session.speakerNames;
+    renderTranscript();
 }
 
 function displayError(message) {
@@ -243,24 +2516,171 @@ function displayError(message) {
 function updateExportButtons() {
     const hasTranscript = fullTranscript.length > 0;
     copyBtn.disabled = !hasTranscript;
-    downloadTxtBtn.disabled = !hasTranscript;
+    downloadButtons.forEach(button => { button.disabled = !hasTranscript; });
+    downloadAudioBtn.classList.toggle('hidden', !audioKept);
+    downloadAudioBtn.disabled = !hasTranscript;
+    exportTextRow.classList.toggle('hidden', !fullTranscript.some(entry => entry.translation));
+    undoBtn.disabled = editHistory.undo.length === 0;
+    redoBtn.disabled = editHistory.redo.length === 0;
 }
 
 function copyTranscript() {
-    const textToCopy = fullTranscript.map(entry => `[${new Date(entry.timestamp).toLocaleTimeString()}] ${entry.text}`).join('\n\n');
+    const textToCopy = fullTranscript.map(entry => `[${formatEntryTime(entry)}] ${getSpeakerPrefix(entry, speakerNames)}${getEntryText(entry, exportTextSelect.value)}`).join('\n\n');
     navigator.clipboard.writeText(textToCopy).then(() => {
         copyBtn.textContent = 'Copied!';
         setTimeout(() => { copyBtn.textContent = 'Copy'; }, 2000);
     });
 }
 
-function downloadTranscript(format) {
-    const content = fullTranscript.map(entry => `[${new Date(entry.timestamp).toLocaleTimeString()}] (${entry.source}) ${entry.text}`).join('\n\n');
-    const blob = new Blob([content], { type: 'text/plain' });
+async function downloadTranscript(format) {
+    const { extension, mimeType, format: formatTranscript } = EXPORT_FORMATS[format];
+    const session = await getSession(getDisplayedSessionId());
+    if (!session) return;
+    const content = formatTranscript(session, fullTranscript, { textMode: exportTextSelect.value });
+    const blob = new Blob([content], { type: mimeType });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `transcript_${Date.now()}.txt`;
+    a.download = `transcript_${Date.now()}.${extension}`;
     a.click();
     URL.revokeObjectURL(url);
 }
+
+// --- Kept Audio ---
+// Playback decodes the session's stored recordings (see db.js) with Web Audio and plays them back to back from
+// the clicked line, skipping the silences between chunks. Each animation frame maps the playback position back
+// to a session offset to highlight the line being spoken.
+const AUDIO_DOWNLOAD_SAMPLE_RATE = 16000; // Hz, mono; plenty for speech and a quarter of the size of 48 kHz
+const DECODED_AUDIO_CACHE_SIZE = 4;
+const decodedAudio = new Map(); // audio record id -> AudioBuffer, oldest first
+
+// Clicking the line that is playing stops playback; any other line plays from there
+function toggleEntryAudio(entry) {
+    if (playback && playback.playingEntryId === entry.id) {
+        stopPlayback();
+        return;
+    }
+    playEntryAudio(entry).catch(error => {
+        console.error("Audio playback failed:", error);
+        stopPlayback();
+        displayError("Could not play the kept audio.");
+    });
+}
+
+async function playEntryAudio(entry) {
+    stopPlayback();
+    // Tab + Microphone sessions keep one recording per channel; play the one this line was heard on
+    const records = (await getSessionAudio(entry.sessionId)).filter(record => !entry.channel || record.channel === entry.channel);
+    const first = records.findIndex(record => record.id === entry.audioChunkId
+        || (entry.startOffset >= record.startOffset && entry.startOffset < record.endOffset));
+    if (first === -1) {
+        displayError("No audio was kept for this line.");
+        return;
+    }
+
+    const current = { context: new AudioContext(), channel: entry.channel, sources: [], spans: [], playingEntryId: entry.id };
+    playback = current;
+    highlightPlayingEntry(current);
+
+    let when = current.context.currentTime;
+    for (let i = first; i < records.length; i++) {
+        // Decoded while the previous recording is still playing
+        const buffer = await decodeAudioRecord(current.context, records[i]);
+        if (playback !== current) return;
+        const offset = i === first ? Math.max(0, entry.startOffset - records[i].startOffset) / 1000 : 0;
+        if (offset >= buffer.duration) continue;
+
+        const source = current.context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(current.context.destination);
+        when = Math.max(when, current.context.currentTime);
+        source.start(when, offset);
+        current.sources.push(source);
+        current.spans.push({ when, sessionOffset: records[i].startOffset + offset * 1000 });
+        when += buffer.duration - offset;
+        // Stay about a second ahead, so only the next recording is decoded early
+        await waitForAudioTime(current, when - 1);
+        if (playback !== current) return;
+    }
+    await waitForAudioTime(current, when);
+    if (playback === current) stopPlayback();
+}
+
+async function decodeAudioRecord(context, record) {
+    if (!decodedAudio.has(record.id)) {
+        decodedAudio.set(record.id, await context.decodeAudioData(await record.blob.arrayBuffer()));
+        if (decodedAudio.size > DECODED_AUDIO_CACHE_SIZE) decodedAudio.delete(decodedAudio.keys().next().value);
+    }
+    return decodedAudio.get(record.id);
+}
+
+function waitForAudioTime(current, time) {
+    const delay = (time - current.context.currentTime) * 1000;
+    return delay > 0 ? new Promise(resolve => setTimeout(resolve, delay)) : Promise.resolve();
+}
+
+function highlightPlayingEntry(current) {
+    if (playback !== current) return;
+    const now = current.context.currentTime;
+    const span = current.spans.findLast(candidate => candidate.when <= now);
+    if (span) {
+        const offset = span.sessionOffset + (now - span.when) * 1000;
+        const spoken = fullTranscript.find(entry => (!current.channel || entry.channel === current.channel)
+            && entry.startOffset <= offset && offset < entry.endOffset);
+        // Between lines the last one stays highlighted
+        if (spoken) current.playingEntryId = spoken.id;
+    }
+    transcriptContainer.querySelectorAll('.entry-playing').forEach(block => {
+        if (block.dataset.entryId !== current.playingEntryId) block.classList.remove('entry-playing');
+    });
+    const block = transcriptContainer.querySelector(`[data-entry-id="${current.playingEntryId}"]`);
+    if (block && !block.classList.contains('entry-playing')) {
+        block.classList.add('entry-playing');
+        block.scrollIntoView({ block: 'nearest' });
+    }
+    requestAnimationFrame(() => highlightPlayingEntry(current));
+}
+
+function stopPlayback() {
+    if (!playback) return;
+    playback.sources.forEach(source => source.stop());
+    playback.context.close();
+    playback = null;
+    transcriptContainer.querySelectorAll('.entry-playing').forEach(block => block.classList.remove('entry-playing'));
+}
+
+// Mixes every kept recording onto one timeline at its session offset, so channels overlap as they were heard
+// and the gaps between chunks become silence
+async function downloadSessionAudio() {
+    const records = await getSessionAudio(getDisplayedSessionId());
+    if (records.length === 0) {
+        displayError("No audio was kept for this session.");
+        return;
+    }
+    downloadAudioBtn.disabled = true;
+    downloadAudioBtn.textContent = 'Preparing...';
+    try {
+        const toSample = (ms) => Math.round((ms / 1000) * AUDIO_DOWNLOAD_SAMPLE_RATE);
+        // A little room for recordings that decode slightly longer than their offsets say
+        const timeline = new Float32Array(toSample(Math.max(...records.map(record => record.endOffset)) + 2000));
+        for (const record of records) {
+            const samples = await decodeToMono(await record.blob.arrayBuffer(), AUDIO_DOWNLOAD_SAMPLE_RATE);
+            const start = toSample(record.startOffset);
+            const length = Math.min(samples.length, timeline.length - start);
+            for (let i = 0; i < length; i++) timeline[start + i] += samples[i];
+        }
+        const end = timeline.findLastIndex(sample => sample !== 0) + 1;
+        const url = URL.createObjectURL(encodeWav(timeline.subarray(0, end), AUDIO_DOWNLOAD_SAMPLE_RATE));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `audio_${Date.now()}.wav`;
+        a.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error("Audio download failed:", error);
+        displayError("Could not prepare the kept audio.");
+    } finally {
+        downloadAudioBtn.textContent = 'Audio';
+        updateExportButtons();
+    }
+}
@@ -0,0 +1,131 @@
+// speakers.js
+// Speaker diarization for the background worker.
+// Providers that label speakers (Deepgram, Gemini) split a chunk into turns, but their labels only hold within
+// one request. To keep ids stable across a whole session, each turn is matched against per-session speaker
+// profiles built from a local embedding: the long-term average spectrum of the turn, measured by the offscreen
+// document while it recorded. Without those features (streaming), the provider's own labels are used.
+
+const SPEAKER_SIMILARITY_THRESHOLD = 0.9; // Cosine similarity above which a turn joins an existing speaker
+const MAX_SPEAKERS = 8;                    // Past this, turns join the closest speaker instead of creating one
+const MIN_EMBEDDING_FRAMES = 3;            // Feature frames (~200 ms each) needed for a usable embedding
+
+// --- Turns ---
+// Splits a provider result into speaker turns. start/end are seconds from the start of the chunk, or null when
+// the provider gave none (Gemini), in which case the chunk's duration is shared out by text length.
+function splitIntoTurns(result, chunkSeconds) {
+    const labelled = result.segments.filter(segment => segment.speaker != null);
+    if (labelled.length === 0) {
+        return [{ providerSpeaker: null, text: result.text, start: 0, end: chunkSeconds, segments: result.segments }];
+    }
+
+    const turns = [];
+    labelled.forEach(segment => {
+        const last = turns[turns.length - 1];
+        if (last && last.providerSpeaker === segment.speaker) {
+            last.text = `${last.text} ${segment.text}`;
+            last.end = segment.end;
+            last.segments.push(segment);
+        } else {
+            turns.push({ providerSpeaker: segment.speaker, text: segment.text, start: segment.start, end: segment.end, segments: [segment] });
+        }
+    });
+
+    if (turns.some(turn => turn.start == null)) {
+        const totalLength = turns.reduce((sum, turn) => sum + turn.text.length, 0) || 1;
+        let position = 0;
+        turns.forEach(turn => {
+            turn.start = (position / totalLength) * chunkSeconds;
+            position += turn.text.length;
+            turn.end = (position / totalLength) * chunkSeconds;
+            turn.segments = [];
+        });
+    }
+    return turns;
+}
+
+// --- Embeddings ---
+// features are [{ t, v }]: t is the session offset in ms, v the band levels in dB
+function embedFrames(frames) {
+    if (frames.length < MIN_EMBEDDING_FRAMES) return null;
+    const size = frames[0].v.length;
+    const mean = new Array(size).fill(0);
+    frames.forEach(frame => frame.v.forEach((value, i) => { mean[i] += value / frames.length; }));
+    // Remove the overall level so loudness does not decide who is speaking
+    const level = mean.reduce((sum, value) => sum + value, 0) / size;
+    return normalizeVector(mean.map(value => value - level));
+}
+
+function normalizeVector(vector) {
+    const norm = Math.hypot(...vector) || 1;
+    return vector.map(value => value / norm);
+}
+
+function cosineSimilarity(a, b) {
+    return a.reduce((sum, value, i) => sum + value * b[i], 0);
+}
+
+// Mutates profiles and returns the id of the speaker the embedding was matched to
+function matchSpeakerProfile(profiles, embedding) {
+    let best = null;
+    let bestScore = -Infinity;
+    profiles.forEach(profile => {
+        const score = cosineSimilarity(profile.centroid, embedding);
+        if (score > bestScore) {
+            best = profile;
+            bestScore = score;
+        }
+    });
+
+    if (best && (bestScore >= SPEAKER_SIMILARITY_THRESHOLD || profiles.length >= MAX_SPEAKERS)) {
+        best.centroid = normalizeVector(best.centroid.map((value, i) => (value * best.count + embedding[i]) / (best.count + 1)));
+        best.count++;
+        return best.id;
+    }
+    const id = `S${profiles.length + 1}`;
+    profiles.push({ id, centroid: embedding, count: 1 });
+    return id;
+}
+
+// "Speaker 2", 1 or "B" from a provider become stable ids such as S2
+function providerLabelToSpeakerId(label, fallbackIndex) {
+    if (typeof label === 'number') return `S${label + 1}`;
+    const digits = String(label).match(/\d+/);
+    return `S${digits ? Number(digits[0]) : fallbackIndex + 1}`;
+}
+
+// --- Session Assignment ---
+// Sets turn.speaker on every turn. Turns with the same provider label share one embedding, built from all
+// their frames, which is then matched against the session's profiles inside one IndexedDB transaction.
+async function assignSpeakers(sessionId, turns, features) {
+    const groups = new Map();
+    turns.forEach(turn => {
+        const key = turn.providerSpeaker ?? 'chunk';
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(turn);
+    });
+
+    const embeddings = new Map();
+    if (features?.length) {
+        groups.forEach((groupTurns, key) => {
+            const frames = features.filter(frame => groupTurns.some(turn => frame.t >= turn.startOffset && frame.t <= turn.endOffset));
+            const embedding = embedFrames(frames);
+            if (embedding) embeddings.set(key, embedding);
+        });
+    }
+
+    const speakerIds = new Map();
+    if (embeddings.size > 0) {
+        await updateSession(sessionId, session => {
+            const profiles = session.speakerProfiles || [];
+            embeddings.forEach((embedding, key) => speakerIds.set(key, matchSpeakerProfile(profiles, embedding)));
+            return { speakerProfiles: profiles };
+        });
+    }
+
+    [...groups.keys()].forEach((key, index) => {
+        if (speakerIds.has(key)) return;
+        speakerIds.set(key, key === 'chunk' ? null : providerLabelToSpeakerId(key, index));
+    });
+    turns.forEach(turn => { turn.speaker = speakerIds.get(turn.providerSpeaker ?? 'chunk'); });
+    return turns;
+}
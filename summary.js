@@ -0,0 +1,180 @@
+// summary.js
+// Meeting summaries and questions over a session's transcript, answered by Gemini in the background worker.
+// Transcript lines are numbered so the model can cite them; the numbers are turned back into entry ids before
+// anything is returned. Transcripts longer than one request are handled part by part (map-reduce).
+
+const SUMMARY_PART_CHARS = 24000; // Roughly 6k tokens of transcript per request, well inside the context window
+
+const CITED_ITEM_SCHEMA = {
+    type: 'OBJECT',
+    properties: { text: { type: 'STRING' }, refs: { type: 'ARRAY', items: { type: 'INTEGER' } } },
+    required: ['text', 'refs'],
+};
+const SUMMARY_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        overview: { type: 'STRING' },
+        decisions: { type: 'ARRAY', items: CITED_ITEM_SCHEMA },
+        actionItems: {
+            type: 'ARRAY',
+            items: {
+                type: 'OBJECT',
+                properties: { task: { type: 'STRING' }, owner: { type: 'STRING' }, refs: { type: 'ARRAY', items: { type: 'INTEGER' } } },
+                required: ['task', 'owner', 'refs'],
+            },
+        },
+        openQuestions: { type: 'ARRAY', items: CITED_ITEM_SCHEMA },
+    },
+    required: ['overview', 'decisions', 'actionItems', 'openQuestions'],
+};
+const REFS_SCHEMA = { type: 'OBJECT', properties: { refs: { type: 'ARRAY', items: { type: 'INTEGER' } } }, required: ['refs'] };
+const ANSWER_SCHEMA = {
+    type: 'OBJECT',
+    properties: { answer: { type: 'STRING' }, refs: { type: 'ARRAY', items: { type: 'INTEGER' } } },
+    required: ['answer', 'refs'],
+};
+
+const SUMMARY_INSTRUCTIONS = [
+    "Every transcript line starts with its number in square brackets, then its time and speaker.",
+    "Write a short overview, the decisions that were made, the action items with their owner",
+    "(\"Unassigned\" when nobody took it on) and the questions left open.",
+    "For every point, list in refs the numbers of the lines it is based on. Do not invent anything that was not said.",
+].join(' ');
+
+// --- Transcript Lines ---
+// [{ ref, entryId, text }], numbered from 1 in transcript order
+async function loadTranscriptLines(sessionId) {
+    const session = await getSession(sessionId);
+    if (!session) throw new Error("This session no longer exists.");
+    // Private sessions keep everything on the machine, and summaries need Gemini
+    if (session.private) throw new Error("Summaries use Gemini, so they are not available for private sessions.");
+    const entries = await getSessionEntries(sessionId);
+    if (entries.length === 0) throw new Error("This session has no transcript yet.");
+
+    const lines = entries.map((entry, index) => {
+        const speaker = getEntrySpeaker(entry, session.speakerNames);
+        return {
+            ref: index + 1,
+            entryId: entry.id,
+            text: `[${index + 1}] (${formatOffset(getEntryStart(entry, session))}) ${speaker ? `${speaker}: ` : ''}${entry.text}`,
+        };
+    });
+    return lines;
+}
+
+// Packs consecutive items into groups of at most maxChars (a single longer item gets a group of its own)
+function packByLength(items, getLength, maxChars) {
+    const groups = [];
+    let current = [];
+    let length = 0;
+    items.forEach(item => {
+        const itemLength = getLength(item);
+        if (current.length > 0 && length + itemLength > maxChars) {
+            groups.push(current);
+            current = [];
+            length = 0;
+        }
+        current.push(item);
+        length += itemLength;
+    });
+    if (current.length > 0) groups.push(current);
+    return groups;
+}
+
+function splitEvery(items, size) {
+    const groups = [];
+    for (let i = 0; i < items.length; i += size) groups.push(items.slice(i, i + size));
+    return groups;
+}
+
+function joinLines(lines) {
+    return lines.map(line => line.text).join('\n');
+}
+
+// Keeps only refs that name a real line and maps each to its entry id
+function collectCitations(refs, lines, citations) {
+    const valid = [...new Set(refs || [])].filter(ref => Number.isInteger(ref) && ref >= 1 && ref <= lines.length).sort((a, b) => a - b);
+    valid.forEach(ref => { citations[ref] = lines[ref - 1].entryId; });
+    return valid;
+}
+
+// --- Summary ---
+async function summarizeSession(sessionId) {
+    const lines = await loadTranscriptLines(sessionId);
+
+    // Map: summarize each part on its own, one request at a time to stay within rate limits
+    let partials = [];
+    for (const part of packByLength(lines, line => line.text.length + 1, SUMMARY_PART_CHARS)) {
+        const prompt = `Summarize this part of a meeting transcript. ${SUMMARY_INSTRUCTIONS}\n\n${joinLines(part)}`;
+        partials.push(await generateGeminiJson(prompt, SUMMARY_SCHEMA, 'Summary'));
+    }
+
+    // Reduce: merge partial summaries until one is left
+    while (partials.length > 1) {
+        let groups = packByLength(partials, partial => JSON.stringify(partial).length, SUMMARY_PART_CHARS);
+        // When no two fit together, merge them in pairs anyway so that every round shrinks
+        if (groups.length === partials.length) groups = splitEvery(partials, 2);
+        const merged = [];
+        for (const group of groups) {
+            if (group.length === 1) {
+                merged.push(group[0]);
+                continue;
+            }
+            const prompt = [
+                "These are summaries of consecutive parts of one meeting, as JSON. Merge them into one summary of the whole meeting.",
+                "Combine duplicates, keep the refs of every point you keep, and keep the same JSON shape.",
+                '',
+                ...group.map(partial => JSON.stringify(partial)),
+            ].join('\n');
+            merged.push(await generateGeminiJson(prompt, SUMMARY_SCHEMA, 'Summary'));
+        }
+        partials = merged;
+    }
+
+    const result = partials[0];
+    const citations = {}; // line number -> entry id
+    const summary = {
+        createdAt: new Date().toISOString(),
+        entryCount: lines.length,
+        overview: result.overview || '',
+        decisions: (result.decisions || []).map(item => ({ text: item.text, refs: collectCitations(item.refs, lines, citations) })),
+        actionItems: (result.actionItems || []).map(item => ({ task: item.task, owner: item.owner || 'Unassigned', refs: collectCitations(item.refs, lines, citations) })),
+        openQuestions: (result.openQuestions || []).map(item => ({ text: item.text, refs: collectCitations(item.refs, lines, citations) })),
+        citations,
+    };
+    await updateSession(sessionId, { summary });
+    return summary;
+}
+
+// --- Questions ---
+// answer cites lines inline as [n]; citations maps each n to its entry id
+async function askTranscript(sessionId, question) {
+    const lines = await loadTranscriptLines(sessionId);
+
+    let context = lines;
+    const parts = packByLength(lines, line => line.text.length + 1, SUMMARY_PART_CHARS);
+    if (parts.length > 1) {
+        // Narrow a long transcript down to the lines that matter, so the answer fits one request
+        const relevant = new Set();
+        for (const part of parts) {
+            const prompt = `Which of these transcript lines help answer the question "${question}"? Return their numbers in refs, or an empty list.\n\n${joinLines(part)}`;
+            const { refs } = await generateGeminiJson(prompt, REFS_SCHEMA, 'Question');
+            (refs || []).forEach(ref => relevant.add(ref));
+        }
+        context = packByLength(lines.filter(line => relevant.has(line.ref)), line => line.text.length + 1, SUMMARY_PART_CHARS)[0] || [];
+    }
+
+    const prompt = [
+        "Answer the question using only this meeting transcript. Every line starts with its number in square brackets.",
+        "Cite the lines you rely on inline as [n] and list their numbers in refs. If the transcript does not say, answer that it does not.",
+        '',
+        joinLines(context),
+        '',
+        `Question: ${question}`,
+    ].join('\n');
+    const result = await generateGeminiJson(prompt, ANSWER_SCHEMA, 'Question');
+    const citations = {};
+    const inline = [...(result.answer || '').matchAll(/\[(\d+)\]/g)].map(match => Number(match[1]));
+    collectCitations([...(result.refs || []), ...inline], lines, citations);
+    return { question, answer: result.answer || '', citations };
+}
@@ -0,0 +1,36 @@
+// Checks of the built-in redaction detectors (redaction.js). Run with: node --test tests/
+// redaction.js is a classic script for the extension's pages, so it is run in a context of its own here.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const context = vm.createContext({});
+vm.runInContext(`${fs.readFileSync(path.join(__dirname, '..', 'redaction.js'), 'utf8')}
+    this.redactText = redactText;
+    this.isPhoneNumber = isPhoneNumber;
+    this.DEFAULT_REDACTION_SETTINGS = DEFAULT_REDACTION_SETTINGS;`, context);
+const { redactText, isPhoneNumber, DEFAULT_REDACTION_SETTINGS } = context;
+const settings = { ...DEFAULT_REDACTION_SETTINGS, enabled: true };
+
+test('phone numbers are redacted', () => {
+    ['5551234567', '+1 555 123 4567', '0049 30 1234567', '(555) 123-4567', '030 1234567', '555-123-4567', '555.123.4567']
+        .forEach(number => assert.strictEqual(redactText(`Call ${number} today.`, settings).text, 'Call [PHONE] today.', number));
+});
+
+test('other digit groups are kept', () => {
+    ['room 101 202 303', 'rows 12 34 5678', 'on 2024 05 12 10 30', 'on 2024-05-12', 'ext 555-1234']
+        .forEach(text => assert.strictEqual(redactText(text, settings).text, text, text));
+    ['101 202 303', '12 34 5678', '2024 05 12 10 30'].forEach(text => assert.strictEqual(isPhoneNumber(text), false, text));
+});
+
+test('card numbers are redacted as cards, not phone numbers', () => {
+    assert.strictEqual(redactText('Card 4111111111111111', settings).text, 'Card [CARD]');
+});
+
+test('other personal data is redacted', () => {
+    assert.strictEqual(redactText('Mail john.doe@example.co.uk', settings).text, 'Mail [EMAIL]');
+    assert.strictEqual(redactText('IBAN DE89 3704 0044 0532 0130 00', settings).text, 'IBAN [IBAN]');
+    assert.strictEqual(redactText('SSN 123-45-6789', settings).text, 'SSN [SSN]');
+});
@@ -0,0 +1,101 @@
+// translation.js
+// Translation provider registry. Loaded by the background worker (importScripts) and the side panel.
+// Every provider turns its own response into the common { text, language } result, where language is the
+// detected source language as an ISO 639-1 code (or null when the provider could not tell).
+
+const TRANSLATION_TARGET_KEY = 'translationTarget';     // Target language code, or '' when translation is off
+const TRANSLATION_PROVIDER_KEY = 'translationProvider';
+const TRANSLATION_SETTINGS_KEY = 'translationSettings'; // { url } of the translation endpoint; its key is a credential
+
+const TRANSLATION_PROVIDERS = {
+    gemini: {
+        label: 'Google Gemini (uses the Gemini provider key)',
+        translate: translateWithGemini,
+    },
+    endpoint: {
+        label: 'Translation endpoint (LibreTranslate-compatible)',
+        defaultUrl: 'http://localhost:5000/translate',
+        translate: translateWithEndpoint,
+    },
+    local: {
+        label: "On-device (Chrome's built-in translator)",
+        local: true,
+        translate: callLocalTranslator,
+    },
+};
+const DEFAULT_TRANSLATION_PROVIDER = 'gemini';
+
+const TRANSLATION_LANGUAGES = ['en', 'es', 'de', 'fr', 'it', 'pt', 'nl', 'pl', 'sv', 'da', 'fi', 'cs', 'ru', 'uk', 'tr', 'ar', 'hi', 'ja', 'ko', 'zh'];
+
+// --- Languages ---
+function getLanguageName(code) {
+    try {
+        return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+    } catch {
+        return code;
+    }
+}
+
+// Deepgram reports codes ("en", "de-DE") but Whisper reports names ("german"), so both become "de"
+function normalizeLanguageCode(language) {
+    if (!language) return null;
+    const value = String(language).trim().toLowerCase();
+    const base = value.split(/[-_]/)[0];
+    // Unknown codes come back from Intl.DisplayNames unchanged; "und" means undetermined
+    if (/^[a-z]{2,3}$/.test(base) && base !== 'und' && getLanguageName(base) !== base) return base;
+    return TRANSLATION_LANGUAGES.find(code => getLanguageName(code).toLowerCase() === value) || null;
+}
+
+// --- Settings ---
+async function getTranslationSettings() {
+    const stored = await chrome.storage.local.get([TRANSLATION_TARGET_KEY, TRANSLATION_PROVIDER_KEY, TRANSLATION_SETTINGS_KEY]);
+    const providerId = TRANSLATION_PROVIDERS[stored[TRANSLATION_PROVIDER_KEY]] ? stored[TRANSLATION_PROVIDER_KEY] : DEFAULT_TRANSLATION_PROVIDER;
+    const endpoint = stored[TRANSLATION_SETTINGS_KEY] || {};
+    // The key is in the active credential profile (credentials.js); while it is locked the endpoint gets none
+    const keys = await getProfileKeys();
+    return {
+        target: stored[TRANSLATION_TARGET_KEY] || '',
+        providerId,
+        endpoint: { url: endpoint.url || TRANSLATION_PROVIDERS.endpoint.defaultUrl, apiKey: keys?.[TRANSLATION_CREDENTIAL] || '' },
+    };
+}
+
+// --- Gemini ---
+const GEMINI_TRANSLATION_SCHEMA = {
+    type: 'OBJECT',
+    properties: { language: { type: 'STRING' }, translation: { type: 'STRING' } },
+    required: ['language', 'translation'],
+};
+
+async function translateWithGemini(text, { sourceLanguage, targetLanguage }) {
+    const prompt = [
+        `Translate this transcript excerpt into ${getLanguageName(targetLanguage)}.`,
+        sourceLanguage ? `It is in ${getLanguageName(sourceLanguage)}.` : "Also give the ISO 639-1 code of the language it is in.",
+        "Keep the meaning and tone; do not add explanations.",
+        '',
+        text,
+    ].join('\n');
+    const parsed = await generateGeminiJson(prompt, GEMINI_TRANSLATION_SCHEMA, 'Gemini translation');
+    if (typeof parsed?.translation !== 'string') throw new Error("Gemini returned an invalid translation.");
+    return { text: parsed.translation.trim(), language: normalizeLanguageCode(parsed.language) || sourceLanguage };
+}
+
+// --- Translation Endpoint ---
+// LibreTranslate's POST /translate: { q, source, target, format, api_key } -> { translatedText, detectedLanguage }
+async function translateWithEndpoint(text, { sourceLanguage, targetLanguage }, endpoint) {
+    const body = { q: text, source: sourceLanguage || 'auto', target: targetLanguage, format: 'text' };
+    if (endpoint.apiKey) body.api_key = endpoint.apiKey;
+    const result = await fetchJsonWithRetry(endpoint.url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }, 'Translation endpoint');
+    if (typeof result?.translatedText !== 'string') throw new Error("The translation endpoint returned an invalid response.");
+    return { text: result.translatedText.trim(), language: normalizeLanguageCode(result.detectedLanguage?.language) || sourceLanguage };
+}
+
+// --- On-Device ---
+// Called from the background worker only. Chrome's Translator and LanguageDetector APIs exist in documents,
+// not in service workers, so the offscreen document runs them.
+async function callLocalTranslator(text, { sourceLanguage, targetLanguage }) {
+    await setupOffscreenDocument();
+    const response = await chrome.runtime.sendMessage({ action: 'localTranslate', text, sourceLanguage, targetLanguage });
+    if (!response?.success) throw new Error(response?.error || "The on-device translator did not respond.");
+    return response.result;
+}
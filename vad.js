@@ -0,0 +1,86 @@
+// vad.js
+// Adaptive voice activity detection. The offscreen document runs the detector on every level reading; the side
+// panel edits its settings and the background worker hands them to the offscreen document when recording starts.
+// Speech is anything far enough above the noise floor, which is calibrated over the first moments of a session
+// and then tracked: it follows quieter readings quickly and louder ones only slowly, so speech does not drag it up.
+
+const VAD_SETTINGS_KEY = 'vadSettings';
+const DEFAULT_VAD_SETTINGS = {
+    detector: 'level',   // 'level', or 'spectral' to also require a speech-like spectrum
+    threshold: 12,       // dB above the noise floor that count as speech
+    hangover: 1500,      // ms of silence that end a chunk
+    maxChunkSeconds: 30, // Longer speech is cut into chunks of this length
+};
+
+const VAD_FRAME_MS = 50;                // How often the level is read
+const VAD_CALIBRATION_FRAMES = 30;      // 1.5 s of readings before the noise floor is trusted
+const VAD_CALIBRATION_THRESHOLD = -50;  // dB, the fixed threshold used while calibrating
+const VAD_RELEASE_DB = 3;               // Speech continues down to this much below the threshold (hysteresis)
+const VAD_FLOOR_FALL = 0.3;             // Share of the gap closed per reading when the room gets quieter
+const VAD_FLOOR_RISE = 0.01;            // ... and when it gets louder without speech
+const VAD_MIN_FLOOR = -90;              // dB
+const VAD_MAX_FLOOR = -25;              // dB, so a loud room still leaves room above the floor
+const SPEECH_BAND_MIN_HZ = 300;
+const SPEECH_BAND_MAX_HZ = 3400;
+const SPEECH_BAND_MIN_SHARE = 0.5;      // Share of the energy a voice puts into the speech band
+const SPEECH_MAX_FLATNESS = 0.5;        // Spectral flatness above this is noise-like (fans, hiss, rain)
+
+function getVadSettings(stored) {
+    return { ...DEFAULT_VAD_SETTINGS, ...stored };
+}
+
+function createVoiceDetector() {
+    return { noiseFloor: null, calibration: [], speaking: false };
+}
+
+// level is the frame's level in dB; speechLike whether its spectrum looks like speech (always true for the
+// 'level' detector). Returns whether the frame is speech.
+function detectVoice(detector, level, speechLike, settings) {
+    if (detector.noiseFloor === null) {
+        detector.calibration.push(level);
+        if (detector.calibration.length >= VAD_CALIBRATION_FRAMES) {
+            // A low percentile, so words spoken during calibration do not count as noise
+            const sorted = [...detector.calibration].sort((a, b) => a - b);
+            detector.noiseFloor = clampFloor(sorted[Math.floor(sorted.length * 0.2)]);
+            detector.calibration = [];
+        }
+        detector.speaking = level > VAD_CALIBRATION_THRESHOLD && speechLike;
+        return detector.speaking;
+    }
+
+    const threshold = getVoiceThreshold(detector, settings);
+    detector.speaking = speechLike && level > (detector.speaking ? threshold - VAD_RELEASE_DB : threshold);
+    if (level < detector.noiseFloor) {
+        detector.noiseFloor = clampFloor(detector.noiseFloor + (level - detector.noiseFloor) * VAD_FLOOR_FALL);
+    } else if (!detector.speaking) {
+        detector.noiseFloor = clampFloor(detector.noiseFloor + (level - detector.noiseFloor) * VAD_FLOOR_RISE);
+    }
+    return detector.speaking;
+}
+
+function getVoiceThreshold(detector, settings) {
+    return detector.noiseFloor === null ? VAD_CALIBRATION_THRESHOLD : detector.noiseFloor + settings.threshold;
+}
+
+function clampFloor(level) {
+    return Math.max(VAD_MIN_FLOOR, Math.min(VAD_MAX_FLOOR, level));
+}
+
+// spectrum is in dB per bin, as filled by AnalyserNode.getFloatFrequencyData
+function isSpeechSpectrum(spectrum, binHz) {
+    let total = 0;
+    let band = 0;
+    let logSum = 0;
+    for (let bin = 1; bin < spectrum.length; bin++) {
+        const power = Math.pow(10, Math.max(spectrum[bin], -140) / 10);
+        total += power;
+        logSum += Math.log(power);
+        const hz = bin * binHz;
+        if (hz >= SPEECH_BAND_MIN_HZ && hz <= SPEECH_BAND_MAX_HZ) band += power;
+    }
+    if (total === 0) return false;
+    // Geometric over arithmetic mean: near 1 for white noise, low for the harmonics of a voice
+    const bins = spectrum.length - 1;
+    const flatness = Math.exp(logSum / bins) / (total / bins);
+    return band / total >= SPEECH_BAND_MIN_SHARE && flatness <= SPEECH_MAX_FLATNESS;
+}
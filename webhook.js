@@ -0,0 +1,75 @@
+// webhook.js
+// Transcript sync to a URL of the user's choosing, such as a team's note service or a local server. Loaded by the
+// background worker (importScripts), which makes the deliveries, and the side panel, which edits the settings and
+// shows the delivery log. Each finished entry is posted as it is transcribed, and the whole session (the JSON
+// export, see exporters.js) once it has ended. Private sessions are never sent.
+//
+// Every request carries X-Transcript-Event, X-Transcript-Delivery (the same id on every retry, so the receiver can
+// drop duplicates) and X-Transcript-Timestamp (Unix seconds). With a signing secret, X-Transcript-Signature is
+// "sha256=" and the hex HMAC-SHA256 of "<timestamp>.<body>".
+
+const WEBHOOK_SETTINGS_KEY = 'webhookSettings';    // { enabled, url, authHeader }; the secrets are credentials
+const WEBHOOK_AUTH_CREDENTIAL = 'webhookAuth';     // Value of the auth header
+const WEBHOOK_SECRET_CREDENTIAL = 'webhookSecret'; // Key of the signature
+const DEFAULT_WEBHOOK_SETTINGS = { enabled: false, url: '', authHeader: 'Authorization' };
+const WEBHOOK_LOG_SIZE = 50; // Delivered requests kept for the delivery log
+
+async function getWebhookSettings() {
+    const { [WEBHOOK_SETTINGS_KEY]: stored } = await chrome.storage.local.get(WEBHOOK_SETTINGS_KEY);
+    return { ...DEFAULT_WEBHOOK_SETTINGS, ...stored };
+}
+
+// --- Payloads ---
+function buildEntryPayload(session, entry) {
+    return { event: 'entry', session: { id: session.id, name: session.name }, entry: buildJsonEntry(entry, session) };
+}
+
+function buildSessionPayload(session, entries) {
+    return { event: 'session', ...buildJsonDocument(session, entries) };
+}
+
+// Sent by the side panel's Send test button
+function buildTestPayload() {
+    return { event: 'test', sentAt: new Date().toISOString() };
+}
+
+// --- Requests ---
+// Throws like fetchJsonWithRetry (providers.js): HTTP errors carry their status, so isConnectivityError tells an
+// unreachable webhook from one that refused the delivery. keys are the active profile's, null while locked.
+async function postWebhook(settings, keys, deliveryId, payload) {
+    if (!keys) throw new Error(CREDENTIALS_LOCKED_MESSAGE);
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+        'Content-Type': 'application/json',
+        'X-Transcript-Event': payload.event,
+        'X-Transcript-Delivery': deliveryId,
+        'X-Transcript-Timestamp': timestamp,
+    };
+    if (keys[WEBHOOK_AUTH_CREDENTIAL]) headers[settings.authHeader || DEFAULT_WEBHOOK_SETTINGS.authHeader] = keys[WEBHOOK_AUTH_CREDENTIAL];
+    if (keys[WEBHOOK_SECRET_CREDENTIAL]) {
+        headers['X-Transcript-Signature'] = `sha256=${await signWebhookBody(keys[WEBHOOK_SECRET_CREDENTIAL], `${timestamp}.${body}`)}`;
+    }
+    const response = await fetch(settings.url, { method: 'POST', headers, body });
+    if (!response.ok) {
+        const error = new Error(`HTTP Error ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+}
+
+async function signWebhookBody(secret, text) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(text));
+    return [...new Uint8Array(signature)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// The URL is outside the manifest's host_permissions, so the side panel asks for it
+function getWebhookOrigin(settings) {
+    try {
+        return `${new URL(settings.url).origin}/*`;
+    } catch {
+        return null;
+    }
+}